@@ -1,90 +1,217 @@
 // 01-synchronous-vs-asynchronous.js
 // Demonstrates JavaScript's fundamental nature and the need for asynchronicity
 
-console.log("🚀 Starting demonstration of synchronous vs asynchronous JavaScript\n");
+const { setTimeout, setInterval, clearInterval, monotonic, busyWait } = require("./lib/clock");
+const { processInChunks } = require("./lib/chunking");
+const { createWorkerPool } = require("./lib/worker-pool");
+const { createLesson } = require("./lib/sections");
+const { log } = require("./lib/logger");
+
+const lesson = createLesson({
+    id: "01",
+    title: "Synchronous vs asynchronous",
+    intro: "🚀 Starting demonstration of synchronous vs asynchronous JavaScript\n"
+});
 
 // ============================================================================
 // SYNCHRONOUS (BLOCKING) EXAMPLE
 // ============================================================================
 
-function blockingOperation() {
-    console.log("🚫 Starting blocking operation...");
-    
-    // Simulate a long-running synchronous operation
-    const start = Date.now();
-    while (Date.now() - start < 3000) {
-        // Busy waiting - blocks the main thread for 3 seconds
+lesson.section("Synchronous (blocking) code", () => {
+    function blockingOperation() {
+        log("🚫 Starting blocking operation...");
+
+        // Simulate a long-running synchronous operation
+        const start = Date.now();
+        while (Date.now() - start < 3000) {
+            // Busy waiting - blocks the main thread for 3 seconds
+        }
+
+        log("✅ Blocking operation complete!");
     }
-    
-    console.log("✅ Blocking operation complete!");
-}
 
-console.log("1️⃣ About to run blocking operation...");
-blockingOperation();
-console.log("2️⃣ This won't run until blocking operation completes\n");
+    log("1️⃣ About to run blocking operation...");
+    blockingOperation();
+    log("2️⃣ This won't run until blocking operation completes\n");
+});
 
 // ============================================================================
 // ASYNCHRONOUS (NON-BLOCKING) EXAMPLE
 // ============================================================================
 
-function nonBlockingOperation() {
-    console.log("🔄 Starting non-blocking operation...");
-    
-    // Use setTimeout to make it asynchronous
-    setTimeout(() => {
-        console.log("✅ Non-blocking operation complete!");
-    }, 3000);
-}
+lesson.section("Asynchronous (non-blocking) code", () => {
+    function nonBlockingOperation() {
+        log("🔄 Starting non-blocking operation...");
+
+        // Use setTimeout to make it asynchronous
+        setTimeout(() => {
+            log("✅ Non-blocking operation complete!");
+        }, 3000);
+    }
 
-console.log("3️⃣ About to run non-blocking operation...");
-nonBlockingOperation();
-console.log("4️⃣ This runs immediately while non-blocking operation is in progress\n");
+    log("3️⃣ About to run non-blocking operation...");
+    nonBlockingOperation();
+    log("4️⃣ This runs immediately while non-blocking operation is in progress\n");
+});
 
 // ============================================================================
 // DEMONSTRATION OF THE PROBLEM
 // ============================================================================
 
-console.log("5️⃣ Demonstrating the problem with synchronous operations:");
-console.log("   - If we had a real database query here, the entire app would freeze");
-console.log("   - User couldn't click buttons, scroll, or interact with the page");
-console.log("   - This is why we need asynchronous programming!\n");
+lesson.section("The problem with synchronous code", () => {
+    log("5️⃣ Demonstrating the problem with synchronous operations:");
+    log("   - If we had a real database query here, the entire app would freeze");
+    log("   - User couldn't click buttons, scroll, or interact with the page");
+    log("   - This is why we need asynchronous programming!\n");
+});
 
 // ============================================================================
 // WEB APIs TO THE RESCUE
 // ============================================================================
 
-console.log("6️⃣ Web APIs provide asynchronous capabilities:");
-console.log("   - setTimeout/setInterval (timers)");
-console.log("   - fetch (network requests)");
-console.log("   - DOM events (click, scroll, etc.)");
-console.log("   - File API, Geolocation, etc.\n");
+lesson.section("Web APIs to the rescue", () => {
+    log("6️⃣ Web APIs provide asynchronous capabilities:");
+    log("   - setTimeout/setInterval (timers)");
+    log("   - fetch (network requests)");
+    log("   - DOM events (click, scroll, etc.)");
+    log("   - File API, Geolocation, etc.\n");
+
+    // Example of multiple async operations running concurrently
+    log("7️⃣ Multiple async operations running concurrently:");
+
+    setTimeout(() => log("⏰ Timer 1 (1 second)"), 1000);
+    setTimeout(() => log("⏰ Timer 2 (2 seconds)"), 2000);
+    setTimeout(() => log("⏰ Timer 3 (3 seconds)"), 3000);
+
+    log("8️⃣ All timers started simultaneously - they'll complete independently!\n");
+});
+
+// ============================================================================
+// BREAKING UP THE BLOCKING OPERATION
+// ============================================================================
+
+lesson.section("Breaking up the blocking operation", () => {
+    // The same 3 seconds of work as blockingOperation, done 10ms at a time.
+    // processInChunks (lib/chunking.js) yields to the event loop every ~50ms,
+    // so a heartbeat timer keeps firing on time while the work goes on.
+    async function chunkedBlockingOperation() {
+        log("9️⃣ The same 3 seconds of work, split into chunks:");
+        const steps = Array.from({ length: 300 }, (_, step) => step);
+        const startedAt = monotonic();
+        let lastQuarter = 0;
+
+        // Due every 400ms - lateness shows how long the loop was held
+        let beats = 0;
+        let worstLateness = 0;
+        const heartbeat = setInterval(() => {
+            beats++;
+            worstLateness = Math.max(worstLateness, monotonic() - startedAt - beats * 400);
+            log(`💓 Heartbeat ${beats}`);
+        }, 400);
+
+        await processInChunks(steps, () => busyWait(10), {
+            budgetMs: 50,
+            onProgress: ({ done, total }) => {
+                const quarter = Math.floor((done / total) * 4);
+                if (quarter > lastQuarter && quarter < 4) {
+                    lastQuarter = quarter;
+                    log(`📈 Chunked operation ${quarter * 25}% done`);
+                }
+            }
+        });
+
+        clearInterval(heartbeat);
+        log("✅ Chunked operation complete - the timers kept running");
+        log(`   ${beats} heartbeats, at most ${Math.round(worstLateness)}ms late (blockingOperation would have delayed them by up to 3000ms)\n`);
+    }
 
-// Example of multiple async operations running concurrently
-console.log("7️⃣ Multiple async operations running concurrently:");
+    return chunkedBlockingOperation();
+});
 
-setTimeout(() => console.log("⏰ Timer 1 (1 second)"), 1000);
-setTimeout(() => console.log("⏰ Timer 2 (2 seconds)"), 2000);
-setTimeout(() => console.log("⏰ Timer 3 (3 seconds)"), 3000);
+// ============================================================================
+// MOVING THE BLOCKING OPERATION TO A WORKER THREAD
+// ============================================================================
 
-console.log("8️⃣ All timers started simultaneously - they'll complete independently!\n");
+// Chunking still uses the main thread's time. A worker thread (lib/worker-pool.js)
+// runs blockingOperation's busy loop in parallel, so the main thread stays free.
+lesson.section("Moving the blocking operation to a worker thread", {
+    setup: () => ({ pool: createWorkerPool({ size: 2 }) }),
+
+    async run({ pool }) {
+        log("🔟 The same blocking operation, moved to a worker thread:");
+
+        let beats = 0;
+        const heartbeat = setInterval(() => {
+            beats++;
+            log(`💓 Main thread heartbeat ${beats}`);
+            if (beats === 5) {
+                clearInterval(heartbeat);
+            }
+        }, 500);
+
+        const { ms } = await pool.run("busyLoop", { ms: 3000 });
+        log(`✅ Worker finished ${ms}ms of blocking work off the main thread`);
+
+        // A task that runs too long is terminated and its worker replaced...
+        try {
+            await pool.run("busyLoop", { ms: 5000 }, { timeout: 500 });
+        } catch (error) {
+            log(`⏱️ ${error.name}: ${error.message}`);
+        }
+
+        // ...and so is a worker that dies mid-task
+        try {
+            await pool.run("crash");
+        } catch (error) {
+            log(`💥 ${error.name}: ${error.message}`);
+        }
+
+        const { ms: quick } = await pool.run("busyLoop", { ms: 10 });
+        log(`🔁 Pool recovered - a ${quick}ms task ran on a fresh worker\n`);
+    },
+
+    teardown: ({ pool }) => pool.close()
+});
 
 // ============================================================================
 // OUTPUT EXPLANATION
 // ============================================================================
 
-console.log("📊 Expected output order:");
-console.log("   1️⃣ About to run blocking operation...");
-console.log("   🚫 Starting blocking operation...");
-console.log("   ✅ Blocking operation complete!");
-console.log("   2️⃣ This won't run until blocking operation completes");
-console.log("   3️⃣ About to run non-blocking operation...");
-console.log("   🔄 Starting non-blocking operation...");
-console.log("   4️⃣ This runs immediately while non-blocking operation is in progress");
-console.log("   5️⃣ Demonstrating the problem...");
-console.log("   6️⃣ Web APIs provide asynchronous capabilities...");
-console.log("   7️⃣ Multiple async operations running concurrently:");
-console.log("   8️⃣ All timers started simultaneously...");
-console.log("   ⏰ Timer 1 (1 second)");
-console.log("   ⏰ Timer 2 (2 seconds)");
-console.log("   ✅ Non-blocking operation complete!");
-console.log("   ⏰ Timer 3 (3 seconds)"); 
\ No newline at end of file
+// The claim below is data so `npm test` can check it against a real run (lib/order-check.js)
+const expectedOrder = [
+    "1️⃣ About to run blocking operation...",
+    "🚫 Starting blocking operation...",
+    "✅ Blocking operation complete!",
+    "2️⃣ This won't run until blocking operation completes",
+    "3️⃣ About to run non-blocking operation...",
+    "🔄 Starting non-blocking operation...",
+    "4️⃣ This runs immediately while non-blocking operation is in progress",
+    "✅ Non-blocking operation complete!",
+    "5️⃣ Demonstrating the problem with synchronous operations:",
+    "6️⃣ Web APIs provide asynchronous capabilities:",
+    "7️⃣ Multiple async operations running concurrently:",
+    "8️⃣ All timers started simultaneously - they'll complete independently!",
+    "⏰ Timer 1 (1 second)",
+    "⏰ Timer 2 (2 seconds)",
+    "⏰ Timer 3 (3 seconds)",
+    "9️⃣ The same 3 seconds of work, split into chunks:",
+    "💓 Heartbeat 1",
+    "📈 Chunked operation 25% done",
+    "💓 Heartbeat 2",
+    "📈 Chunked operation 50% done",
+    "📈 Chunked operation 75% done",
+    "✅ Chunked operation complete - the timers kept running",
+    "🔟 The same blocking operation, moved to a worker thread:",
+    "💓 Main thread heartbeat 1",
+    "✅ Worker finished 3000ms of blocking work off the main thread",
+    "🔁 Pool recovered - a 10ms task ran on a fresh worker"
+];
+
+lesson.outro(() => {
+    log("📊 Expected output order:");
+    expectedOrder.forEach(line => log(`   ${line}`));
+});
+
+lesson.run();
+
+module.exports = { expectedOrder, lesson };
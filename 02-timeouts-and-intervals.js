@@ -1,177 +1,286 @@
 // 02-timeouts-and-intervals.js
 // Demonstrates setTimeout, setInterval, and best practices
 
-console.log("⏰ Starting demonstration of timeouts and intervals\n");
+const { setTimeout, clearTimeout, setInterval, clearInterval, random, monotonic, busyWait, createVirtualClock } = require("./lib/clock");
+const { schedule, createTimingStats } = require("./lib/scheduler");
+const { createCronScheduler } = require("./lib/cron");
+const { createPoller, pollForData } = require("./lib/polling");
+const { createLesson } = require("./lib/sections");
+const { log } = require("./lib/logger");
+
+const lesson = createLesson({
+    id: "02",
+    title: "Timeouts and intervals",
+    intro: "⏰ Starting demonstration of timeouts and intervals\n"
+});
 
 // ============================================================================
 // SETTIMEOUT EXAMPLES
 // ============================================================================
 
-console.log("1️⃣ Basic setTimeout example:");
-setTimeout(() => {
-    console.log("🎯 This runs after 2 seconds");
-}, 2000);
+lesson.section("setTimeout", () => {
+    log("1️⃣ Basic setTimeout example:");
+    setTimeout(() => {
+        log("🎯 This runs after 2 seconds");
+    }, 2000);
 
-console.log("2️⃣ setTimeout with parameters:");
-setTimeout((name, age) => {
-    console.log(`👋 Hello ${name}, you are ${age} years old`);
-}, 1000, "Alice", 25);
+    log("2️⃣ setTimeout with parameters:");
+    setTimeout((name, age) => {
+        log(`👋 Hello ${name}, you are ${age} years old`);
+    }, 1000, "Alice", 25);
 
-console.log("3️⃣ Canceling a timeout:");
-const timeoutId = setTimeout(() => {
-    console.log("❌ This won't run - timeout was canceled");
-}, 5000);
+    log("3️⃣ Canceling a timeout:");
+    const timeoutId = setTimeout(() => {
+        log("❌ This won't run - timeout was canceled");
+    }, 5000);
 
-// Cancel the timeout after 1 second
-setTimeout(() => {
-    clearTimeout(timeoutId);
-    console.log("⏹️ Timeout canceled");
-}, 1000);
+    // Cancel the timeout after 1 second
+    setTimeout(() => {
+        clearTimeout(timeoutId);
+        log("⏹️ Timeout canceled");
+    }, 1000);
+});
 
 // ============================================================================
 // SETINTERVAL EXAMPLES
 // ============================================================================
 
-console.log("\n4️⃣ Basic setInterval example:");
-let counter = 0;
-const intervalId = setInterval(() => {
-    counter++;
-    console.log(`🔄 Interval count: ${counter}`);
-    
-    if (counter >= 5) {
-        clearInterval(intervalId);
-        console.log("⏹️ Interval stopped after 5 iterations");
-    }
-}, 1000);
+lesson.section("setInterval", () => {
+    log("\n4️⃣ Basic setInterval example:");
+    let counter = 0;
+    const intervalId = setInterval(() => {
+        counter++;
+        log(`🔄 Interval count: ${counter}`);
+
+        if (counter >= 5) {
+            clearInterval(intervalId);
+            log("⏹️ Interval stopped after 5 iterations");
+        }
+    }, 1000);
+});
 
 // ============================================================================
 // IMPORTANT NOTES AND BEST PRACTICES
 // ============================================================================
 
-console.log("\n5️⃣ Important notes about timers:");
+lesson.section("Timer notes and recursive setTimeout", () => {
+    log("\n5️⃣ Important notes about timers:");
 
-// ❌ Minimum delay, not guaranteed
-setTimeout(() => {
-    console.log("⚠️ This might take longer than 1 second if call stack is busy");
-}, 1000);
+    // ❌ Minimum delay, not guaranteed
+    setTimeout(() => {
+        log("⚠️ This might take longer than 1 second if call stack is busy");
+    }, 1000);
 
-// ✅ Recursive setTimeout (preferred over setInterval)
-function recursiveTimeout() {
-    console.log("🔄 Recursive timeout running...");
-    setTimeout(recursiveTimeout, 1000); // Guarantees 1s between executions
-}
+    // ✅ Recursive setTimeout (preferred over setInterval)
+    function recursiveTimeout() {
+        log("🔄 Recursive timeout running...");
+        setTimeout(recursiveTimeout, 1000); // Guarantees 1s between executions
+    }
 
-// Start recursive timeout
-setTimeout(() => {
-    console.log("🔄 Starting recursive timeout (will run 3 times):");
+    log("🔄 Starting recursive timeout (will run 3 times):");
     let count = 0;
     function limitedRecursive() {
         count++;
-        console.log(`🔄 Recursive execution ${count}`);
+        log(`🔄 Recursive execution ${count}`);
         if (count < 3) {
             setTimeout(limitedRecursive, 1000);
         }
     }
     limitedRecursive();
-}, 6000);
+});
 
 // ============================================================================
 // SETTIMEOUT(0) DEMONSTRATION
 // ============================================================================
 
-console.log("\n6️⃣ setTimeout(0) demonstration:");
-console.log("🔄 Starting synchronous operation...");
+lesson.section("setTimeout(0)", () => {
+    log("\n6️⃣ setTimeout(0) demonstration:");
+    log("🔄 Starting synchronous operation...");
 
-// Simulate a long synchronous operation
-const start = Date.now();
-while (Date.now() - start < 1000) {
-    // Busy waiting for 1 second
-}
+    // Simulate a long synchronous operation
+    const start = Date.now();
+    while (Date.now() - start < 1000) {
+        // Busy waiting for 1 second
+    }
 
-setTimeout(() => {
-    console.log("⏰ setTimeout(0) callback - this runs after sync code");
-}, 0);
+    setTimeout(() => {
+        log("⏰ setTimeout(0) callback - this runs after sync code");
+    }, 0);
 
-console.log("✅ Synchronous operation complete");
+    log("✅ Synchronous operation complete");
+});
 
 // ============================================================================
 // PERFORMANCE COMPARISON
 // ============================================================================
 
-console.log("\n7️⃣ Performance comparison:");
+lesson.section("Timer drift and overrun policies", () => {
+    log("\n7️⃣ Performance comparison:");
 
-// ❌ setInterval can overlap if execution takes longer than interval
-let intervalCount = 0;
-const problematicInterval = setInterval(() => {
-    intervalCount++;
-    console.log(`❌ Interval ${intervalCount} - might overlap if slow`);
-    
-    // Simulate slow execution
-    const start = Date.now();
-    while (Date.now() - start < 500) {
-        // Busy waiting for 500ms
+    // Each job below does 500ms of blocking work on a 1000ms period. busyWait (lib/clock.js)
+    // holds the thread like a slow task - and moves time along in virtual mode.
+    // schedule (lib/scheduler.js) measures every run, so we can compare real numbers.
+    const PERIOD = 1000;
+    const WORK = 500;
+
+    function report(label, stats) {
+        log(`📏 ${label.padEnd(20)} runs ${stats.runs} · drift ${stats.drift}ms · ` +
+            `jitter avg ${stats.jitter.mean}ms (max ${stats.jitter.max}ms) · ` +
+            `late avg ${stats.lateness.mean}ms · missed ${stats.missed}, skipped ${stats.skipped}`);
     }
-    
-    if (intervalCount >= 3) {
-        clearInterval(problematicInterval);
-        console.log("⏹️ Problematic interval stopped");
+
+    // ❌ setInterval gives no say in what happens when a run is slow - we can only watch
+    function measureSetInterval(runs) {
+        const stats = createTimingStats(PERIOD);
+        const firstAt = monotonic();
+        let count = 0;
+
+        return new Promise(resolve => {
+            const problematicInterval = setInterval(() => {
+                count++;
+                const startedAt = monotonic();
+                log(`❌ Interval ${count}`);
+                busyWait(WORK);
+                stats.record({ scheduledAt: firstAt + count * PERIOD, startedAt, finishedAt: monotonic() });
+
+                if (count >= runs) {
+                    clearInterval(problematicInterval);
+                    resolve(stats.summary());
+                }
+            }, PERIOD);
+        });
     }
-}, 1000);
-
-// ✅ Recursive setTimeout guarantees timing
-setTimeout(() => {
-    console.log("✅ Starting recursive setTimeout (guarantees timing):");
-    let recursiveCount = 0;
-    
-    function guaranteedTiming() {
-        recursiveCount++;
-        console.log(`✅ Recursive ${recursiveCount} - guaranteed 1s between`);
-        
-        // Simulate slow execution
-        const start = Date.now();
-        while (Date.now() - start < 500) {
-            // Busy waiting for 500ms
-        }
-        
-        if (recursiveCount < 3) {
-            setTimeout(guaranteedTiming, 1000);
+
+    async function compareTimers() {
+        report("setInterval", await measureSetInterval(3));
+
+        // ✅ fixed-delay is recursive setTimeout: 1s *between* runs, so each start slips WORK further
+        // off the 1s grid - jitter shows it, while drift stays 0 because no run starts late
+        const fixedDelay = schedule(({ run }) => {
+            log(`✅ Fixed-delay ${run} - 1s after the last run finished`);
+            busyWait(WORK);
+        }, { every: PERIOD, mode: "fixed-delay", maxRuns: 3 });
+        report("fixed-delay", await fixedDelay.done);
+
+        // ✅ fixed-rate: 1s from start to start, each timer corrected against the monotonic clock
+        const fixedRate = schedule(({ run }) => {
+            log(`✅ Fixed-rate ${run} - on the 1s grid`);
+            busyWait(WORK);
+        }, { every: PERIOD, mode: "fixed-rate", maxRuns: 3 });
+        report("fixed-rate", await fixedRate.done);
+
+        // When a run outlasts its period, the overrun policy decides what happens to missed ticks
+        log("⏱️ Overrun policies - 300ms of work every 200ms:");
+        for (const overrun of ["skip", "queue", "coalesce"]) {
+            const job = schedule(() => busyWait(300), { every: 200, overrun, maxRuns: 5 });
+            report(`fixed-rate + ${overrun}`, await job.done);
         }
     }
-    
-    guaranteedTiming();
-}, 5000);
+
+    return compareTimers();
+});
 
 // ============================================================================
 // REAL-WORLD EXAMPLE
 // ============================================================================
 
-console.log("\n8️⃣ Real-world example - polling for data:");
+lesson.section("Polling for data", () => {
+    log("\n8️⃣ Real-world example - polling for data:");
 
-function pollForData() {
-    console.log("📡 Polling for new data...");
-    
-    // Simulate API call
-    setTimeout(() => {
-        const hasNewData = Math.random() > 0.7; // 30% chance of new data
-        
-        if (hasNewData) {
-            console.log("📊 New data received!");
-            // Stop polling when we get data
-        } else {
-            console.log("⏳ No new data, polling again in 2 seconds...");
-            setTimeout(pollForData, 2000);
+    // pollForData (lib/polling.js) polls every 2 seconds until data arrives.
+    // It is built on createPoller, which owns the timer, so there's one place to stop it.
+    async function watchReportJob() {
+        log("🔄 Watching a report job with backoff, an attempt cap and a timeout:");
+        let progress = 0;
+
+        // Simulated job status endpoint - the job moves 15-40% per check
+        const poller = createPoller(({ attempt }) => {
+            progress = Math.min(100, progress + 15 + Math.round(random() * 25));
+            return { attempt, progress, status: progress === 100 ? "done" : "running" };
+        }, {
+            until: job => job.status === "done",
+            interval: 250,
+            backoff: "exponential",   // 250ms, 500ms, 1s, 2s, 2s...
+            maxInterval: 2000,
+            maxAttempts: 8,
+            timeout: 10000
+        });
+
+        // Every poll result arrives here; the loop ends after the "done" one
+        try {
+            for await (const job of poller) {
+                log(`📈 Check ${job.attempt}: ${job.progress}% (${job.status})`);
+            }
+            log("✅ Report ready");
+        } catch (error) {
+            // PollExhaustedError or TimeoutError
+            log(`❌ Gave up on the report: ${error.message}`);
         }
-    }, 1000);
-}
-
-// Start polling after 8 seconds
-setTimeout(() => {
-    console.log("🔄 Starting data polling example:");
-    pollForData();
-}, 8000);
-
-console.log("\n📊 Expected behavior:");
-console.log("- Timers will execute in order of their delays");
-console.log("- Recursive setTimeout provides better timing guarantees");
-console.log("- setInterval can overlap if execution is slow");
-console.log("- setTimeout(0) defers execution until after current sync code"); 
\ No newline at end of file
+    }
+
+    // Poll until the data is in, then watch the job
+    log("🔄 Starting data polling example:");
+    return pollForData().then(watchReportJob);
+});
+
+// ============================================================================
+// CRON JOBS
+// ============================================================================
+
+lesson.section("Cron jobs", () => {
+    log("\n9️⃣ Cron jobs - a working week on a virtual clock:");
+
+    // createCronScheduler (lib/cron.js) turns cron expressions into plain setTimeout calls.
+    // Handing it its own virtual clock lets days of jobs run in milliseconds.
+    async function cronExample() {
+        const HOUR = 60 * 60 * 1000;
+        const timeZone = "America/New_York";
+        const clock = createVirtualClock({ start: Date.UTC(2024, 0, 1, 12, 0) }); // Mon 07:00 in New York
+        const cron = createCronScheduler({ clock, timeZone });
+        const when = date => date.toLocaleString("en-US", { timeZone, weekday: "short", hour: "2-digit", minute: "2-digit" });
+
+        cron.add("standup", "0 9 * * MON-FRI", ({ scheduledAt, firedAt, missed }) => {
+            const late = firedAt - scheduledAt > 0 ? ` (ran ${when(firedAt)}, ${missed} missed while asleep)` : "";
+            log(`📅 Standup reminder for ${when(scheduledAt)}${late}`);
+        });
+
+        // Due every hour but takes 90 minutes - overlap protection skips the run that would pile up
+        cron.add("report", "0 * * * *", () => new Promise(resolve => clock.setTimeout(resolve, 1.5 * HOUR)));
+
+        await clock.advanceAsync(2 * 24 * HOUR); // Mon 07:00 → Wed 07:00
+        const report = cron.get("report");
+        log(`🧾 Hourly report: ${report.runs} runs, ${report.skippedOverlaps} skipped because the last one was still going`);
+        cron.pause("report");
+
+        // The process sleeps (laptop lid closed) until Friday 10:00 - no timer can fire meanwhile.
+        // On wake-up the default catchUp: "latest" runs the standup once for the three it missed.
+        clock.busyWait(51 * HOUR);
+        await clock.advanceAsync(1);
+
+        for (const job of cron.list()) {
+            const next = job.nextRun ? when(job.nextRun) : "-";
+            log(`📋 ${job.name.padEnd(8)} ${job.state.padEnd(9)} runs ${job.runs}, missed ${job.missed}, next ${next}`);
+        }
+
+        // Same discipline as clearInterval: stop() clears every timer the jobs own
+        cron.stop();
+        log(`🧹 Cron stopped - ${clock.pending()} timers left`);
+    }
+
+    return cronExample();
+});
+
+lesson.outro(() => {
+    log("\n📊 Expected behavior:");
+    log("- Timers will execute in order of their delays");
+    log("- Recursive setTimeout provides better timing guarantees");
+    log("- setInterval keeps no record of slow runs; fixed-delay slips by the work time every run, fixed-rate stays on its grid");
+    log("- Overruns: skip drops missed ticks, queue runs them all late, coalesce runs once for all of them");
+    log("- Cron jobs never overlap themselves, catch up once after a sleep and leave no timers after stop()");
+    log("- setTimeout(0) defers execution until after current sync code");
+    log("- A poller stops on its condition, attempt cap, timeout or stop() - never leaks a timer");
+});
+
+lesson.run();
+
+module.exports = { lesson };
@@ -1,158 +1,120 @@
 // 03-callbacks.js
 // Demonstrates callbacks, callback hell, and solutions
 
-console.log("📞 Starting demonstration of callbacks\n");
+const { setTimeout } = require("./lib/clock");
+const {
+    processArray,
+    fetchUserData,
+    fetchUser,
+    fetchUserPosts,
+    fetchPostComments,
+    fetchCommentAuthor,
+    nodeStyleAPI,
+    readFile,
+    processContent,
+    saveFile
+} = require("./lib/callbacks");
+const { waterfall, auto, mapLimit } = require("./lib/flow");
+const { createLesson } = require("./lib/sections");
+const { log } = require("./lib/logger");
+
+const lesson = createLesson({
+    id: "03",
+    title: "Callbacks",
+    intro: "📞 Starting demonstration of callbacks\n"
+});
 
 // ============================================================================
 // SYNCHRONOUS CALLBACKS
 // ============================================================================
 
-console.log("1️⃣ Synchronous callbacks (immediate execution):");
-
-const numbers = [1, 2, 3, 4, 5];
+lesson.section("Synchronous callbacks", () => {
+    log("1️⃣ Synchronous callbacks (immediate execution):");
 
-// Array methods use synchronous callbacks
-const doubled = numbers.map(num => num * 2);
-console.log("📊 Doubled numbers:", doubled);
+    const numbers = [1, 2, 3, 4, 5];
 
-const filtered = numbers.filter(num => num > 3);
-console.log("🔍 Filtered numbers (>3):", filtered);
+    // Array methods use synchronous callbacks
+    const doubled = numbers.map(num => num * 2);
+    log("📊 Doubled numbers:", doubled);
 
-const sum = numbers.reduce((acc, num) => acc + num, 0);
-console.log("➕ Sum of numbers:", sum);
+    const filtered = numbers.filter(num => num > 3);
+    log("🔍 Filtered numbers (>3):", filtered);
 
-// Custom function with synchronous callback
-function processArray(arr, callback) {
-    const result = [];
-    for (let i = 0; i < arr.length; i++) {
-        result.push(callback(arr[i], i, arr));
-    }
-    return result;
-}
+    const sum = numbers.reduce((acc, num) => acc + num, 0);
+    log("➕ Sum of numbers:", sum);
 
-const processed = processArray(numbers, (num, index) => {
-    return `Item ${index}: ${num}`;
+    // Custom function with synchronous callback (lib/callbacks.js)
+    const processed = processArray(numbers, (num, index) => {
+        return `Item ${index}: ${num}`;
+    });
+    log("🔄 Custom processed:", processed);
 });
-console.log("🔄 Custom processed:", processed);
 
 // ============================================================================
 // ASYNCHRONOUS CALLBACKS
 // ============================================================================
 
-console.log("\n2️⃣ Asynchronous callbacks (delayed execution):");
-
-// setTimeout callback
-setTimeout(() => {
-    console.log("⏰ This runs after 1 second");
-}, 1000);
+lesson.section("Asynchronous callbacks", () => {
+    log("\n2️⃣ Asynchronous callbacks (delayed execution):");
 
-// Simulated API call with callback
-function fetchUserData(userId, callback) {
-    console.log(`📡 Fetching data for user ${userId}...`);
-    
-    // Simulate network delay
+    // setTimeout callback
     setTimeout(() => {
-        const userData = {
-            id: userId,
-            name: "John Doe",
-            email: "john@example.com"
-        };
-        
-        // Simulate success/failure
-        const success = Math.random() > 0.3; // 70% success rate
-        
-        if (success) {
-            callback(null, userData);
+        log("⏰ This runs after 1 second");
+    }, 1000);
+
+    // Using the async callback - fetchUserData simulates a network call (lib/callbacks.js)
+    fetchUserData(123, (error, data) => {
+        if (error) {
+            log("❌ Error:", error.message);
         } else {
-            callback(new Error("Failed to fetch user data"), null);
+            log("✅ User data:", data);
         }
-    }, 2000);
-}
-
-// Using the async callback
-fetchUserData(123, (error, data) => {
-    if (error) {
-        console.log("❌ Error:", error.message);
-    } else {
-        console.log("✅ User data:", data);
-    }
+    });
 });
 
 // ============================================================================
 // CALLBACK HELL EXAMPLE
 // ============================================================================
 
-console.log("\n3️⃣ Callback Hell demonstration:");
-
-// Simulated API functions
-function fetchUser(userId, callback) {
-    setTimeout(() => {
-        console.log(`👤 Fetching user ${userId}...`);
-        callback(null, { id: userId, name: "Alice", email: "alice@example.com" });
-    }, 1000);
-}
-
-function fetchUserPosts(userId, callback) {
-    setTimeout(() => {
-        console.log(`📝 Fetching posts for user ${userId}...`);
-        callback(null, [
-            { id: 1, title: "First Post", userId: userId },
-            { id: 2, title: "Second Post", userId: userId }
-        ]);
-    }, 1000);
-}
-
-function fetchPostComments(postId, callback) {
-    setTimeout(() => {
-        console.log(`💬 Fetching comments for post ${postId}...`);
-        callback(null, [
-            { id: 1, text: "Great post!", postId: postId },
-            { id: 2, text: "Thanks for sharing!", postId: postId }
-        ]);
-    }, 1000);
-}
-
-function fetchCommentAuthor(commentId, callback) {
-    setTimeout(() => {
-        console.log(`👤 Fetching author for comment ${commentId}...`);
-        callback(null, { id: 101, name: "Bob", email: "bob@example.com" });
-    }, 1000);
-}
+lesson.section("Callback hell", () => {
+    log("\n3️⃣ Callback Hell demonstration:");
 
-// ❌ CALLBACK HELL - Hard to read and maintain
-console.log("❌ Callback Hell example:");
-fetchUser(123, (userError, user) => {
-    if (userError) {
-        console.log("❌ User error:", userError.message);
-        return;
-    }
-    
-    console.log("👤 User:", user);
-    
-    fetchUserPosts(user.id, (postsError, posts) => {
-        if (postsError) {
-            console.log("❌ Posts error:", postsError.message);
+    // Simulated API functions: fetchUser → fetchUserPosts → fetchPostComments → fetchCommentAuthor
+    // ❌ CALLBACK HELL - Hard to read and maintain
+    log("❌ Callback Hell example:");
+    fetchUser(123, (userError, user) => {
+        if (userError) {
+            log("❌ User error:", userError.message);
             return;
         }
-        
-        console.log("📝 Posts:", posts);
-        
-        fetchPostComments(posts[0].id, (commentsError, comments) => {
-            if (commentsError) {
-                console.log("❌ Comments error:", commentsError.message);
+
+        log("👤 User:", user);
+
+        fetchUserPosts(user.id, (postsError, posts) => {
+            if (postsError) {
+                log("❌ Posts error:", postsError.message);
                 return;
             }
-            
-            console.log("💬 Comments:", comments);
-            
-            fetchCommentAuthor(comments[0].id, (authorError, author) => {
-                if (authorError) {
-                    console.log("❌ Author error:", authorError.message);
+
+            log("📝 Posts:", posts);
+
+            fetchPostComments(posts[0].id, (commentsError, comments) => {
+                if (commentsError) {
+                    log("❌ Comments error:", commentsError.message);
                     return;
                 }
-                
-                console.log("👤 Comment author:", author);
-                console.log("✅ All data fetched successfully!");
+
+                log("💬 Comments:", comments);
+
+                fetchCommentAuthor(comments[0].id, (authorError, author) => {
+                    if (authorError) {
+                        log("❌ Author error:", authorError.message);
+                        return;
+                    }
+
+                    log("👤 Comment author:", author);
+                    log("✅ All data fetched successfully!");
+                });
             });
         });
     });
@@ -162,139 +124,199 @@ fetchUser(123, (userError, user) => {
 // SOLUTIONS TO CALLBACK HELL
 // ============================================================================
 
-console.log("\n4️⃣ Solutions to Callback Hell:");
+lesson.section("Solution 1: named functions", () => {
+    log("\n4️⃣ Solutions to Callback Hell:");
 
-// ✅ Solution 1: Named functions (better readability)
-function handleUser(userError, user) {
-    if (userError) {
-        console.log("❌ User error:", userError.message);
-        return;
+    // ✅ Solution 1: Named functions (better readability)
+    function handleUser(userError, user) {
+        if (userError) {
+            log("❌ User error:", userError.message);
+            return;
+        }
+        log("👤 User:", user);
+        fetchUserPosts(user.id, handlePosts);
     }
-    console.log("👤 User:", user);
-    fetchUserPosts(user.id, handlePosts);
-}
 
-function handlePosts(postsError, posts) {
-    if (postsError) {
-        console.log("❌ Posts error:", postsError.message);
-        return;
+    function handlePosts(postsError, posts) {
+        if (postsError) {
+            log("❌ Posts error:", postsError.message);
+            return;
+        }
+        log("📝 Posts:", posts);
+        fetchPostComments(posts[0].id, handleComments);
     }
-    console.log("📝 Posts:", posts);
-    fetchPostComments(posts[0].id, handleComments);
-}
 
-function handleComments(commentsError, comments) {
-    if (commentsError) {
-        console.log("❌ Comments error:", commentsError.message);
-        return;
+    function handleComments(commentsError, comments) {
+        if (commentsError) {
+            log("❌ Comments error:", commentsError.message);
+            return;
+        }
+        log("💬 Comments:", comments);
+        fetchCommentAuthor(comments[0].id, handleAuthor);
     }
-    console.log("💬 Comments:", comments);
-    fetchCommentAuthor(comments[0].id, handleAuthor);
-}
 
-function handleAuthor(authorError, author) {
-    if (authorError) {
-        console.log("❌ Author error:", authorError.message);
-        return;
+    function handleAuthor(authorError, author) {
+        if (authorError) {
+            log("❌ Author error:", authorError.message);
+            return;
+        }
+        log("👤 Comment author:", author);
+        log("✅ All data fetched successfully (named functions)!");
     }
-    console.log("👤 Comment author:", author);
-    console.log("✅ All data fetched successfully (named functions)!");
-}
 
-// Start the named function chain
-setTimeout(() => {
-    console.log("✅ Named functions example:");
+    log("✅ Named functions example:");
     fetchUser(456, handleUser);
-}, 8000);
+});
+
+// ✅ Solution 2: a control-flow library (lib/flow.js)
+// The same pyramid as a flat list of steps. Each step passes its results to the
+// next one, and any error skips straight to the single handler at the end.
+lesson.section("Solution 2: waterfall", () => {
+    log("✅ Waterfall example:");
+    waterfall([
+        done => fetchUser(789, done),
+        (user, done) => {
+            log("👤 User:", user);
+            fetchUserPosts(user.id, done);
+        },
+        (posts, done) => {
+            log("📝 Posts:", posts);
+            fetchPostComments(posts[0].id, done);
+        },
+        (comments, done) => {
+            log("💬 Comments:", comments);
+            fetchCommentAuthor(comments[0].id, done);
+        }
+    ], (error, author) => {
+        if (error) {
+            log("❌ Waterfall error:", error.message);
+            return;
+        }
+        log("👤 Comment author:", author);
+        log("✅ All data fetched successfully (waterfall)!");
+    });
+});
+
+// auto works out the order from each task's dependencies: `user` and `profile`
+// start together, `posts` waits for `user`, and comments load two posts at a time.
+// fetchUserData fails 30% of the time - then nothing new starts and we go straight to the end.
+lesson.section("Solution 2: auto and mapLimit", () => {
+    log("✅ auto + mapLimit example:");
+    auto({
+        user: done => fetchUser(321, done),
+        profile: done => fetchUserData(321, done),
+        posts: ["user", (results, done) => fetchUserPosts(results.user.id, done)],
+        comments: ["posts", (results, done) => {
+            mapLimit(results.posts, 2, (post, next) => fetchPostComments(post.id, next), done);
+        }]
+    }, (error, results) => {
+        if (error) {
+            log(`❌ auto stopped early: ${error.message} (finished: ${Object.keys(results).join(", ") || "nothing"})`);
+            return;
+        }
+        log(`✅ ${results.user.name}: ${results.posts.length} posts, ${results.comments.flat().length} comments`);
+    });
+});
 
 // ============================================================================
 // ERROR HANDLING PATTERNS
 // ============================================================================
 
-console.log("\n5️⃣ Error handling patterns:");
-
-// Node.js style: error-first callbacks
-function nodeStyleCallback(error, data) {
-    if (error) {
-        console.log("❌ Error:", error.message);
-        return;
-    }
-    console.log("✅ Data:", data);
-}
+lesson.section("Error-first callbacks", () => {
+    log("\n5️⃣ Error handling patterns:");
 
-// Simulate Node.js style API
-function nodeStyleAPI(callback) {
-    setTimeout(() => {
-        const success = Math.random() > 0.5;
-        if (success) {
-            callback(null, "Success data");
-        } else {
-            callback(new Error("Something went wrong"), null);
+    // Node.js style: error-first callbacks
+    function nodeStyleCallback(error, data) {
+        if (error) {
+            log("❌ Error:", error.message);
+            return;
         }
-    }, 1000);
-}
+        log("✅ Data:", data);
+    }
 
-setTimeout(() => {
-    console.log("🔄 Testing Node.js style callback:");
+    log("🔄 Testing Node.js style callback:");
     nodeStyleAPI(nodeStyleCallback);
-}, 12000);
+});
 
 // ============================================================================
 // REAL-WORLD EXAMPLE
 // ============================================================================
 
-console.log("\n6️⃣ Real-world example - file processing:");
+lesson.section("File processing pipeline", () => {
+    log("\n6️⃣ Real-world example - file processing:");
 
-// Simulated file processing with callbacks
-function readFile(filename, callback) {
-    console.log(`📖 Reading file: ${filename}`);
-    setTimeout(() => {
-        callback(null, `Content of ${filename}`);
-    }, 1000);
-}
-
-function processContent(content, callback) {
-    console.log("🔄 Processing content...");
-    setTimeout(() => {
-        const processed = content.toUpperCase();
-        callback(null, processed);
-    }, 500);
-}
-
-function saveFile(filename, content, callback) {
-    console.log(`💾 Saving to file: ${filename}`);
-    setTimeout(() => {
-        callback(null, `Saved ${content.length} characters to ${filename}`);
-    }, 800);
-}
-
-// Chain the operations
-readFile("input.txt", (readError, content) => {
-    if (readError) {
-        console.log("❌ Read error:", readError.message);
-        return;
-    }
-    
-    processContent(content, (processError, processed) => {
-        if (processError) {
-            console.log("❌ Process error:", processError.message);
+    // Simulated file processing with callbacks: readFile → processContent → saveFile
+    readFile("input.txt", (readError, content) => {
+        if (readError) {
+            log("❌ Read error:", readError.message);
             return;
         }
-        
-        saveFile("output.txt", processed, (saveError, result) => {
-            if (saveError) {
-                console.log("❌ Save error:", saveError.message);
+
+        processContent(content, (processError, processed) => {
+            if (processError) {
+                log("❌ Process error:", processError.message);
                 return;
             }
-            
-            console.log("✅ File processing complete:", result);
+
+            saveFile("output.txt", processed, (saveError, result) => {
+                if (saveError) {
+                    log("❌ Save error:", saveError.message);
+                    return;
+                }
+
+                log("✅ File processing complete:", result);
+            });
         });
     });
+
 });
 
-console.log("\n📊 Expected behavior:");
-console.log("- Synchronous callbacks execute immediately");
-console.log("- Asynchronous callbacks execute after delays");
-console.log("- Callback hell shows nested, hard-to-read code");
-console.log("- Named functions improve readability");
-console.log("- Error-first pattern is common in Node.js"); 
\ No newline at end of file
+// ✅ Cancelling the pipeline: every step accepts { signal } before its callback.
+// Aborting clears the pending timer and the current step calls back with an AbortError,
+// which the waterfall passes straight to `callback`.
+function processFileCancellable(input, output, signal, callback) {
+    waterfall([
+        done => readFile(input, { signal }, done),
+        (content, done) => processContent(content, { signal }, done),
+        (processed, done) => saveFile(output, processed, { signal }, done)
+    ], callback);
+}
+
+lesson.section("Cancelling the pipeline", {
+    setup: () => ({ controller: new AbortController() }),
+
+    run({ controller }) {
+        log("🔄 Cancellable file processing (cancelled after 1.2s):");
+
+        processFileCancellable("big-input.txt", "big-output.txt", controller.signal, (error, result) => {
+            if (error && error.name === "AbortError") {
+                log("⏹️ File processing cancelled:", error.message);
+            } else if (error) {
+                log("❌ File processing error:", error.message);
+            } else {
+                log("✅ File processing complete:", result);
+            }
+        });
+
+        // Reading takes 1s, processing 0.5s - so this lands mid-processing
+        setTimeout(() => controller.abort(), 1200);
+    },
+
+    // Whatever happened in run, nothing is left reading or writing
+    teardown: ({ controller }) => controller.abort()
+});
+
+lesson.outro(() => {
+    log("\n📊 Expected behavior:");
+    log("- Synchronous callbacks execute immediately");
+    log("- Asynchronous callbacks execute after delays");
+    log("- Callback hell shows nested, hard-to-read code");
+    log("- Named functions improve readability");
+    log("- waterfall/auto flatten the pyramid into one error handler; the first error stops the rest");
+    log("- Error-first pattern is common in Node.js");
+    log("- An AbortSignal cancels a callback chain with an AbortError"); 
+});
+
+lesson.run();
+
+module.exports = { lesson };
@@ -1,367 +1,415 @@
 // 04-promises.js
 // Demonstrates promises, states, chaining, and static methods
 
-console.log("🤝 Starting demonstration of promises\n");
+const { setTimeout, random } = require("./lib/clock");
+const { apiCall, fetchUser, fetchUserPosts, fetchPostComments } = require("./lib/api");
+const { callbackToPromise, promisifyAll, callbackify } = require("./lib/promisify");
+const { withTimeout } = require("./lib/timeout");
+const { simulateCall, withChaos } = require("./lib/chaos");
+const { memoize } = require("./lib/memoize");
+const callbackApi = require("./lib/callbacks");
+const { createLesson } = require("./lib/sections");
+const { log } = require("./lib/logger");
+
+const lesson = createLesson({
+    id: "04",
+    title: "Promises",
+    intro: "🤝 Starting demonstration of promises\n"
+});
 
 // ============================================================================
 // WHAT IS A PROMISE?
 // ============================================================================
 
-console.log("1️⃣ What is a Promise?");
-
-// Think of it like a roommate promising to get tacos
-const tacoPromise = new Promise((resolve, reject) => {
-    console.log("🌮 Roommate is going to get tacos...");
-    
-    // Simulate roommate going to get tacos
-    setTimeout(() => {
-        const gotTacos = Math.random() > 0.5; // 50% chance
-        
-        if (gotTacos) {
-            resolve("🌮 Tacos acquired!");
-        } else {
-            reject("😞 No tacos available");
-        }
-    }, 2000);
-});
+lesson.section("What is a Promise?", () => {
+    log("1️⃣ What is a Promise?");
 
-// Using the promise
-tacoPromise
-    .then(result => {
-        console.log("✅ Success:", result);
-    })
-    .catch(error => {
-        console.log("❌ Error:", error);
-    });
-
-// ============================================================================
-// PROMISE STATES
-// ============================================================================
+    // Think of it like a roommate promising to get tacos
+    const tacoPromise = new Promise((resolve, reject) => {
+        log("🌮 Roommate is going to get tacos...");
 
-console.log("\n2️⃣ Promise States:");
-
-// Promise has 3 states: Pending, Fulfilled, Rejected
-const statePromise = new Promise((resolve, reject) => {
-    console.log("⏳ Promise starts in 'pending' state");
-    
-    setTimeout(() => {
-        const success = Math.random() > 0.5;
-        
-        if (success) {
-            console.log("✅ Changing to 'fulfilled' state");
-            resolve("Success!");
-        } else {
-            console.log("❌ Changing to 'rejected' state");
-            reject("Error!");
-        }
-    }, 1000);
-});
+        // Simulate roommate going to get tacos
+        setTimeout(() => {
+            const gotTacos = random() > 0.5; // 50% chance
 
-statePromise
-    .then(result => {
-        console.log("🎉 Promise fulfilled with:", result);
-    })
-    .catch(error => {
-        console.log("💥 Promise rejected with:", error);
+            if (gotTacos) {
+                resolve("🌮 Tacos acquired!");
+            } else {
+                reject("😞 No tacos available");
+            }
+        }, 2000);
     });
 
+    // Using the promise
+    tacoPromise
+        .then(result => {
+            log("✅ Success:", result);
+        })
+        .catch(error => {
+            log("❌ Error:", error);
+        });
+});
+
 // ============================================================================
-// CREATING AND USING PROMISES
+// PROMISE STATES
 // ============================================================================
 
-console.log("\n3️⃣ Creating and Using Promises:");
+lesson.section("Promise states", () => {
+    log("\n2️⃣ Promise States:");
+
+    // Promise has 3 states: Pending, Fulfilled, Rejected
+    const statePromise = new Promise((resolve, reject) => {
+        log("⏳ Promise starts in 'pending' state");
 
-// Creating a promise
-function createPromise(success = true) {
-    return new Promise((resolve, reject) => {
-        console.log("🔄 Creating promise...");
-        
         setTimeout(() => {
+            const success = random() > 0.5;
+
             if (success) {
-                resolve("🎉 Operation successful!");
+                log("✅ Changing to 'fulfilled' state");
+                resolve("Success!");
             } else {
-                reject("💥 Operation failed!");
+                log("❌ Changing to 'rejected' state");
+                reject("Error!");
             }
         }, 1000);
     });
-}
-
-// Using promises
-const successPromise = createPromise(true);
-const failurePromise = createPromise(false);
-
-successPromise
-    .then(result => {
-        console.log("✅ Success promise:", result);
-    })
-    .catch(error => {
-        console.log("❌ Success promise error:", error);
-    });
 
-failurePromise
-    .then(result => {
-        console.log("✅ Failure promise:", result);
-    })
-    .catch(error => {
-        console.log("❌ Failure promise error:", error);
-    });
+    statePromise
+        .then(result => {
+            log("🎉 Promise fulfilled with:", result);
+        })
+        .catch(error => {
+            log("💥 Promise rejected with:", error);
+        });
+});
 
 // ============================================================================
-// PROMISE CHAINING
+// CREATING AND USING PROMISES
 // ============================================================================
 
-console.log("\n4️⃣ Promise Chaining:");
+lesson.section("Creating and using promises", () => {
+    log("\n3️⃣ Creating and Using Promises:");
+
+    // Creating a promise
+    function createPromise(success = true) {
+        return new Promise((resolve, reject) => {
+            log("🔄 Creating promise...");
+
+            setTimeout(() => {
+                if (success) {
+                    resolve("🎉 Operation successful!");
+                } else {
+                    reject("💥 Operation failed!");
+                }
+            }, 1000);
+        });
+    }
+
+    // Using promises
+    const successPromise = createPromise(true);
+    const failurePromise = createPromise(false);
 
-// Simulated API functions that return promises
-function fetchUser(userId) {
-    return new Promise((resolve, reject) => {
-        console.log(`👤 Fetching user ${userId}...`);
-        setTimeout(() => {
-            resolve({ id: userId, name: "Alice", email: "alice@example.com" });
-        }, 1000);
-    });
-}
+    successPromise
+        .then(result => {
+            log("✅ Success promise:", result);
+        })
+        .catch(error => {
+            log("❌ Success promise error:", error);
+        });
 
-function fetchUserPosts(userId) {
-    return new Promise((resolve, reject) => {
-        console.log(`📝 Fetching posts for user ${userId}...`);
-        setTimeout(() => {
-            resolve([
-                { id: 1, title: "First Post", userId: userId },
-                { id: 2, title: "Second Post", userId: userId }
-            ]);
-        }, 1000);
-    });
-}
+    failurePromise
+        .then(result => {
+            log("✅ Failure promise:", result);
+        })
+        .catch(error => {
+            log("❌ Failure promise error:", error);
+        });
+});
 
-function fetchPostComments(postId) {
-    return new Promise((resolve, reject) => {
-        console.log(`💬 Fetching comments for post ${postId}...`);
-        setTimeout(() => {
-            resolve([
-                { id: 1, text: "Great post!", postId: postId },
-                { id: 2, text: "Thanks for sharing!", postId: postId }
-            ]);
-        }, 1000);
-    });
-}
-
-// ✅ Clean promise chain (solves callback hell)
-console.log("✅ Promise chain example:");
-fetchUser(123)
-    .then(user => {
-        console.log("👤 User:", user);
-        return fetchUserPosts(user.id);
-    })
-    .then(posts => {
-        console.log("📝 Posts:", posts);
-        return fetchPostComments(posts[0].id);
-    })
-    .then(comments => {
-        console.log("💬 Comments:", comments);
-        console.log("✅ All data fetched successfully!");
-    })
-    .catch(error => {
-        console.log("❌ Error in chain:", error);
-    });
+// ============================================================================
+// PROMISE CHAINING
+// ============================================================================
+
+lesson.section("Promise chaining", () => {
+    log("\n4️⃣ Promise Chaining:");
+
+    // Simulated API functions that return promises (lib/api.js)
+    // ✅ Clean promise chain (solves callback hell)
+    log("✅ Promise chain example:");
+    fetchUser(123)
+        .then(user => {
+            log("👤 User:", user);
+            return fetchUserPosts(user.id);
+        })
+        .then(posts => {
+            log("📝 Posts:", posts);
+            return fetchPostComments(posts[0].id);
+        })
+        .then(comments => {
+            log("💬 Comments:", comments);
+            log("✅ All data fetched successfully!");
+        })
+        .catch(error => {
+            log("❌ Error in chain:", error);
+        });
+});
 
 // ============================================================================
 // STATIC PROMISE METHODS
 // ============================================================================
 
-console.log("\n5️⃣ Static Promise Methods:");
-
-// Promise.all() - Wait for all promises
-const promises = [
-    new Promise(resolve => setTimeout(() => resolve("User data"), 1000)),
-    new Promise(resolve => setTimeout(() => resolve("Post data"), 1500)),
-    new Promise(resolve => setTimeout(() => resolve("Comment data"), 2000))
-];
-
-Promise.all(promises)
-    .then(results => {
-        console.log("📊 Promise.all results:", results);
-    })
-    .catch(error => {
-        console.log("❌ Promise.all error:", error);
-    });
+lesson.section("Static Promise methods", () => {
+    log("\n5️⃣ Static Promise Methods:");
+
+    // Promise.all() - Wait for all promises
+    const promises = [
+        new Promise(resolve => setTimeout(() => resolve("User data"), 1000)),
+        new Promise(resolve => setTimeout(() => resolve("Post data"), 1500)),
+        new Promise(resolve => setTimeout(() => resolve("Comment data"), 2000))
+    ];
+
+    Promise.all(promises)
+        .then(results => {
+            log("📊 Promise.all results:", results);
+        })
+        .catch(error => {
+            log("❌ Promise.all error:", error);
+        });
 
-// Promise.race() - Wait for first promise
-const racePromises = [
-    new Promise(resolve => setTimeout(() => resolve("Fast"), 1000)),
-    new Promise(resolve => setTimeout(() => resolve("Slow"), 3000))
-];
+    // Promise.race() - Wait for first promise
+    const racePromises = [
+        new Promise(resolve => setTimeout(() => resolve("Fast"), 1000)),
+        new Promise(resolve => setTimeout(() => resolve("Slow"), 3000))
+    ];
 
-Promise.race(racePromises)
-    .then(result => {
-        console.log("🏁 Promise.race winner:", result);
-    });
+    Promise.race(racePromises)
+        .then(result => {
+            log("🏁 Promise.race winner:", result);
+        });
 
-// Promise.allSettled() - Wait for all, regardless of success/failure
-const mixedPromises = [
-    Promise.resolve("Success 1"),
-    Promise.reject("Error 1"),
-    Promise.resolve("Success 2"),
-    Promise.reject("Error 2")
-];
-
-Promise.allSettled(mixedPromises)
-    .then(results => {
-        console.log("📋 Promise.allSettled results:");
-        results.forEach((result, index) => {
-            if (result.status === 'fulfilled') {
-                console.log(`  ✅ Promise ${index} succeeded:`, result.value);
+    // Promise.race() as a real timeout - note the "Slow" timer above still runs
+    // for 3 seconds after losing. withTimeout clears its timer whichever side wins
+    // and rejects with a TimeoutError you can tell apart from other failures.
+    withTimeout(fetchUser(321), 500)
+        .then(user => log("⏱️ Loaded in time:", user.name))
+        .catch(error => {
+            if (error.name === "TimeoutError") {
+                log(`⏱️ withTimeout gave up after ${error.timeout}ms`);
             } else {
-                console.log(`  ❌ Promise ${index} failed:`, result.reason);
+                log("❌ withTimeout error:", error.message);
             }
         });
-    });
+
+    // Passing a function hands it a signal, so the slow request is cancelled too
+    withTimeout(signal => fetchUserPosts(321, { signal }), 2000)
+        .then(posts => log(`⏱️ ${posts.length} posts loaded within 2s`));
+
+    // Promise.allSettled() - Wait for all, regardless of success/failure
+    const mixedPromises = [
+        Promise.resolve("Success 1"),
+        Promise.reject("Error 1"),
+        Promise.resolve("Success 2"),
+        Promise.reject("Error 2")
+    ];
+
+    Promise.allSettled(mixedPromises)
+        .then(results => {
+            log("📋 Promise.allSettled results:");
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled') {
+                    log(`  ✅ Promise ${index} succeeded:`, result.value);
+                } else {
+                    log(`  ❌ Promise ${index} failed:`, result.reason);
+                }
+            });
+        });
+});
 
 // ============================================================================
 // ERROR HANDLING
 // ============================================================================
 
-console.log("\n6️⃣ Error Handling:");
-
-// Promise with error
-const errorPromise = new Promise((resolve, reject) => {
-    setTimeout(() => {
-        reject(new Error("Something went wrong"));
-    }, 1000);
-});
+lesson.section("Error handling", () => {
+    log("\n6️⃣ Error Handling:");
 
-// Using .catch() for error handling
-errorPromise
-    .then(result => {
-        console.log("✅ This won't run");
-    })
-    .catch(error => {
-        console.log("❌ Caught error:", error.message);
+    // Promise with error
+    const errorPromise = new Promise((resolve, reject) => {
+        setTimeout(() => {
+            reject(new Error("Something went wrong"));
+        }, 1000);
     });
 
-// Error in .then() callback
-new Promise(resolve => resolve("Success"))
-    .then(result => {
-        console.log("✅ Got result:", result);
-        throw new Error("Error in .then()");
-    })
-    .catch(error => {
-        console.log("❌ Caught error from .then():", error.message);
-    });
+    // Using .catch() for error handling
+    errorPromise
+        .then(result => {
+            log("✅ This won't run");
+        })
+        .catch(error => {
+            log("❌ Caught error:", error.message);
+        });
+
+    // Error in .then() callback
+    new Promise(resolve => resolve("Success"))
+        .then(result => {
+            log("✅ Got result:", result);
+            throw new Error("Error in .then()");
+        })
+        .catch(error => {
+            log("❌ Caught error from .then():", error.message);
+        });
+});
 
 // ============================================================================
 // REAL-WORLD EXAMPLE
 // ============================================================================
 
-console.log("\n7️⃣ Real-world example - API calls:");
+lesson.section("Sequential and concurrent API calls", () => {
+    log("\n7️⃣ Real-world example - API calls:");
 
-// Simulated API functions
-function apiCall(endpoint, delay = 1000) {
-    return new Promise((resolve, reject) => {
-        console.log(`📡 Calling API: ${endpoint}`);
-        setTimeout(() => {
-            const success = Math.random() > 0.2; // 80% success rate
-            if (success) {
-                resolve({ endpoint, data: `Data from ${endpoint}` });
-            } else {
-                reject(new Error(`Failed to fetch ${endpoint}`));
-            }
-        }, delay);
-    });
-}
-
-// Sequential API calls
-async function sequentialCalls() {
-    try {
-        console.log("🔄 Sequential API calls:");
-        const user = await apiCall("/api/user", 1000);
-        console.log("✅ User loaded");
-        
-        const posts = await apiCall("/api/posts", 1500);
-        console.log("✅ Posts loaded");
-        
-        const comments = await apiCall("/api/comments", 2000);
-        console.log("✅ Comments loaded");
-        
-        console.log("🎉 All sequential calls completed!");
-    } catch (error) {
-        console.log("❌ Sequential calls error:", error.message);
-    }
-}
-
-// Concurrent API calls
-async function concurrentCalls() {
-    try {
-        console.log("🔄 Concurrent API calls:");
-        const [user, posts, comments] = await Promise.all([
-            apiCall("/api/user", 1000),
-            apiCall("/api/posts", 1500),
-            apiCall("/api/comments", 2000)
-        ]);
-        
-        console.log("🎉 All concurrent calls completed!");
-        console.log("📊 Results:", { user, posts, comments });
-    } catch (error) {
-        console.log("❌ Concurrent calls error:", error.message);
+    // apiCall (lib/api.js) succeeds 80% of the time
+    // Sequential API calls
+    async function sequentialCalls() {
+        try {
+            log("🔄 Sequential API calls:");
+            const user = await apiCall("/api/user", 1000);
+            log("✅ User loaded");
+
+            const posts = await apiCall("/api/posts", 1500);
+            log("✅ Posts loaded");
+
+            const comments = await apiCall("/api/comments", 2000);
+            log("✅ Comments loaded");
+
+            log("🎉 All sequential calls completed!");
+        } catch (error) {
+            log("❌ Sequential calls error:", error.message);
+        }
     }
-}
 
-// Start the examples
-setTimeout(() => {
-    sequentialCalls();
-}, 8000);
+    // Concurrent API calls
+    async function concurrentCalls() {
+        try {
+            log("🔄 Concurrent API calls:");
+            const [user, posts, comments] = await Promise.all([
+                apiCall("/api/user", 1000),
+                apiCall("/api/posts", 1500),
+                apiCall("/api/comments", 2000)
+            ]);
 
-setTimeout(() => {
-    concurrentCalls();
-}, 12000);
+            log("🎉 All concurrent calls completed!");
+            log("📊 Results:", { user, posts, comments });
+        } catch (error) {
+            log("❌ Concurrent calls error:", error.message);
+        }
+    }
+
+    // One after the other, so the two timelines are easy to compare
+    return sequentialCalls().then(concurrentCalls);
+});
 
 // ============================================================================
 // PROMISE UTILITIES
 // ============================================================================
 
-console.log("\n8️⃣ Promise utilities:");
+lesson.section("Promise utilities", () => {
+    log("\n8️⃣ Promise utilities:");
 
-// Promise.resolve() - Create resolved promise
-Promise.resolve("Immediate success")
-    .then(result => console.log("✅ Resolved:", result));
+    // Promise.resolve() - Create resolved promise
+    Promise.resolve("Immediate success")
+        .then(result => log("✅ Resolved:", result));
 
-// Promise.reject() - Create rejected promise
-Promise.reject(new Error("Immediate failure"))
-    .catch(error => console.log("❌ Rejected:", error.message));
+    // Promise.reject() - Create rejected promise
+    Promise.reject(new Error("Immediate failure"))
+        .catch(error => log("❌ Rejected:", error.message));
 
-// Converting callback-based API to promise
-function callbackToPromise(callbackFunction) {
-    return new Promise((resolve, reject) => {
-        callbackFunction((error, result) => {
-            if (error) {
-                reject(error);
-            } else {
-                resolve(result);
-            }
-        });
-    });
-}
-
-// Example usage
-const callbackAPI = (callback) => {
-    setTimeout(() => {
-        const success = Math.random() > 0.5;
-        if (success) {
-            callback(null, "Callback success");
-        } else {
-            callback(new Error("Callback error"), null);
+    // Converting callback-based API to promise with callbackToPromise (lib/promisify.js)
+    // It succeeds half of the time - simulateCall (lib/chaos.js) decides, after a 1s delay
+    const callbackAPI = (callback) => {
+        simulateCall("callbackAPI", { error: "Callback error" }, () => "Callback success", callback);
+    };
+
+    callbackToPromise(callbackAPI)
+        .then(result => log("✅ Converted callback:", result))
+        .catch(error => log("❌ Converted callback error:", error.message));
+
+    // Converting a whole callback API at once - every error-first method now returns a promise
+    const promisedApi = promisifyAll(callbackApi, { exclude: ["processArray"] });
+
+    promisedApi.readFile("input.txt")
+        .then(content => promisedApi.processContent(content))
+        .then(processed => promisedApi.saveFile("output.txt", processed))
+        .then(result => log("✅ Promisified file pipeline:", result))
+        .catch(error => log("❌ Promisified pipeline error:", error.message));
+
+    // ...and back again: a promise-returning function used with an error-first callback
+    const fetchUserWithCallback = callbackify(fetchUser);
+
+    fetchUserWithCallback(789, (error, user) => {
+        if (error) {
+            log("❌ Callbackified error:", error.message);
+            return;
         }
-    }, 1000);
-};
-
-callbackToPromise(callbackAPI)
-    .then(result => console.log("✅ Converted callback:", result))
-    .catch(error => console.log("❌ Converted callback error:", error.message));
-
-console.log("\n📊 Expected behavior:");
-console.log("- Promises start in 'pending' state");
-console.log("- They transition to 'fulfilled' or 'rejected'");
-console.log("- Promise.all waits for all promises");
-console.log("- Promise.race returns the first to complete");
-console.log("- Promise.allSettled waits for all regardless of outcome");
-console.log("- Chaining makes async code more readable"); 
\ No newline at end of file
+        log("✅ Callbackified user:", user.name);
+    });
+});
+
+// ============================================================================
+// SHARING REQUESTS
+// ============================================================================
+
+lesson.section("Deduplicating and caching requests", async () => {
+    log("\n9️⃣ Deduplicating and caching requests:");
+
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    // Every fetchUser call starts its own timer - memoize shares one call between callers
+    const getUser = memoize(fetchUser, {
+        ttl: 1000,                    // fresh for 1s...
+        staleWhileRevalidate: 2000,   // ...then served stale for 2s while it refreshes
+        maxSize: 2
+    });
+
+    log("🔄 Three parts of a page ask for user 123 at once:");
+    const users = await Promise.all([getUser(123), getUser(123), getUser(123)]);
+    log(`✅ ${users.length} answers from one request: ${users.map(user => user.name).join(", ")}`);
+
+    await getUser(123);
+    log("✅ Asked again within the ttl - served from the cache, no request");
+
+    await wait(1500);
+    const stale = await getUser(123);
+    log(`✅ 1.5s later: stale ${stale.name} right away, while a refresh runs in the background`);
+    await wait(1000);
+
+    // A rejection is dropped rather than cached, so the next call tries again
+    await withChaos({ endpoints: { fetchUser: { errorRate: 1 } } }, () => getUser(456))
+        .catch(error => log("❌ First try failed:", error.message));
+    const retried = await getUser(456);
+    log(`✅ Second try fetched user ${retried.id} again`);
+
+    // maxSize 2: a third user evicts the least recently used one
+    await getUser(789);
+    log(`📦 ${getUser.size} users cached - user 123 was evicted`);
+
+    getUser.invalidate(456);
+    await getUser(456);
+    log("✅ After invalidate(456), user 456 was fetched again");
+    log("📊 Cache stats:", getUser.stats);
+});
+
+lesson.outro(() => {
+    log("\n📊 Expected behavior:");
+    log("- Promises start in 'pending' state");
+    log("- They transition to 'fulfilled' or 'rejected'");
+    log("- Promise.all waits for all promises");
+    log("- Promise.race returns the first to complete");
+    log("- withTimeout turns a race into a timeout and cleans up its timer");
+    log("- Promise.allSettled waits for all regardless of outcome");
+    log("- Chaining makes async code more readable");
+    log("- promisify/callbackify convert between callbacks and promises"); 
+    log("- memoize shares one in-flight request between callers and caches the result");
+});
+
+lesson.run();
+
+module.exports = { lesson };
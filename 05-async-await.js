@@ -1,385 +1,559 @@
 // 05-async-await.js
 // Demonstrates async/await syntax, patterns, and error handling
 
-console.log("⏳ Starting demonstration of async/await\n");
+const { setTimeout, now } = require("./lib/clock");
+const {
+    apiCall,
+    fetchUser,
+    fetchUserPosts,
+    fetchPostComments,
+    riskyOperation,
+    loadUserProfile
+} = require("./lib/api");
+const { retry } = require("./lib/retry");
+const { createLimiter, mapConcurrent } = require("./lib/concurrency");
+const { anySignal, timeoutSignal } = require("./lib/abort");
+const { createDeadline } = require("./lib/timeout");
+const { createLesson } = require("./lib/sections");
+const { log } = require("./lib/logger");
+const { withContext, bind } = require("./lib/context");
+const { createCircuitBreaker } = require("./lib/circuit-breaker");
+const { withChaos } = require("./lib/chaos");
+
+const lesson = createLesson({
+    id: "05",
+    title: "Async/await",
+    intro: "⏳ Starting demonstration of async/await\n"
+});
 
 // ============================================================================
 // THE ASYNC KEYWORD
 // ============================================================================
 
-console.log("1️⃣ The async keyword:");
+lesson.section("The async keyword", () => {
+    log("1️⃣ The async keyword:");
 
-// async functions always return promises
-async function greet() {
-    return "👋 Hello from async function!";
-}
+    // async functions always return promises
+    async function greet() {
+        return "👋 Hello from async function!";
+    }
 
-// Equivalent to:
-function greetPromise() {
-    return Promise.resolve("👋 Hello from promise function!");
-}
+    // Equivalent to:
+    function greetPromise() {
+        return Promise.resolve("👋 Hello from promise function!");
+    }
 
-// Using async functions
-greet().then(message => {
-    console.log("✅ Async function result:", message);
-});
+    // Using async functions
+    greet().then(message => {
+        log("✅ Async function result:", message);
+    });
 
-greetPromise().then(message => {
-    console.log("✅ Promise function result:", message);
+    greetPromise().then(message => {
+        log("✅ Promise function result:", message);
+    });
 });
 
 // ============================================================================
 // THE AWAIT KEYWORD
 // ============================================================================
 
-console.log("\n2️⃣ The await keyword:");
+lesson.section("The await keyword", () => {
+    log("\n2️⃣ The await keyword:");
 
-// Simulated API functions
-function fetchUser(userId) {
-    return new Promise((resolve, reject) => {
-        console.log(`👤 Fetching user ${userId}...`);
-        setTimeout(() => {
-            resolve({ id: userId, name: "Alice", email: "alice@example.com" });
-        }, 1000);
-    });
-}
+    // fetchUser and fetchUserPosts are simulated APIs (lib/api.js)
+    // Using await (looks synchronous!)
+    async function fetchUserData() {
+        try {
+            log("🔄 Starting to fetch user data...");
 
-function fetchUserPosts(userId) {
-    return new Promise((resolve, reject) => {
-        console.log(`📝 Fetching posts for user ${userId}...`);
-        setTimeout(() => {
-            resolve([
-                { id: 1, title: "First Post", userId: userId },
-                { id: 2, title: "Second Post", userId: userId }
-            ]);
-        }, 1000);
-    });
-}
+            const user = await fetchUser(123);
+            log("👤 User loaded:", user);
 
-// Using await (looks synchronous!)
-async function fetchUserData() {
-    try {
-        console.log("🔄 Starting to fetch user data...");
-        
-        const user = await fetchUser(123);
-        console.log("👤 User loaded:", user);
-        
-        const posts = await fetchUserPosts(user.id);
-        console.log("📝 Posts loaded:", posts);
-        
-        return { user, posts };
-    } catch (error) {
-        console.log("❌ Error:", error.message);
-    }
-}
+            const posts = await fetchUserPosts(user.id);
+            log("📝 Posts loaded:", posts);
 
-// Call the async function
-fetchUserData().then(result => {
-    if (result) {
-        console.log("✅ Final result:", result);
+            return { user, posts };
+        } catch (error) {
+            log("❌ Error:", error.message);
+        }
     }
+
+    // Call the async function
+    fetchUserData().then(result => {
+        if (result) {
+            log("✅ Final result:", result);
+        }
+    });
 });
 
 // ============================================================================
 // EXECUTION PATTERNS
 // ============================================================================
 
-console.log("\n3️⃣ Execution Patterns:");
+lesson.section("Sequential, concurrent and limited execution", () => {
+    log("\n3️⃣ Execution Patterns:");
 
-// Simulated API functions with different delays
-function apiCall(endpoint, delay = 1000) {
-    return new Promise((resolve, reject) => {
-        console.log(`📡 Calling ${endpoint}...`);
-        setTimeout(() => {
-            const success = Math.random() > 0.2; // 80% success rate
-            if (success) {
-                resolve({ endpoint, data: `Data from ${endpoint}` });
-            } else {
-                reject(new Error(`Failed to fetch ${endpoint}`));
-            }
-        }, delay);
-    });
-}
+    // apiCall (lib/api.js) takes the delay as its second argument
+    // Sequential Execution
+    async function sequentialExecution() {
+        log("🔄 Sequential execution:");
 
-// Sequential Execution
-async function sequentialExecution() {
-    console.log("🔄 Sequential execution:");
-    
-    const start = Date.now();
-    
-    const result1 = await apiCall("/api/data1", 2000);
-    console.log("✅ First request done");
-    
-    const result2 = await apiCall("/api/data2", 1000);
-    console.log("✅ Second request done");
-    
-    const result3 = await apiCall("/api/data3", 1500);
-    console.log("✅ Third request done");
-    
-    const totalTime = Date.now() - start;
-    console.log(`⏱️ Total time: ${totalTime}ms (sequential)`);
-    
-    return [result1, result2, result3];
-}
+        const start = now();
 
-// Concurrent Execution
-async function concurrentExecution() {
-    console.log("🔄 Concurrent execution:");
-    
-    const start = Date.now();
-    
-    // Start all requests at the same time
-    const promise1 = apiCall("/api/data1", 2000);
-    const promise2 = apiCall("/api/data2", 1000);
-    const promise3 = apiCall("/api/data3", 1500);
-    
-    // Wait for all to complete
-    const [result1, result2, result3] = await Promise.all([promise1, promise2, promise3]);
-    
-    const totalTime = Date.now() - start;
-    console.log(`⏱️ Total time: ${totalTime}ms (concurrent)`);
-    
-    return [result1, result2, result3];
-}
+        try {
+            const result1 = await apiCall("/api/data1", 2000);
+            log("✅ First request done");
 
-// Start the execution pattern examples
-setTimeout(() => {
-    sequentialExecution();
-}, 5000);
+            const result2 = await apiCall("/api/data2", 1000);
+            log("✅ Second request done");
 
-setTimeout(() => {
-    concurrentExecution();
-}, 10000);
+            const result3 = await apiCall("/api/data3", 1500);
+            log("✅ Third request done");
 
-// ============================================================================
-// ERROR HANDLING
-// ============================================================================
+            const totalTime = now() - start;
+            log(`⏱️ Total time: ${totalTime}ms (sequential)`);
 
-console.log("\n4️⃣ Error handling with async/await:");
+            return [result1, result2, result3];
+        } catch (error) {
+            log("❌ Sequential execution error:", error.message);
+        }
+    }
 
-// Function that might fail
-function riskyOperation() {
-    return new Promise((resolve, reject) => {
-        setTimeout(() => {
-            const success = Math.random() > 0.5;
-            if (success) {
-                resolve("🎉 Operation successful!");
-            } else {
-                reject(new Error("💥 Operation failed!"));
-            }
-        }, 1000);
-    });
-}
+    // Concurrent Execution
+    async function concurrentExecution() {
+        log("🔄 Concurrent execution:");
 
-// Error handling with try/catch
-async function handleErrors() {
-    try {
-        console.log("🔄 Attempting risky operation...");
-        const result = await riskyOperation();
-        console.log("✅ Success:", result);
-    } catch (error) {
-        console.log("❌ Error caught:", error.message);
-    }
-}
+        const start = now();
 
-// Multiple error handling approaches
-async function multipleErrorHandling() {
-    // Approach 1: try/catch
-    try {
-        const result1 = await riskyOperation();
-        console.log("✅ Try/catch success:", result1);
-    } catch (error) {
-        console.log("❌ Try/catch error:", error.message);
+        try {
+            // Start all requests at the same time
+            const promise1 = apiCall("/api/data1", 2000);
+            const promise2 = apiCall("/api/data2", 1000);
+            const promise3 = apiCall("/api/data3", 1500);
+
+            // Wait for all to complete
+            const [result1, result2, result3] = await Promise.all([promise1, promise2, promise3]);
+
+            const totalTime = now() - start;
+            log(`⏱️ Total time: ${totalTime}ms (concurrent)`);
+
+            return [result1, result2, result3];
+        } catch (error) {
+            log("❌ Concurrent execution error:", error.message);
+        }
     }
-    
-    // Approach 2: .catch() on the promise
-    const result2 = await riskyOperation().catch(error => {
-        console.log("❌ .catch() error:", error.message);
-        return "Fallback value";
-    });
-    console.log("✅ .catch() result:", result2);
-}
 
-// Start error handling examples
-setTimeout(() => {
-    handleErrors();
-}, 15000);
+    // Limited concurrency - Promise.all starts everything at once, which is fine
+    // for 3 endpoints but not for hundreds of IDs. A limiter keeps N in flight.
+    async function compareFanOut() {
+        const ids = [1, 2, 3, 4, 5, 6];
+
+        async function timed(label, concurrency) {
+            const limiter = createLimiter(concurrency);
+            let peak = 0;
+            const start = now();
+
+            // Collect mode keeps going past failures so every strategy does the same work
+            const results = await mapConcurrent(ids, id => {
+                peak = Math.max(peak, limiter.activeCount);
+                return apiCall(`/api/item/${id}`, 1000);
+            }, { limiter, mode: "collect" }).catch(error => error.results);
+
+            const loaded = results.filter(Boolean).length;
+            log(`⏱️ ${label}: ${now() - start}ms, peak in flight: ${peak}, loaded ${loaded}/${ids.length}`);
+        }
 
-setTimeout(() => {
-    multipleErrorHandling();
-}, 17000);
+        log("🔄 Sequential vs limited vs unbounded fan-out:");
+        await timed("Sequential (concurrency 1)", 1);
+        await timed("Limited (concurrency 2)", 2);
+        await timed("Unbounded (Promise.all)", Infinity);
+    }
+
+    // One pattern after another, so nothing else competes for the timeline. Each
+    // handles its own failures, so a failed request never skips the ones after it.
+    return sequentialExecution()
+        .then(() => concurrentExecution())
+        .then(() => compareFanOut());
+});
 
 // ============================================================================
-// REAL-WORLD EXAMPLE
+// ERROR HANDLING
 // ============================================================================
 
-console.log("\n5️⃣ Real-world example - User profile loading:");
-
-async function loadUserProfile(userId) {
-    try {
-        console.log(`🔄 Loading profile for user ${userId}...`);
-        
-        // Start all requests concurrently
-        const [user, posts, followers] = await Promise.all([
-            fetchUser(userId),
-            fetchUserPosts(userId),
-            fetchFollowers(userId)
-        ]);
-        
-        console.log("✅ All profile data loaded!");
-        
-        return {
-            user,
-            posts,
-            followers
-        };
-    } catch (error) {
-        console.error("❌ Failed to load profile:", error.message);
-        throw error;
+lesson.section("Error handling", () => {
+    log("\n4️⃣ Error handling with async/await:");
+
+    // riskyOperation (lib/api.js) fails half of the time
+    // Error handling with try/catch
+    async function handleErrors() {
+        try {
+            log("🔄 Attempting risky operation...");
+            const result = await riskyOperation();
+            log("✅ Success:", result);
+        } catch (error) {
+            log("❌ Error caught:", error.message);
+        }
     }
-}
 
-// Helper function for followers
-function fetchFollowers(userId) {
-    return new Promise((resolve, reject) => {
-        console.log(`👥 Fetching followers for user ${userId}...`);
-        setTimeout(() => {
-            resolve([
-                { id: 101, name: "Bob" },
-                { id: 102, name: "Charlie" },
-                { id: 103, name: "Diana" }
-            ]);
-        }, 1200);
-    });
-}
+    // Multiple error handling approaches
+    async function multipleErrorHandling() {
+        // Approach 1: try/catch
+        try {
+            const result1 = await riskyOperation();
+            log("✅ Try/catch success:", result1);
+        } catch (error) {
+            log("❌ Try/catch error:", error.message);
+        }
+
+        // Approach 2: .catch() on the promise
+        const result2 = await riskyOperation().catch(error => {
+            log("❌ .catch() error:", error.message);
+            return "Fallback value";
+        });
+        log("✅ .catch() result:", result2);
+    }
 
-// Using the profile loader
-setTimeout(() => {
-    loadUserProfile(123)
+    // Both catch their own errors, so the second one always runs
+    return handleErrors().then(() => multipleErrorHandling());
+});
+
+// ============================================================================
+// REAL-WORLD EXAMPLE
+// ============================================================================
+
+lesson.section("Loading a user profile", () => {
+    log("\n5️⃣ Real-world example - User profile loading:");
+
+    // loadUserProfile (lib/api.js) fetches user, posts and followers with Promise.all.
+    // withContext gives the load a correlation ID (lib/context.js): its three requests
+    // log as [req-1.1], [req-1.2] and [req-1.3], however their lines interleave
+    return withContext("loadUserProfile", () => loadUserProfile(123))
         .then(profile => {
-            console.log("📊 Complete profile:", profile);
+            log("📊 Complete profile:", profile);
         })
         .catch(error => {
-            console.log("❌ Profile loading failed:", error.message);
+            log("❌ Profile loading failed:", error.message);
         });
-}, 20000);
+});
 
 // ============================================================================
 // ADVANCED PATTERNS
 // ============================================================================
 
-console.log("\n6️⃣ Advanced patterns:");
-
-// Parallel execution with error handling
-async function parallelWithErrorHandling() {
-    console.log("🔄 Parallel execution with error handling:");
-    
-    const promises = [
-        apiCall("/api/users").catch(e => ({ error: e.message })),
-        apiCall("/api/posts").catch(e => ({ error: e.message })),
-        apiCall("/api/comments").catch(e => ({ error: e.message }))
-    ];
-    
-    const results = await Promise.all(promises);
-    
-    results.forEach((result, index) => {
-        if (result.error) {
-            console.log(`❌ API ${index + 1} failed:`, result.error);
-        } else {
-            console.log(`✅ API ${index + 1} succeeded:`, result.data);
+lesson.section("Advanced patterns", () => {
+    log("\n6️⃣ Advanced patterns:");
+
+    // Parallel execution with error handling
+    async function parallelWithErrorHandling() {
+        log("🔄 Parallel execution with error handling:");
+
+        const promises = [
+            apiCall("/api/users").catch(e => ({ error: e.message })),
+            apiCall("/api/posts").catch(e => ({ error: e.message })),
+            apiCall("/api/comments").catch(e => ({ error: e.message }))
+        ];
+
+        const results = await Promise.all(promises);
+
+        results.forEach((result, index) => {
+            if (result.error) {
+                log(`❌ API ${index + 1} failed:`, result.error);
+            } else {
+                log(`✅ API ${index + 1} succeeded:`, result.data);
+            }
+        });
+    }
+
+    // Sequential with early exit
+    async function sequentialWithEarlyExit() {
+        log("🔄 Sequential with early exit:");
+
+        try {
+            const user = await apiCall("/api/user");
+            log("✅ User loaded");
+
+            if (!user.data) {
+                throw new Error("No user data");
+            }
+
+            const posts = await apiCall("/api/posts");
+            log("✅ Posts loaded");
+
+            const comments = await apiCall("/api/comments");
+            log("✅ Comments loaded");
+
+            log("🎉 All data loaded successfully!");
+        } catch (error) {
+            log("❌ Early exit due to error:", error.message);
+        }
+    }
+
+    // Both catch their own errors, so the second one always runs
+    return withContext("parallelWithErrorHandling", parallelWithErrorHandling)
+        .then(() => withContext("sequentialWithEarlyExit", sequentialWithEarlyExit));
+});
+
+// ============================================================================
+// ASYNC/AWAIT VS PROMISES
+// ============================================================================
+
+lesson.section("Async/await vs promises", () => {
+    log("\n7️⃣ Async/await vs Promises comparison:");
+
+    // Promise chain approach
+    function promiseChain() {
+        return fetchUser(123)
+            .then(user => {
+                log("👤 User (promise):", user);
+                return fetchUserPosts(user.id);
+            })
+            .then(posts => {
+                log("📝 Posts (promise):", posts);
+                return fetchPostComments(posts[0].id);
+            })
+            .then(comments => {
+                log("💬 Comments (promise):", comments);
+            })
+            .catch(error => {
+                log("❌ Promise chain error:", error.message);
+            });
+    }
+
+    // Async/await approach
+    async function asyncAwaitApproach() {
+        try {
+            const user = await fetchUser(123);
+            log("👤 User (async):", user);
+
+            const posts = await fetchUserPosts(user.id);
+            log("📝 Posts (async):", posts);
+
+            const comments = await fetchPostComments(posts[0].id);
+            log("💬 Comments (async):", comments);
+        } catch (error) {
+            log("❌ Async/await error:", error.message);
         }
+    }
+
+    // Same steps, same result - one style after the other
+    log("🔄 Promise chain approach:");
+    return promiseChain().then(() => {
+        log("🔄 Async/await approach:");
+        return asyncAwaitApproach();
     });
-}
+});
+
+// ============================================================================
+// RETRYING FLAKY CALLS
+// ============================================================================
+
+lesson.section("Retrying flaky calls", () => {
+    log("\n8️⃣ Retrying flaky calls:");
+
+    // apiCall fails 20% of the time - instead of giving up, retry with backoff
+    function logAttempt(endpoint) {
+        return event => {
+            if (event.outcome === "success") {
+                log(`✅ ${endpoint} succeeded on attempt ${event.attempt}`);
+            } else if (event.willRetry) {
+                log(`🔁 ${endpoint} attempt ${event.attempt} failed, retrying in ${event.delay}ms`);
+            } else {
+                log(`❌ ${endpoint} attempt ${event.attempt} failed, giving up`);
+            }
+        };
+    }
 
-// Sequential with early exit
-async function sequentialWithEarlyExit() {
-    console.log("🔄 Sequential with early exit:");
-    
-    try {
-        const user = await apiCall("/api/user");
-        console.log("✅ User loaded");
-        
-        if (!user.data) {
-            throw new Error("No user data");
+    async function sequentialWithRetry() {
+        log("🔄 Sequential calls with retry:");
+
+        const policy = {
+            attempts: 4,
+            backoff: "exponential", // 200ms, 400ms, 800ms...
+            delay: 200,
+            jitter: "full",         // ...randomised so clients don't retry in lockstep
+            // Only network failures are worth retrying - bugs would fail again anyway
+            retryIf: error => error.message.startsWith("Failed to fetch")
+        };
+
+        try {
+            for (const endpoint of ["/api/user", "/api/posts", "/api/comments"]) {
+                await retry(() => apiCall(endpoint, 500), { ...policy, onAttempt: logAttempt(endpoint) });
+            }
+            log("🎉 All data loaded despite flaky network!");
+        } catch (error) {
+            log("❌ Still failing after retries:", error.message);
         }
-        
-        const posts = await apiCall("/api/posts");
-        console.log("✅ Posts loaded");
-        
-        const comments = await apiCall("/api/comments");
-        console.log("✅ Comments loaded");
-        
-        console.log("🎉 All data loaded successfully!");
-    } catch (error) {
-        console.log("❌ Early exit due to error:", error.message);
     }
-}
 
-// Start advanced patterns
-setTimeout(() => {
-    parallelWithErrorHandling();
-}, 25000);
+    return sequentialWithRetry();
+});
 
-setTimeout(() => {
-    sequentialWithEarlyExit();
-}, 30000);
+// ============================================================================
+// CANCELLATION
+// ============================================================================
+
+lesson.section("Cancellation", () => {
+    log("\n9️⃣ Cancelling with AbortSignal and deadlines:");
+
+    // Every simulated API accepts { signal }; aborting clears its timer and rejects with AbortError
+    async function cancellableProfile(label, options) {
+        try {
+            const profile = await loadUserProfile(123, options);
+            log(`✅ ${label}: loaded ${profile.followers.length} followers`);
+        } catch (error) {
+            if (error.name === "AbortError") {
+                log(`⏹️ ${label}: cancelled (${error.cause ? error.cause.message : error.message})`);
+            } else if (error.name === "TimeoutError") {
+                log(`⏱️ ${label}: ran out of time (${error.message})`);
+            } else {
+                log(`❌ ${label}: ${error.message}`);
+            }
+        }
+    }
+
+    async function cancellationExamples() {
+        // 1. The user navigates away - one controller cancels all three requests
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(new Error("User navigated away")), 500);
+        await cancellableProfile("User cancel", { signal: controller.signal });
+
+        // 2. Composed: cancel on user action OR after 1.1s - followers take 1.2s, so it times out
+        const userAction = new AbortController();
+        await cancellableProfile("User or timeout", { signal: anySignal([userAction.signal, timeoutSignal(1100)]) });
+
+        // 3. A deadline for a whole request: 1.5s total, and the user lookup eats 1s of it
+        //    before the profile load starts - the children only get what is left
+        const deadline = createDeadline(1500);
+        await fetchUser(7, { deadline });
+        await cancellableProfile("Request deadline", { deadline });
+    }
+
+    return cancellationExamples();
+});
 
 // ============================================================================
-// ASYNC/AWAIT VS PROMISES
+// REQUEST CONTEXT
 // ============================================================================
 
-console.log("\n7️⃣ Async/await vs Promises comparison:");
+// A batching queue, like the ones inside loggers and database drivers: callbacks are
+// stored and all run later from one timer - in the context of whoever started it
+function createBatcher(delay) {
+    const queue = [];
+    return function later(callback) {
+        queue.push(callback);
+        if (queue.length === 1) {
+            setTimeout(() => queue.splice(0).forEach(run => run()), delay);
+        }
+    };
+}
 
-// Promise chain approach
-function promiseChain() {
-    return fetchUser(123)
-        .then(user => {
-            console.log("👤 User (promise):", user);
-            return fetchUserPosts(user.id);
-        })
-        .then(posts => {
-            console.log("📝 Posts (promise):", posts);
-            return fetchPostComments(posts[0].id);
-        })
-        .then(comments => {
-            console.log("💬 Comments (promise):", comments);
-        })
-        .catch(error => {
-            console.log("❌ Promise chain error:", error.message);
-        });
+// A hand-rolled thenable: resolve() calls the .then() callbacks itself, so they run
+// wherever resolve() is called from
+function createDeferred() {
+    const callbacks = [];
+    return {
+        then(onFulfilled) {
+            callbacks.push(onFulfilled);
+        },
+        resolve(value) {
+            callbacks.splice(0).forEach(callback => callback(value));
+        }
+    };
 }
 
-// Async/await approach
-async function asyncAwaitApproach() {
-    try {
-        const user = await fetchUser(123);
-        console.log("👤 User (async):", user);
-        
-        const posts = await fetchUserPosts(user.id);
-        console.log("📝 Posts (async):", posts);
-        
-        const comments = await fetchPostComments(posts[0].id);
-        console.log("💬 Comments (async):", comments);
-    } catch (error) {
-        console.log("❌ Async/await error:", error.message);
+lesson.section("Where request context gets lost", async () => {
+    log("\n🔟 Request context with AsyncLocalStorage:");
+
+    // Node carries the context across await and timers on its own
+    await withContext("checkout", async () => {
+        log("🛒 Checkout started");
+        await new Promise(resolve => setTimeout(resolve, 100));
+        log("🛒 Same ID after a timer and an await");
+    });
+
+    // A callback queue runs everything in the first caller's context...
+    const later = createBatcher(50);
+    await Promise.all([
+        withContext("orderA", () => new Promise(resolve => later(() => resolve(log("📦 Order A flushed"))))),
+        withContext("orderB", () => new Promise(resolve => later(() => resolve(log("📦 Order B flushed - with order A's ID!")))))
+    ]);
+
+    // ...unless each callback is bound to its caller's context when it is handed over
+    await Promise.all([
+        withContext("orderA", () => new Promise(resolve => later(bind(() => resolve(log("📦 Order A flushed")))))),
+        withContext("orderB", () => new Promise(resolve => later(bind(() => resolve(log("📦 Order B flushed with its own ID"))))))
+    ]);
+
+    // The thenable is resolved by a timer started outside any request, so a plain
+    // .then() callback has no context at all. bind() rebinds it; await needs nothing,
+    // it resumes in the context it was called in.
+    const deferred = createDeferred();
+    setTimeout(() => deferred.resolve("🎟️ token"), 50);
+    await withContext("login", async () => {
+        deferred.then(token => log(`🔓 .then() got ${token} - no ID, the context is lost`));
+        deferred.then(bind(token => log(`🔓 A bound .then() got ${token} with the login's ID`)));
+        const token = await deferred;
+        log(`🔓 await got ${token} in the login's context`);
+    });
+});
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+lesson.section("Circuit breaker", async () => {
+    log("\n1️⃣1️⃣ Circuit breaker:");
+
+    // Retrying helps with the odd failure; during an outage it only adds load.
+    // The breaker stops calling after a burst of failures and probes before trusting again.
+    const orders = createCircuitBreaker(apiCall, {
+        name: "orders",
+        failureRate: 0.5,
+        volume: 4,
+        window: 6,
+        cooldown: 1000,
+        probes: 2,
+        fallback: error => ({ data: `📦 cached orders (${error.message})` }),
+        onStateChange: ({ from, to, reason }) => log(`🔌 Circuit ${from} → ${to}: ${reason}`)
+    });
+
+    async function loadOrders(page) {
+        const result = await orders(`/api/orders?page=${page}`, 200);
+        log(`   Page ${page}: ${result.data}`);
     }
-}
 
-// Start comparison
-setTimeout(() => {
-    console.log("🔄 Promise chain approach:");
-    promiseChain();
-}, 35000);
-
-setTimeout(() => {
-    console.log("🔄 Async/await approach:");
-    asyncAwaitApproach();
-}, 40000);
-
-console.log("\n📊 Expected behavior:");
-console.log("- Async functions always return promises");
-console.log("- Await pauses execution until promise settles");
-console.log("- Sequential execution waits for each operation");
-console.log("- Concurrent execution runs operations in parallel");
-console.log("- Try/catch provides clean error handling");
-console.log("- Async/await makes code look synchronous"); 
\ No newline at end of file
+    log("🔥 The orders API is down:");
+    await withChaos({ endpoints: { apiCall: { errorRate: 1 } } }, async () => {
+        for (let page = 1; page <= 6; page++) {
+            await loadOrders(page);
+        }
+    });
+
+    log("🩹 The API is back - waiting out the cool-down...");
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    await withChaos({ endpoints: { apiCall: { errorRate: 0 } } }, async () => {
+        // Three at once, but half-open only lets two probes through
+        await Promise.all([loadOrders(7), loadOrders(8), loadOrders(9)]);
+        await loadOrders(10);
+    });
+    log(`📊 Circuit is ${orders.state} again`);
+});
+
+lesson.outro(() => {
+    log("\n📊 Expected behavior:");
+    log("- Async functions always return promises");
+    log("- Await pauses execution until promise settles");
+    log("- Sequential execution waits for each operation");
+    log("- Concurrent execution runs operations in parallel");
+    log("- A concurrency limit bounds how many run at once, results stay in order");
+    log("- Try/catch provides clean error handling");
+    log("- Async/await makes code look synchronous");
+    log("- Retry with backoff turns transient failures into successes");
+    log("- An AbortSignal cancels in-flight work and rejects with AbortError");
+    log("- AsyncLocalStorage follows a request through awaits and timers; callback queues need bind()");
+    log("- A circuit breaker fails fast during an outage and probes before trusting an endpoint again");
+});
+
+lesson.run();
+
+module.exports = { lesson };
@@ -0,0 +1,296 @@
+// 07-async-generators.js
+// Demonstrates async iterators, async generators, and lazy pipelines over pages, events and streams
+
+const { EventEmitter } = require("events");
+const { setTimeout, setInterval, clearInterval, now } = require("./lib/clock");
+const { fetchUser, paginateUserPosts } = require("./lib/api");
+const {
+    map,
+    filter,
+    take,
+    batch,
+    merge,
+    zip,
+    buffer,
+    fromArray,
+    toArray,
+    fromStream,
+    toStream,
+    fromEvents,
+    toEmitter
+} = require("./lib/async-iterables");
+const { createLesson } = require("./lib/sections");
+const { log } = require("./lib/logger");
+
+const lesson = createLesson({
+    id: "07",
+    title: "Async generators",
+    intro: "🔁 Starting demonstration of async generators\n"
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every post of the user, one at a time - the pages behind them are fetched as needed
+async function* allPosts(userId, options) {
+    for await (const posts of paginateUserPosts(userId, options)) {
+        yield* posts;
+    }
+}
+
+// ============================================================================
+// THE ASYNC ITERATOR PROTOCOL
+// ============================================================================
+
+lesson.section("The async iterator protocol", async () => {
+    log("1️⃣ The async iterator protocol:");
+
+    // Anything with a [Symbol.asyncIterator]() whose next() returns a promise
+    // of { value, done } works with for await...of
+    const countdown = {
+        [Symbol.asyncIterator]() {
+            let count = 3;
+            return {
+                next() {
+                    return wait(100).then(() => (count > 0
+                        ? { value: count--, done: false }
+                        : { value: undefined, done: true }));
+                }
+            };
+        }
+    };
+
+    for await (const count of countdown) {
+        log(`⏱️ Countdown: ${count}`);
+    }
+
+    // An async generator is the same object, written as a function
+    async function* countdownGenerator(count) {
+        while (count > 0) {
+            log(`⚙️ Generator producing ${count}`);
+            await wait(100);
+            yield count--;
+        }
+    }
+
+    // Generators are lazy: the body runs one step per next() call, not before
+    const numbers = countdownGenerator(2);
+    log("📊 Generator created - nothing produced yet");
+    log("✅ First next():", await numbers.next());
+    log("✅ Second next():", await numbers.next());
+    log("✅ Third next():", await numbers.next());
+});
+
+// ============================================================================
+// PAGINATION WITH AN ASYNC GENERATOR
+// ============================================================================
+
+lesson.section("Paginating with an async generator", async () => {
+    log("\n2️⃣ Paginating with an async generator:");
+
+    // paginateUserPosts (lib/api.js) fetches the next page only when the loop asks for it
+    for await (const posts of paginateUserPosts(123)) {
+        log(`📄 Page: ${posts.map(post => post.title).join(", ")}`);
+    }
+
+    log("🔄 Only the first page is needed this time:");
+    for await (const posts of paginateUserPosts(123)) {
+        log(`📄 First page: ${posts.map(post => post.title).join(", ")}`);
+        break;
+    }
+    log("✅ Page 2 was never requested");
+});
+
+// ============================================================================
+// MAP, FILTER, TAKE AND BATCH
+// ============================================================================
+
+lesson.section("map, filter, take and batch", async () => {
+    log("\n3️⃣ Operators - map, filter, take and batch:");
+
+    // A pipeline pulls from the end: take stops after two, so no more pages are fetched
+    const oddTitles = take(
+        map(filter(allPosts(123), post => post.id % 2 === 1), post => post.title.toUpperCase()),
+        2
+    );
+    for await (const title of oddTitles) {
+        log(`🔠 ${title}`);
+    }
+    log("✅ Two odd posts found on the first page - page 2 was never requested");
+
+    // batch regroups values, whatever the pages looked like
+    const groups = await toArray(batch(map(allPosts(123, { pageSize: 4 }), post => post.id), 3));
+    log("📦 Post ids in groups of 3:", groups);
+});
+
+// ============================================================================
+// MERGE AND ZIP
+// ============================================================================
+
+lesson.section("merge and zip", async () => {
+    log("\n4️⃣ Combining sources - merge and zip:");
+
+    async function* ticker(name, interval, count) {
+        try {
+            for (let tick = 1; tick <= count; tick++) {
+                await wait(interval);
+                yield `${name} ${tick}`;
+            }
+        } finally {
+            log(`🧹 ${name} ticker stopped`);
+        }
+    }
+
+    // merge: whichever source has a value first
+    for await (const tick of merge(ticker("🐇", 100, 4), ticker("🐢", 250, 2))) {
+        log(`🔀 ${tick}`);
+    }
+
+    // zip: one value from each, in step - the longer source is closed when the shorter ends
+    for await (const [fast, slow] of zip(ticker("🐇", 100, 5), ticker("🐢", 250, 2))) {
+        log(`🤝 ${fast} + ${slow}`);
+    }
+});
+
+// ============================================================================
+// CONCURRENCY AND BUFFERING
+// ============================================================================
+
+lesson.section("Concurrency and buffering", async () => {
+    log("\n5️⃣ Concurrency - map with a limit, and buffer:");
+
+    // Two fetchUser calls at a time; the results still come out in order
+    let start = now();
+    const users = map(fromArray([1, 2, 3, 4]), id => fetchUser(id), { concurrency: 2 });
+    for await (const user of users) {
+        log(`👤 ${user.name} (user ${user.id})`);
+    }
+    log(`✅ 4 users in ${Math.round(now() - start)}ms - two at a time instead of one after another`);
+
+    // A slow loop body: without a buffer the next page is only requested after it
+    async function readSlowly(pages) {
+        start = now();
+        for await (const posts of pages) {
+            log(`📖 Reading ${posts.length} posts...`);
+            await wait(1000);
+        }
+        return Math.round(now() - start);
+    }
+
+    const plain = await readSlowly(paginateUserPosts(123, { pageSize: 4 }));
+    log(`✅ Without a buffer: ${plain}ms`);
+    const buffered = await readSlowly(buffer(paginateUserPosts(123, { pageSize: 4 }), 1));
+    log(`✅ buffer(pages, 1): ${buffered}ms - the next page loads while this one is read`);
+});
+
+// ============================================================================
+// EARLY EXIT AND CLEANUP
+// ============================================================================
+
+lesson.section("Early exit and cleanup", async () => {
+    log("\n6️⃣ Leaving a loop early - cleanup with finally:");
+
+    async function* connection(name) {
+        log(`🔌 ${name}: connected`);
+        try {
+            for (let message = 1; ; message++) {
+                await wait(50);
+                yield `${name} message ${message}`;
+            }
+        } finally {
+            log(`🔌 ${name}: disconnected`);
+        }
+    }
+
+    // break and throw call the generator's return(), which runs its finally block...
+    for await (const message of connection("A")) {
+        log(`📨 ${message}`);
+        break;
+    }
+
+    try {
+        for await (const message of take(connection("B"), 5)) {
+            log(`📨 ${message}`);
+            throw new Error("Could not handle the message");
+        }
+    } catch (error) {
+        log("❌ Loop failed:", error.message);
+    }
+
+    // ...but a generator driven by hand and then dropped is never closed
+    const abandoned = connection("C");
+    log(`📨 ${(await abandoned.next()).value}`);
+    log("⚠️ C is never disconnected - nothing called abandoned.return()");
+
+    // fromEvents removes its listeners as soon as the loop is left
+    const socket = new EventEmitter();
+    const messages = fromEvents(socket, "message");
+    const timer = setInterval(() => socket.emit("message", "ping"), 50);
+    log(`👂 Listeners while iterating: ${socket.listenerCount("message")}`);
+    for await (const message of messages) {
+        log(`📨 ${message}`);
+        break;
+    }
+    clearInterval(timer);
+    log(`👂 Listeners after break: ${socket.listenerCount("message")}`);
+});
+
+// ============================================================================
+// STREAMS AND EVENT EMITTERS
+// ============================================================================
+
+lesson.section("Streams and event emitters", async () => {
+    log("\n7️⃣ Streams and event emitters:");
+
+    // An async iterable becomes a Readable, and any readable becomes an async iterable
+    const stream = toStream(map(allPosts(123), post => `${post.id}. ${post.title}`));
+    const lines = await toArray(fromStream(stream));
+    log(`🌊 ${lines.length} lines through a Node.js stream:`, lines);
+
+    // A web ReadableStream is cancelled when the loop stops early
+    let chunk = 0;
+    const webStream = new ReadableStream({
+        pull(controller) {
+            controller.enqueue(`chunk ${++chunk}`);
+        },
+        cancel() {
+            log("🛑 Web stream cancelled");
+        }
+    });
+    log("🌐 From a web stream:", await toArray(take(fromStream(webStream), 3)));
+
+    // Events in, with "close" ending the loop...
+    const prices = new EventEmitter();
+    let price = 100;
+    const timer = setInterval(() => {
+        price += 5;
+        prices.emit(price < 120 ? "price" : "close", price);
+    }, 100);
+    for await (const value of fromEvents(prices, "price", { end: "close" })) {
+        log(`💹 Price: ${value}`);
+    }
+    clearInterval(timer);
+
+    // ...and events out, for code that expects an EventEmitter
+    const emitter = toEmitter(paginateUserPosts(123));
+    await new Promise((resolve, reject) => {
+        emitter.on("data", posts => log(`📣 "data": posts ${posts.map(post => post.id).join(", ")}`));
+        emitter.on("end", () => resolve(log("📣 \"end\"")));
+        emitter.on("error", reject);
+    });
+});
+
+lesson.outro(() => {
+    log("\n📊 Expected behavior:");
+    log("- for await...of calls next() and waits for each { value, done }");
+    log("- Async generators are lazy: each value is produced only when it is asked for");
+    log("- A paginated generator fetches the next page only when the loop needs it");
+    log("- Operators chain into pipelines that pull only as much as the end consumes");
+    log("- merge interleaves sources as values arrive; zip pairs them and stops at the shortest");
+    log("- map with a concurrency limit and buffer overlap slow sources with slow consumers");
+    log("- break and throw call return(), so finally blocks run and listeners are removed");
+    log("- Streams and event emitters convert to async iterables and back");
+});
+
+lesson.run();
+
+module.exports = { lesson };
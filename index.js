@@ -0,0 +1,110 @@
+// index.js
+// Library entry point - the lesson helpers without running any demos
+//
+//   const { fetchUser, loadUserProfile, callbacks } = require("js-async-fundamentals");
+
+const api = require("./lib/api");
+const callbacks = require("./lib/callbacks");
+const flow = require("./lib/flow");
+const clock = require("./lib/clock");
+const chaos = require("./lib/chaos");
+const { createHttpApi } = require("./lib/http-api");
+const { createMockServer } = require("./lib/mock-server");
+const { promisify, promisifyAll, callbackify, callbackToPromise } = require("./lib/promisify");
+const { createPoller, pollForData } = require("./lib/polling");
+const { schedule, createTimingStats } = require("./lib/scheduler");
+const { parseCron, nextRun, createCronScheduler } = require("./lib/cron");
+const { createLagMonitor } = require("./lib/lag-monitor");
+const { processInChunks, yieldToEventLoop } = require("./lib/chunking");
+const { createWorkerPool } = require("./lib/worker-pool");
+const { createLogger } = require("./lib/logger");
+const { withContext, correlationId, bind, snapshot } = require("./lib/context");
+const { retry, withRetry, backoffDelay } = require("./lib/retry");
+const { createCircuitBreaker } = require("./lib/circuit-breaker");
+const { memoize } = require("./lib/memoize");
+const iterables = require("./lib/async-iterables");
+const { createLimiter, mapConcurrent } = require("./lib/concurrency");
+const { anySignal, linkSignals, timeoutSignal, throwIfAborted } = require("./lib/abort");
+const { withTimeout, createDeadline } = require("./lib/timeout");
+const { AbortError, TimeoutError, PollExhaustedError, WorkerCrashError, CircuitOpenError } = require("./lib/errors");
+
+module.exports = {
+    // Promise-based simulated APIs (04/05)
+    ...api,
+    // The same APIs over real HTTP, and the local server behind them
+    createHttpApi,
+    createMockServer,
+
+    // Callback helpers (03) - the error-first fetchUser & co. live under `callbacks`
+    processArray: callbacks.processArray,
+    callbacks,
+    // series, parallel, waterfall, eachLimit, mapLimit, retry, auto for error-first callbacks
+    flow,
+
+    // Callback ⇄ promise conversion
+    promisify,
+    promisifyAll,
+    callbackify,
+    callbackToPromise,
+
+    // Polling
+    createPoller,
+    pollForData,
+    PollExhaustedError,
+
+    // Periodic jobs
+    schedule,
+    createTimingStats,
+    createCronScheduler,
+    parseCron,
+    nextRun,
+
+    // Bounded fan-out
+    createLimiter,
+    mapConcurrent,
+
+    // Cancellation
+    anySignal,
+    linkSignals,
+    timeoutSignal,
+    throwIfAborted,
+    AbortError,
+
+    // Timeouts and deadlines
+    withTimeout,
+    createDeadline,
+    TimeoutError,
+
+    // Resilience
+    retry,
+    withRetry,
+    backoffDelay,
+    createCircuitBreaker,
+    CircuitOpenError,
+    // In-flight dedupe and a TTL/LRU cache for promise-returning functions
+    memoize,
+
+    // Async-iterable operators and converters (07) - map, filter, take, batch, merge, zip,
+    // buffer, toArray, fromStream, fromEvents... under `iterables`; paginateUserPosts is above
+    iterables,
+
+    // Event loop health
+    createLagMonitor,
+    processInChunks,
+    yieldToEventLoop,
+    createWorkerPool,
+    WorkerCrashError,
+
+    // Lesson-style logs as NDJSON entries - createLogger({ format: "json" })
+    createLogger,
+    // Correlation IDs across concurrent calls (AsyncLocalStorage)
+    withContext,
+    correlationId,
+    bind,
+    snapshot,
+
+    // Shared clock / random source (virtual mode, seeding)
+    clock,
+    // Fault injection for the simulated APIs - useChaos(profile), simulateCall(...)
+    chaos
+};
@@ -0,0 +1,125 @@
+// lib/abort.js
+// AbortSignal plumbing for the simulated APIs
+//
+//   const controller = new AbortController();
+//   fetchUser(123, { signal: controller.signal }).catch(error => error.name); // "AbortError"
+//   controller.abort();
+//
+//   // Cancel when the user clicks "stop" OR after 2 seconds, whichever comes first
+//   const signal = anySignal([controller.signal, timeoutSignal(2000)]);
+//
+//   // The same for one call on a long-lived signal - detach once it settles
+//   const linked = linkSignals([appSignal, deadline.signal]);
+//   fetchUser(123, { signal: linked.signal }).finally(linked.dispose);
+
+const { setTimeout, clearTimeout } = require("./clock");
+const { AbortError, TimeoutError } = require("./errors");
+
+// A timeout isn't a cancellation, so a TimeoutError reason is passed through as-is
+function abortError(signal) {
+    if (signal.reason instanceof TimeoutError) {
+        return signal.reason;
+    }
+    return new AbortError("The operation was aborted", { cause: signal.reason });
+}
+
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw abortError(signal);
+    }
+}
+
+// Like setTimeout, but an abort clears the timer and calls onAbort(error) instead.
+// The abort listener is removed once the timer fires, so long-lived signals don't leak.
+function setAbortableTimeout(callback, delay, signal, onAbort) {
+    if (!signal) {
+        return setTimeout(callback, delay);
+    }
+    if (signal.aborted) {
+        // Still asynchronous, so callers never see their callback run before they return
+        process.nextTick(onAbort, abortError(signal));
+        return undefined;
+    }
+
+    function handleAbort() {
+        clearTimeout(timer);
+        onAbort(abortError(signal));
+    }
+
+    const timer = setTimeout(() => {
+        signal.removeEventListener("abort", handleAbort);
+        callback();
+    }, delay);
+    signal.addEventListener("abort", handleAbort, { once: true });
+    return timer;
+}
+
+// ============================================================================
+// COMPOSING SIGNALS
+// ============================================================================
+
+// Aborts as soon as any of the given signals aborts, with that signal's reason.
+// Returns { signal, dispose }: dispose() detaches from the sources, so an operation
+// that settles on its own leaves no listener behind on a long-lived signal.
+function linkSignals(signals) {
+    const controller = new AbortController();
+    const sources = signals.filter(Boolean);
+
+    function dispose() {
+        for (const source of sources) {
+            source.removeEventListener("abort", onSourceAbort);
+        }
+    }
+
+    function onSourceAbort() {
+        dispose();
+        controller.abort(this.reason);
+    }
+
+    for (const source of sources) {
+        if (source.aborted) {
+            controller.abort(source.reason);
+            dispose();
+            break;
+        }
+        source.addEventListener("abort", onSourceAbort, { once: true });
+    }
+
+    return { signal: controller.signal, dispose };
+}
+
+// linkSignals without the disposer - for sources that abort or go away on their own,
+// like a click handler's controller and a timeoutSignal()
+function anySignal(signals) {
+    return linkSignals(signals).signal;
+}
+
+// Aborts after `ms` on the shared clock (AbortSignal.timeout only knows real time)
+function timeoutSignal(ms) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+        controller.abort(new TimeoutError(`Timed out after ${ms}ms`, { timeout: ms }));
+    }, ms);
+    // A pending timeout signal shouldn't keep the process alive on its own
+    if (timer && typeof timer.unref === "function") {
+        timer.unref();
+    }
+    return controller.signal;
+}
+
+// The `{ signal, deadline }` pair the simulated APIs take, as one signal -
+// a deadline (lib/timeout.js) is just one more reason to stop. Returns
+// { signal, dispose } like linkSignals; call dispose() once the call settles.
+function stopSignal(signal, deadline) {
+    return deadline ? linkSignals([signal, deadline.signal]) : { signal, dispose: () => {} };
+}
+
+module.exports = {
+    abortError,
+    throwIfAborted,
+    setAbortableTimeout,
+    linkSignals,
+    anySignal,
+    timeoutSignal,
+    stopSignal
+};
@@ -0,0 +1,159 @@
+// lib/api.js
+// Simulated promise-based APIs shared by the promise and async/await lessons
+//
+// Every function takes an optional `{ signal, deadline }`: aborting the signal
+// clears the pending timer and rejects with an AbortError; an expired deadline
+// (lib/timeout.js) does the same with a TimeoutError.
+//
+// Latency, failure rates, hangs and partial responses are set by the chaos
+// profile (lib/chaos.js), e.g. ASYNC_CHAOS=flaky.
+//
+// ASYNC_BACKEND=http swaps the in-memory endpoints for real fetch() calls to
+// lib/mock-server.js (lib/http-api.js) - same data, same timings, same log lines.
+// ASYNC_API_URL points them at a server started with `node lib/mock-server.js`.
+//
+// Called inside withContext() (lib/context.js), each call's log lines carry a child
+// correlation ID of the operation, e.g. [req-1.2].
+
+const { stopSignal } = require("./abort");
+const { simulateCall } = require("./chaos");
+const { createHttpApi } = require("./http-api");
+const fixtures = require("./fixtures");
+const { log } = require("./logger");
+const { withChildContext } = require("./context");
+
+// simulateCall as a promise; what each endpoint does by default is in BASELINE (lib/chaos.js)
+function simulate(endpoint, { signal, deadline, latency, error }, respond) {
+    const stop = stopSignal(signal, deadline);
+    return new Promise((resolve, reject) => {
+        simulateCall(endpoint, { signal: stop.signal, latency, error }, respond, (failure, value) => {
+            stop.dispose();
+            if (failure) {
+                reject(failure);
+            } else {
+                resolve(value);
+            }
+        });
+    });
+}
+
+// ============================================================================
+// GENERIC ENDPOINT
+// ============================================================================
+
+// Fails 20% of the time so the lessons have errors to handle
+function apiCall(endpoint, delay = 1000, { signal, deadline } = {}) {
+    log(`📡 Calling API: ${endpoint}`);
+    return simulate("apiCall", { signal, deadline, latency: delay, error: `Failed to fetch ${endpoint}` }, () => {
+        return { endpoint, data: `Data from ${endpoint}` };
+    });
+}
+
+// ============================================================================
+// USER DATA
+// ============================================================================
+
+function fetchUser(userId, { signal, deadline } = {}) {
+    log(`👤 Fetching user ${userId}...`);
+    return simulate("fetchUser", { signal, deadline }, () => fixtures.user(userId));
+}
+
+function fetchUserPosts(userId, { signal, deadline } = {}) {
+    log(`📝 Fetching posts for user ${userId}...`);
+    return simulate("fetchUserPosts", { signal, deadline }, () => fixtures.userPosts(userId));
+}
+
+// One page of the user's whole post history: { posts, page, pageSize, total, next }
+function fetchUserPostsPage(userId, { page = 1, pageSize = 3, signal, deadline } = {}) {
+    try {
+        fixtures.checkPage(page, pageSize);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+    log(`📝 Fetching posts for user ${userId}, page ${page}...`);
+    return simulate("fetchUserPosts", { signal, deadline }, () => fixtures.userPostsPage(userId, page, pageSize));
+}
+
+function fetchPostComments(postId, { signal, deadline } = {}) {
+    log(`💬 Fetching comments for post ${postId}...`);
+    return simulate("fetchPostComments", { signal, deadline }, () => fixtures.postComments(postId));
+}
+
+function fetchFollowers(userId, { signal, deadline } = {}) {
+    log(`👥 Fetching followers for user ${userId}...`);
+    return simulate("fetchFollowers", { signal, deadline }, () => fixtures.followers());
+}
+
+// ============================================================================
+// BACKEND
+// ============================================================================
+
+const backend = process.env.ASYNC_BACKEND === "http"
+    ? createHttpApi({ baseUrl: process.env.ASYNC_API_URL })
+    : { apiCall, fetchUser, fetchUserPosts, fetchUserPostsPage, fetchPostComments, fetchFollowers };
+
+// Inside an operation (lib/context.js) every call gets a child correlation ID, so the
+// lines of calls running side by side can be told apart
+const endpoints = {};
+for (const [name, call] of Object.entries(backend)) {
+    endpoints[name] = (...args) => withChildContext(name, () => call(...args));
+}
+
+// ============================================================================
+// COMPOSED OPERATIONS
+// ============================================================================
+
+// Function that might fail
+function riskyOperation({ signal, deadline } = {}) {
+    return simulate("riskyOperation", { signal, deadline, error: "💥 Operation failed!" }, () => "🎉 Operation successful!");
+}
+
+// The signal and deadline are shared by all three requests, so one abort - or
+// running out of time - stops the whole load
+async function loadUserProfile(userId, { signal, deadline } = {}) {
+    try {
+        log(`🔄 Loading profile for user ${userId}...`);
+        if (deadline) {
+            log(`⏳ Time budget left: ${deadline.remaining()}ms`);
+        }
+        
+        // Start all requests concurrently
+        const [user, posts, followers] = await Promise.all([
+            endpoints.fetchUser(userId, { signal, deadline }),
+            endpoints.fetchUserPosts(userId, { signal, deadline }),
+            endpoints.fetchFollowers(userId, { signal, deadline })
+        ]);
+        
+        log("✅ All profile data loaded!");
+        
+        return {
+            user,
+            posts,
+            followers
+        };
+    } catch (error) {
+        log("❌ Failed to load profile:", error.message);
+        throw error;
+    }
+}
+
+// A user's posts a page at a time, fetched only when the loop asks for the next one:
+//
+//   for await (const posts of paginateUserPosts(123, { pageSize: 3 })) { ... }
+//
+// Leaving the loop early means the remaining pages are never requested.
+async function* paginateUserPosts(userId, { pageSize = 3, signal, deadline } = {}) {
+    let page = 1;
+    while (page) {
+        const result = await endpoints.fetchUserPostsPage(userId, { page, pageSize, signal, deadline });
+        yield result.posts;
+        page = result.next;
+    }
+}
+
+module.exports = {
+    ...endpoints,
+    riskyOperation,
+    loadUserProfile,
+    paginateUserPosts
+};
@@ -0,0 +1,431 @@
+// lib/async-iterables.js
+// Operators for async iterables - lazy pipelines over pages, events and streams
+//
+//   const titles = map(paginateUserPosts(123), posts => posts.map(post => post.title));
+//   for await (const pair of batch(take(titles, 2), 2)) { ... }
+//
+//   const users = await toArray(map(ids, id => fetchUser(id), { concurrency: 3 }));
+//   for await (const value of merge(fromEvents(socket, "message"), ticks)) { ... }
+//
+// Every operator takes an async or sync iterable and returns an async iterable. They
+// pull only what their consumer asks for, and pass an early exit (break, return, or a
+// throw in the loop body) on to their sources - so the sources' finally blocks run
+// and event listeners are removed.
+
+const { EventEmitter } = require("events");
+const { Readable } = require("stream");
+const { abortError } = require("./abort");
+
+function ignore() {}
+
+// The async iterator behind anything for await...of accepts
+function iteratorOf(source) {
+    if (source && typeof source[Symbol.asyncIterator] === "function") {
+        return source[Symbol.asyncIterator]();
+    }
+    if (source && typeof source[Symbol.iterator] === "function") {
+        return fromArray(source);
+    }
+    throw new TypeError("Expected an async iterable or an iterable");
+}
+
+// What for await...of does on an early exit
+function close(iterator) {
+    return typeof iterator.return === "function" ? iterator.return() : undefined;
+}
+
+// For a source still working on a next(): an async generator only runs return() once
+// that next() settles, so waiting for it could mean waiting forever
+function closeLater(iterator) {
+    new Promise(resolve => resolve(close(iterator))).catch(ignore);
+}
+
+function assertCount(value, name, min) {
+    if (!(Number.isInteger(value) && value >= min)) {
+        throw new TypeError(`${name} must be an integer of at least ${min}, got ${value}`);
+    }
+}
+
+// ============================================================================
+// OPERATORS
+// ============================================================================
+
+// fn(value, index) for every value. With a concurrency above 1, that many calls run
+// at once and results still come out in source order. Calls already running when
+// the consumer stops are not cancelled, only ignored.
+async function* map(source, fn, { concurrency = 1 } = {}) {
+    assertCount(concurrency, "concurrency", 1);
+    let index = 0;
+    if (concurrency === 1) {
+        for await (const value of source) {
+            yield await fn(value, index++);
+        }
+        return;
+    }
+
+    const running = [];
+    for await (const value of source) {
+        // A synchronous throw becomes a rejection, reported when its turn comes
+        const result = new Promise(resolve => resolve(fn(value, index++)));
+        result.catch(ignore);
+        running.push(result);
+        if (running.length >= concurrency) {
+            yield await running.shift();
+        }
+    }
+    while (running.length > 0) {
+        yield await running.shift();
+    }
+}
+
+// The values for which predicate(value, index) is truthy; the predicate may be async
+async function* filter(source, predicate) {
+    let index = 0;
+    for await (const value of source) {
+        if (await predicate(value, index++)) {
+            yield value;
+        }
+    }
+}
+
+// The first `count` values, then the source is closed
+async function* take(source, count) {
+    assertCount(count, "count", 0);
+    if (count === 0) {
+        await close(iteratorOf(source));
+        return;
+    }
+    let taken = 0;
+    for await (const value of source) {
+        yield value;
+        if (++taken === count) {
+            return;
+        }
+    }
+}
+
+// Arrays of `size` values; the last one may be shorter
+async function* batch(source, size) {
+    assertCount(size, "size", 1);
+    let current = [];
+    for await (const value of source) {
+        current.push(value);
+        if (current.length === size) {
+            yield current;
+            current = [];
+        }
+    }
+    if (current.length > 0) {
+        yield current;
+    }
+}
+
+// Values from all sources in the order they arrive. Ends when every source has
+// ended; a source that throws ends the merge and the others are closed. Sources
+// still waiting for a value are closed without holding up the consumer.
+async function* merge(...sources) {
+    const iterators = sources.map(iteratorOf);
+    const open = new Set(iterators);
+    // The next() each source is working on; a source is asked again once its
+    // last value has been taken
+    const pending = new Map();
+
+    function pull(iterator) {
+        const next = iterator.next().then(result => ({ iterator, result }));
+        next.catch(ignore);
+        pending.set(iterator, next);
+    }
+
+    iterators.forEach(pull);
+    try {
+        while (pending.size > 0) {
+            const { iterator, result } = await Promise.race(pending.values());
+            pending.delete(iterator);
+            if (result.done) {
+                open.delete(iterator);
+                continue;
+            }
+            yield result.value;
+            pull(iterator);
+        }
+    } finally {
+        for (const iterator of pending.keys()) {
+            closeLater(iterator);
+        }
+        await Promise.allSettled([...open].filter(iterator => !pending.has(iterator)).map(close));
+    }
+}
+
+// Arrays with one value from each source, in step. Ends with the shortest source,
+// and the others are closed.
+async function* zip(...sources) {
+    const iterators = sources.map(iteratorOf);
+    const open = new Set(iterators);
+    try {
+        while (true) {
+            const results = await Promise.all(iterators.map(iterator => iterator.next()));
+            results.forEach((result, index) => {
+                if (result.done) {
+                    open.delete(iterators[index]);
+                }
+            });
+            if (results.some(result => result.done)) {
+                return;
+            }
+            yield results.map(result => result.value);
+        }
+    } finally {
+        await Promise.allSettled([...open].map(close));
+    }
+}
+
+// Asks the source for up to `size` values ahead of the consumer, so a slow loop body
+// and a slow source overlap: the next page is already on its way while this one is
+// processed. A source that can serve several next() calls at once serves `size` of
+// them concurrently; an async generator answers them one after another. Leaving early
+// closes the source without waiting for the values already asked for.
+async function* buffer(source, size) {
+    assertCount(size, "size", 1);
+    const iterator = iteratorOf(source);
+    const ahead = [];
+
+    function fill() {
+        while (ahead.length < size) {
+            const next = iterator.next();
+            next.catch(ignore);
+            ahead.push(next);
+        }
+    }
+
+    try {
+        fill();
+        while (true) {
+            const result = await ahead.shift();
+            if (result.done) {
+                return;
+            }
+            // Ask for the next values before handing this one over
+            fill();
+            yield result.value;
+        }
+    } finally {
+        if (ahead.length > 0) {
+            closeLater(iterator);
+        } else {
+            await close(iterator);
+        }
+    }
+}
+
+// ============================================================================
+// CONVERTERS
+// ============================================================================
+
+// Any iterable - an array, a Set, a generator - as an async iterable
+async function* fromArray(values) {
+    yield* values;
+}
+
+async function toArray(source) {
+    const values = [];
+    for await (const value of source) {
+        values.push(value);
+    }
+    return values;
+}
+
+// Node readables are async iterables already; a web ReadableStream gets a reader,
+// and leaving the loop early cancels it
+function fromStream(stream) {
+    if (stream && typeof stream[Symbol.asyncIterator] === "function") {
+        return stream;
+    }
+    if (stream && typeof stream.getReader === "function") {
+        return readWebStream(stream);
+    }
+    throw new TypeError("Expected a Node.js Readable or a web ReadableStream");
+}
+
+async function* readWebStream(stream) {
+    const reader = stream.getReader();
+    let finished = false;
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) {
+                finished = true;
+                return;
+            }
+            yield value;
+        }
+    } finally {
+        if (!finished) {
+            await reader.cancel();
+        }
+        reader.releaseLock();
+    }
+}
+
+// An object-mode Readable; destroying it closes the source
+function toStream(source, options) {
+    return Readable.from(source, options);
+}
+
+// Every `event` from the emitter as a value, until one of the `end` events. An `error`
+// event (null to ignore errors) or aborting `signal` throws from the loop. Values that
+// arrive before the loop asks for them are queued; leaving the loop removes the listeners.
+function fromEvents(emitter, event, { end = [], error = "error", signal } = {}) {
+    const endEvents = [].concat(end);
+    const values = [];      // arrived before anyone asked
+    const waiting = [];     // asked before anything arrived
+    let failure = null;
+    let finished = false;
+
+    function onValue(value) {
+        if (waiting.length > 0) {
+            waiting.shift().resolve({ value, done: false });
+        } else {
+            values.push(value);
+        }
+    }
+
+    function finish() {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        emitter.removeListener(event, onValue);
+        endEvents.forEach(name => emitter.removeListener(name, finish));
+        if (error) {
+            emitter.removeListener(error, onError);
+        }
+        if (signal) {
+            signal.removeEventListener("abort", onAbort);
+        }
+        // Queued values come first, so only a waiting loop sees the failure now
+        for (const { resolve, reject } of waiting.splice(0)) {
+            if (failure) {
+                reject(failure);
+                failure = null;
+            } else {
+                resolve({ value: undefined, done: true });
+            }
+        }
+    }
+
+    function onError(reason) {
+        failure = reason;
+        finish();
+    }
+
+    function onAbort() {
+        onError(abortError(signal));
+    }
+
+    emitter.on(event, onValue);
+    endEvents.forEach(name => emitter.on(name, finish));
+    if (error) {
+        emitter.on(error, onError);
+    }
+    if (signal) {
+        if (signal.aborted) {
+            onAbort();
+        } else {
+            signal.addEventListener("abort", onAbort, { once: true });
+        }
+    }
+
+    const iterator = {
+        next() {
+            if (values.length > 0) {
+                return Promise.resolve({ value: values.shift(), done: false });
+            }
+            if (failure) {
+                const reason = failure;
+                failure = null;
+                return Promise.reject(reason);
+            }
+            if (finished) {
+                return Promise.resolve({ value: undefined, done: true });
+            }
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        },
+
+        return() {
+            values.length = 0;
+            failure = null;
+            finish();
+            return Promise.resolve({ value: undefined, done: true });
+        },
+
+        [Symbol.asyncIterator]() {
+            return iterator;
+        }
+    };
+    return iterator;
+}
+
+// An EventEmitter that emits "data" for every value, then "end" - or "error". It starts
+// on the next tick, so listeners can be added first. stop() ends it early: the source
+// is closed and "end" follows. A "data" listener that throws ends it like a throw in a
+// loop body: the source is closed and the error is emitted. As with any EventEmitter,
+// an "error" nobody listens for is thrown - here it ends the process as an unhandled
+// rejection, once the source is closed.
+function toEmitter(source) {
+    const emitter = new EventEmitter();
+    const iterator = iteratorOf(source);
+    let stopped = false;
+    // false once the source has finished or failed on its own - there is nothing to close
+    let open = true;
+
+    async function pump() {
+        try {
+            while (!stopped) {
+                open = false;
+                const result = await iterator.next();
+                if (result.done) {
+                    break;
+                }
+                open = true;
+                if (stopped) {
+                    break;
+                }
+                emitter.emit("data", result.value);
+            }
+            emitter.emit("end");
+        } catch (error) {
+            emitter.emit("error", error);
+        } finally {
+            if (open && !stopped) {
+                stopped = true;
+                await Promise.resolve(close(iterator)).catch(ignore);
+            }
+        }
+    }
+
+    emitter.stop = () => {
+        if (stopped) {
+            return Promise.resolve();
+        }
+        stopped = true;
+        return Promise.resolve(close(iterator));
+    };
+    process.nextTick(pump);
+    return emitter;
+}
+
+module.exports = {
+    map,
+    filter,
+    take,
+    batch,
+    merge,
+    zip,
+    buffer,
+    fromArray,
+    toArray,
+    fromStream,
+    toStream,
+    fromEvents,
+    toEmitter
+};
@@ -0,0 +1,120 @@
+// lib/callbacks.js
+// Callback-style helpers and simulated error-first APIs from the callbacks lesson
+//
+// Like fs, every API takes an optional options object before the callback.
+// Passing `{ signal }` lets an AbortController cancel the call: the pending
+// timer is cleared and the callback receives an AbortError.
+// Delays and failure rates come from the chaos profile (lib/chaos.js).
+
+const { simulateCall } = require("./chaos");
+const fixtures = require("./fixtures");
+const { log } = require("./logger");
+
+// Lets the options argument be left out: fn(arg, callback) or fn(arg, options, callback)
+function splitOptions(options, callback) {
+    return typeof options === "function" ? [{}, options] : [options || {}, callback];
+}
+
+// ============================================================================
+// SYNCHRONOUS CALLBACKS
+// ============================================================================
+
+// Custom function with synchronous callback
+function processArray(arr, callback) {
+    const result = [];
+    for (let i = 0; i < arr.length; i++) {
+        result.push(callback(arr[i], i, arr));
+    }
+    return result;
+}
+
+// ============================================================================
+// SIMULATED ERROR-FIRST APIs
+// ============================================================================
+
+function fetchUserData(userId, options, callback) {
+    [options, callback] = splitOptions(options, callback);
+    log(`📡 Fetching data for user ${userId}...`);
+
+    // Network delay and a 30% failure rate, from the chaos profile
+    simulateCall("fetchUserData", { signal: options.signal, error: "Failed to fetch user data" }, () => {
+        return {
+            id: userId,
+            name: "John Doe",
+            email: "john@example.com"
+        };
+    }, callback);
+}
+
+function fetchUser(userId, options, callback) {
+    [options, callback] = splitOptions(options, callback);
+    simulateCall("fetchUser", { signal: options.signal }, () => {
+        log(`👤 Fetching user ${userId}...`);
+        return fixtures.user(userId);
+    }, callback);
+}
+
+function fetchUserPosts(userId, options, callback) {
+    [options, callback] = splitOptions(options, callback);
+    simulateCall("fetchUserPosts", { signal: options.signal }, () => {
+        log(`📝 Fetching posts for user ${userId}...`);
+        return fixtures.userPosts(userId);
+    }, callback);
+}
+
+function fetchPostComments(postId, options, callback) {
+    [options, callback] = splitOptions(options, callback);
+    simulateCall("fetchPostComments", { signal: options.signal }, () => {
+        log(`💬 Fetching comments for post ${postId}...`);
+        return fixtures.postComments(postId);
+    }, callback);
+}
+
+function fetchCommentAuthor(commentId, options, callback) {
+    [options, callback] = splitOptions(options, callback);
+    simulateCall("fetchCommentAuthor", { signal: options.signal }, () => {
+        log(`👤 Fetching author for comment ${commentId}...`);
+        return fixtures.user(101);
+    }, callback);
+}
+
+// Simulate Node.js style API
+function nodeStyleAPI(options, callback) {
+    [options, callback] = splitOptions(options, callback);
+    simulateCall("nodeStyleAPI", { signal: options.signal, error: "Something went wrong" }, () => "Success data", callback);
+}
+
+// ============================================================================
+// SIMULATED FILE PROCESSING
+// ============================================================================
+
+function readFile(filename, options, callback) {
+    [options, callback] = splitOptions(options, callback);
+    log(`📖 Reading file: ${filename}`);
+    simulateCall("readFile", { signal: options.signal }, () => `Content of ${filename}`, callback);
+}
+
+function processContent(content, options, callback) {
+    [options, callback] = splitOptions(options, callback);
+    log("🔄 Processing content...");
+    simulateCall("processContent", { signal: options.signal }, () => content.toUpperCase(), callback);
+}
+
+function saveFile(filename, content, options, callback) {
+    [options, callback] = splitOptions(options, callback);
+    log(`💾 Saving to file: ${filename}`);
+    simulateCall("saveFile", { signal: options.signal }, () => `Saved ${content.length} characters to ${filename}`, callback);
+}
+
+module.exports = {
+    processArray,
+    fetchUserData,
+    fetchUser,
+    fetchUserPosts,
+    fetchPostComments,
+    fetchCommentAuthor,
+    nodeStyleAPI,
+    readFile,
+    processContent,
+    saveFile
+};
@@ -0,0 +1,344 @@
+// lib/chaos.js
+// Fault injection for every simulated API - latency, errors, hangs and partial responses
+//
+//   ASYNC_CHAOS=flaky node run.js 05                  → a built-in profile from chaos/
+//   ASYNC_CHAOS=./outage.json node run.js 05          → your own profile
+//   ASYNC_CHAOS_ERROR_RATE=1 node run.js 03           → every call fails
+//
+//   useChaos({ endpoints: { fetchUser: { hangRate: 1 } } });   // the same, in code
+//   await withChaos({ all: { errorRate: 1 } }, () => loadUserProfile(1));   // just for this
+//
+// A profile is JSON:
+//   {
+//     "all":       { "errorRate": 0.1 },                           every endpoint
+//     "endpoints": {                                               one endpoint, wins over "all"
+//       "fetchUser": {
+//         "latency": { "type": "normal", "mean": 1500, "stddev": 400 },
+//         "errorRate": 0.3,
+//         "errorTypes": ["network", "server"],
+//         "hangRate": 0.05,
+//         "partialRate": 0.2
+//       }
+//     }
+//   }
+//
+// It only changes what it names - everything else keeps the BASELINE below, so no
+// profile at all means the lessons behave exactly as they always have.
+//
+// latency      ms, or { "type": "uniform", "min", "max" } | { "type": "normal", "mean", "stddev" }
+//              | { "type": "exponential", "mean" }
+// errorRate    chance (0..1) that a call fails
+// errorTypes   picked at random per failure: "error" (the API's own error), "timeout"
+//              (TimeoutError), "network" (ECONNRESET) or "server" (a 503)
+// hangRate     chance that a call never answers - only an abort or a deadline ends it
+// partialRate  chance that a successful call returns half its data
+//
+// Every draw goes through the shared random source, so ASYNC_SEED replays the same faults.
+
+const fs = require("fs");
+const path = require("path");
+const { random } = require("./clock");
+const { setAbortableTimeout, abortError } = require("./abort");
+const { TimeoutError } = require("./errors");
+
+const PROFILE_DIR = path.join(__dirname, "..", "chaos");
+
+// What the simulated APIs do without a profile. A missing latency means the
+// caller's own delay (apiCall's `delay` argument).
+const BASELINE = {
+    // lib/api.js
+    apiCall: { errorRate: 0.2 },
+    fetchUser: { latency: 1000 },
+    fetchUserPosts: { latency: 1000 },
+    fetchPostComments: { latency: 1000 },
+    fetchFollowers: { latency: 1200 },
+    riskyOperation: { latency: 1000, errorRate: 0.5 },
+
+    // lib/callbacks.js
+    fetchUserData: { latency: 2000, errorRate: 0.3 },
+    fetchCommentAuthor: { latency: 1000 },
+    nodeStyleAPI: { latency: 1000, errorRate: 0.5 },
+    readFile: { latency: 1000 },
+    processContent: { latency: 500 },
+    saveFile: { latency: 800 },
+
+    // lib/polling.js
+    checkForNewData: { latency: 1000 },
+
+    // 04-promises.js and 06-event-loop.js
+    callbackAPI: { latency: 1000, errorRate: 0.5 },
+    eventLoopApiCall: { latency: { type: "uniform", min: 500, max: 1500 } }
+};
+
+const NO_FAULTS = { latency: undefined, errorRate: 0, errorTypes: ["error"], hangRate: 0, partialRate: 0 };
+const ERROR_TYPES = ["error", "timeout", "network", "server"];
+const LATENCY_TYPES = ["uniform", "normal", "exponential"];
+
+// ============================================================================
+// PROFILES
+// ============================================================================
+
+function assertRate(value, where) {
+    if (typeof value !== "number" || !(value >= 0 && value <= 1)) {
+        throw new TypeError(`${where} must be a number from 0 to 1, got ${JSON.stringify(value)}`);
+    }
+}
+
+function assertMs(value, where) {
+    if (typeof value !== "number" || !(value >= 0 && Number.isFinite(value))) {
+        throw new TypeError(`${where} must be a number of ms, got ${JSON.stringify(value)}`);
+    }
+}
+
+function assertLatency(latency, where) {
+    if (typeof latency === "number") {
+        assertMs(latency, where);
+        return;
+    }
+    if (!latency || !LATENCY_TYPES.includes(latency.type)) {
+        throw new TypeError(`${where} must be ms or { "type": ${LATENCY_TYPES.map(type => `"${type}"`).join(" | ")}, ... }`);
+    }
+    const fields = { uniform: ["min", "max"], normal: ["mean", "stddev"], exponential: ["mean"] }[latency.type];
+    for (const field of fields) {
+        assertMs(latency[field], `${where}.${field}`);
+    }
+}
+
+function validateFaults(faults, where) {
+    for (const [key, value] of Object.entries(faults)) {
+        if (key === "latency") {
+            assertLatency(value, `${where}.latency`);
+        } else if (key === "errorRate" || key === "hangRate" || key === "partialRate") {
+            assertRate(value, `${where}.${key}`);
+        } else if (key === "errorTypes") {
+            const types = [].concat(value);
+            const unknown = types.find(type => !ERROR_TYPES.includes(type));
+            if (types.length === 0 || unknown !== undefined) {
+                throw new TypeError(`${where}.errorTypes must be some of ${ERROR_TYPES.join(", ")}, got ${JSON.stringify(value)}`);
+            }
+        } else {
+            throw new TypeError(`${where} has an unknown setting "${key}"`);
+        }
+    }
+}
+
+// Throws a TypeError naming the first bad setting, so a typo never passes silently
+function validateProfile(profile, where = "chaos profile") {
+    if (!profile || typeof profile !== "object") {
+        throw new TypeError(`${where} must be an object`);
+    }
+    for (const key of Object.keys(profile)) {
+        if (key !== "all" && key !== "endpoints" && key !== "description") {
+            throw new TypeError(`${where} has an unknown section "${key}" - use "all" and "endpoints"`);
+        }
+    }
+    validateFaults(profile.all || {}, `${where}: all`);
+    for (const [name, faults] of Object.entries(profile.endpoints || {})) {
+        validateFaults(faults, `${where}: endpoints.${name}`);
+    }
+    return profile;
+}
+
+function builtInProfiles() {
+    return fs.readdirSync(PROFILE_DIR)
+        .filter(file => file.endsWith(".json"))
+        .map(file => file.slice(0, -".json".length));
+}
+
+// `source` is inline JSON, a path to a .json file, or the name of a file in chaos/
+function loadProfile(source) {
+    let text;
+    let where;
+    if (source.trim().startsWith("{")) {
+        [text, where] = [source, "inline chaos profile"];
+    } else if (source.endsWith(".json") || source.includes(path.sep) || source.includes("/")) {
+        [text, where] = [fs.readFileSync(path.resolve(source), "utf8"), source];
+    } else if (builtInProfiles().includes(source)) {
+        [text, where] = [fs.readFileSync(path.join(PROFILE_DIR, `${source}.json`), "utf8"), `chaos/${source}.json`];
+    } else {
+        throw new Error(`Unknown chaos profile "${source}" - use a .json path or one of: ${builtInProfiles().join(", ")}`);
+    }
+
+    let profile;
+    try {
+        profile = JSON.parse(text);
+    } catch (error) {
+        throw new SyntaxError(`${where} is not valid JSON: ${error.message}`, { cause: error });
+    }
+    return validateProfile(profile, where);
+}
+
+// ASYNC_CHAOS picks the profile; the ASYNC_CHAOS_* numbers override it for every endpoint
+function profileFromEnv(env) {
+    const profile = env.ASYNC_CHAOS ? loadProfile(env.ASYNC_CHAOS) : {};
+    const overrides = {};
+    const numbers = {
+        ASYNC_CHAOS_LATENCY: "latency",
+        ASYNC_CHAOS_ERROR_RATE: "errorRate",
+        ASYNC_CHAOS_HANG_RATE: "hangRate",
+        ASYNC_CHAOS_PARTIAL_RATE: "partialRate"
+    };
+    for (const [variable, key] of Object.entries(numbers)) {
+        if (env[variable] !== undefined && env[variable] !== "") {
+            overrides[key] = Number(env[variable]);
+        }
+    }
+    validateFaults(overrides, "ASYNC_CHAOS_*");
+    return { profile, overrides };
+}
+
+let active = profileFromEnv(process.env);
+
+// Pass a profile object, anything loadProfile() accepts, or nothing to go back to the baseline.
+// The ASYNC_CHAOS_* overrides are dropped too, so tests start from a known state.
+function useChaos(profile) {
+    if (profile === undefined || profile === null) {
+        active = { profile: {}, overrides: {} };
+    } else {
+        active = {
+            profile: typeof profile === "string" ? loadProfile(profile) : validateProfile(profile),
+            overrides: {}
+        };
+    }
+    return active.profile;
+}
+
+// Runs fn with `profile` active and puts the previous profile and overrides back once
+// fn's promise settles - an outage for one part of a lesson
+async function withChaos(profile, fn) {
+    const previous = active;
+    useChaos(profile);
+    try {
+        return await fn();
+    } finally {
+        active = previous;
+    }
+}
+
+// The settings one endpoint runs with right now:
+// baseline < `baseline` (one caller's own defaults) < "all" < "endpoints" < environment
+// < `extra` (one caller's own overrides)
+function faultsFor(endpoint, extra, baseline) {
+    const { profile, overrides } = active;
+    const faults = {
+        ...NO_FAULTS,
+        ...BASELINE[endpoint],
+        ...baseline,
+        ...profile.all,
+        ...(profile.endpoints && profile.endpoints[endpoint]),
+        ...overrides,
+        ...extra
+    };
+    faults.errorTypes = [].concat(faults.errorTypes);
+    return faults;
+}
+
+// ============================================================================
+// DRAWS
+// ============================================================================
+
+// Rates of 0 skip the draw, so adding a fault type never shifts a seeded run
+function chance(rate) {
+    return rate > 0 && random() < rate;
+}
+
+function pick(list) {
+    return list.length === 1 ? list[0] : list[Math.floor(random() * list.length)];
+}
+
+// `fallback` is used when the profile has no latency for the endpoint
+function sampleLatency(latency, fallback = 0) {
+    if (latency === undefined) {
+        return fallback;
+    }
+    if (typeof latency === "number") {
+        return latency;
+    }
+    if (latency.type === "uniform") {
+        return latency.min + random() * (latency.max - latency.min);
+    }
+    if (latency.type === "normal") {
+        // Box-Muller; 1 - random() keeps log() away from 0
+        const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        return Math.max(0, latency.mean + z * latency.stddev);
+    }
+    return -latency.mean * Math.log(1 - random());
+}
+
+// Half the data: the first half of an array, of an object's fields, or of a string
+function partialResponse(value) {
+    if (Array.isArray(value)) {
+        return value.slice(0, Math.ceil(value.length / 2));
+    }
+    if (typeof value === "string") {
+        return value.slice(0, Math.ceil(value.length / 2));
+    }
+    if (value && typeof value === "object") {
+        const entries = Object.entries(value);
+        return Object.fromEntries(entries.slice(0, Math.ceil(entries.length / 2)));
+    }
+    return value;
+}
+
+// `error` is the API's own failure - a message or a function that builds the error
+function faultError(type, endpoint, { error, delay }) {
+    if (type === "timeout") {
+        return new TimeoutError(`${endpoint} timed out after ${Math.round(delay)}ms`, { timeout: Math.round(delay) });
+    }
+    if (type === "network") {
+        return Object.assign(new Error(`${endpoint}: read ECONNRESET`), { code: "ECONNRESET" });
+    }
+    if (type === "server") {
+        return Object.assign(new Error(`${endpoint}: 503 Service Unavailable`), { status: 503 });
+    }
+    if (typeof error === "function") {
+        return error();
+    }
+    return new Error(error || `${endpoint} failed`);
+}
+
+// ============================================================================
+// SIMULATED CALLS
+// ============================================================================
+
+// One call to a simulated endpoint, in error-first style:
+//
+//   simulateCall("fetchUser", { signal, error: "Failed to fetch user" }, () => user, callback);
+//
+// After the endpoint's latency, callback(null, respond()) - or callback(error) when the
+// profile says this call fails. A hung call never calls back until `signal` aborts.
+// Like setAbortableTimeout, an abort clears the timer and calls back with an AbortError.
+// Options: signal, latency (ms when the profile has none), error (the API's own failure),
+// faults (settings that win over the profile for this call), baseline (settings that
+// replace the endpoint's BASELINE for this call but lose to the profile).
+function simulateCall(endpoint, { signal, latency, error, faults: extra, baseline } = {}, respond, callback) {
+    const faults = faultsFor(endpoint, extra, baseline);
+
+    if (chance(faults.hangRate)) {
+        if (signal && signal.aborted) {
+            process.nextTick(callback, abortError(signal));
+        } else if (signal) {
+            signal.addEventListener("abort", () => callback(abortError(signal)), { once: true });
+        }
+        return undefined;
+    }
+
+    const delay = sampleLatency(faults.latency, latency);
+    return setAbortableTimeout(() => {
+        if (chance(faults.errorRate)) {
+            callback(faultError(pick(faults.errorTypes), endpoint, { error, delay }));
+            return;
+        }
+        const value = respond();
+        callback(null, chance(faults.partialRate) ? partialResponse(value) : value);
+    }, delay, signal, callback);
+}
+
+module.exports = {
+    BASELINE,
+    loadProfile,
+    useChaos,
+    withChaos,
+    faultsFor,
+    simulateCall
+};
@@ -0,0 +1,61 @@
+// lib/chunking.js
+// Time-slicing for long synchronous work
+//
+//   const totals = await processInChunks(orders, order => priceOrder(order), {
+//       budgetMs: 10,                                   // hold the thread at most ~10ms at a time
+//       signal: controller.signal,                      // stop between chunks
+//       onProgress: ({ done, total }) => bar.update(done / total)
+//   });
+//
+//   for (const row of rows) {
+//       parse(row);
+//       if (needsBreak()) await yieldToEventLoop();     // the same idea, by hand
+//   }
+
+const { monotonic, setImmediate } = require("./clock");
+const { throwIfAborted } = require("./abort");
+
+// Resolves on the next macrotask, so timers, I/O and other callbacks get a turn.
+// Goes through the shared clock, so due virtual timers also fire in between.
+// `await Promise.resolve()` is not enough: the microtask queue is drained before
+// the loop moves on, so it never lets a timer run.
+function yieldToEventLoop() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// Runs the synchronous fn(item, index) over every item, yielding to the event loop
+// whenever a chunk has used up `budgetMs`. Resolves with the results in input order.
+// Aborting `signal` rejects with an AbortError at the next chunk boundary.
+async function processInChunks(items, fn, { budgetMs = 10, signal, onProgress } = {}) {
+    const list = Array.from(items);
+    const results = new Array(list.length);
+    const startedAt = monotonic();
+    let chunks = 0;
+    let index = 0;
+
+    throwIfAborted(signal);
+    while (index < list.length) {
+        const chunkStart = monotonic();
+        // At least one item per chunk, however slow, so the work always moves forward
+        do {
+            results[index] = fn(list[index], index);
+            index++;
+        } while (index < list.length && monotonic() - chunkStart < budgetMs);
+        chunks++;
+
+        if (onProgress) {
+            onProgress({ done: index, total: list.length, chunks, elapsed: monotonic() - startedAt });
+        }
+        if (index < list.length) {
+            await yieldToEventLoop();
+            throwIfAborted(signal);
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    yieldToEventLoop,
+    processInChunks
+};
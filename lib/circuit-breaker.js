@@ -0,0 +1,177 @@
+// lib/circuit-breaker.js
+// Circuit breaker for unreliable endpoints - stop calling what keeps failing, then probe it
+//
+//   const call = createCircuitBreaker(apiCall, {
+//       failureRate: 0.5,     // open when half of the recent calls failed...
+//       volume: 5,            // ...once there are at least 5 of them
+//       cooldown: 2000,       // then fail fast for 2s
+//       probes: 1,            // and let one trial call through before trusting it again
+//       fallback: (error, endpoint) => ({ endpoint, data: "cached" }),
+//       onStateChange: ({ from, to, reason }) => console.log(`${from} → ${to}: ${reason}`)
+//   });
+//
+//   const result = await call("/api/user");      // same arguments and result as apiCall
+//   call.state                                   // "closed" | "open" | "half-open"
+//
+// closed     calls go through; the outcomes of the last `window` calls are kept
+// open       calls fail at once with a CircuitOpenError - the endpoint gets a rest
+// half-open  after the cool-down, up to `probes` calls go through. All of them succeed:
+//            closed again, with a fresh window. One fails: open for another cool-down.
+//
+// The switch to half-open happens on the first call after the cool-down, so an idle
+// breaker leaves no timer behind. Cancellations (AbortError) are not the endpoint's
+// fault and never count as failures.
+
+const { now } = require("./clock");
+const { AbortError, CircuitOpenError } = require("./errors");
+
+const DEFAULTS = {
+    name: undefined,      // for errors and events - default: the function's name
+    failureRate: 0.5,     // share of failed calls in the window that opens the circuit
+    volume: 5,            // calls the window needs before the rate counts
+    window: 10,           // most recent calls the rate is taken over
+    cooldown: 5000,       // ms the circuit stays open
+    probes: 1,            // trial calls while half-open; all must succeed to close
+    fallback: undefined,  // (error, ...args) => value instead of a rejection
+    onStateChange: () => {}
+};
+
+function assertInteger(value, name, min) {
+    if (!(Number.isInteger(value) && value >= min)) {
+        throw new TypeError(`${name} must be an integer of at least ${min}, got ${value}`);
+    }
+}
+
+function validate({ failureRate, volume, window, cooldown, probes, fallback }) {
+    if (!(typeof failureRate === "number" && failureRate > 0 && failureRate <= 1)) {
+        throw new TypeError(`failureRate must be a number above 0 and at most 1, got ${failureRate}`);
+    }
+    assertInteger(volume, "volume", 1);
+    assertInteger(window, "window", volume);
+    if (!(typeof cooldown === "number" && cooldown >= 0)) {
+        throw new TypeError(`cooldown must be a number of ms, got ${cooldown}`);
+    }
+    assertInteger(probes, "probes", 1);
+    if (fallback !== undefined && typeof fallback !== "function") {
+        throw new TypeError("fallback must be a function");
+    }
+}
+
+// Wraps a promise-returning function; returns a function with the same signature
+function createCircuitBreaker(fn, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    validate(settings);
+    const name = settings.name || fn.name || "circuit";
+
+    let state = "closed";
+    let outcomes = [];          // true for a failure, oldest first
+    let openedAt = 0;
+    let probesStarted = 0;
+    let probesPassed = 0;
+
+    function stats() {
+        const failures = outcomes.filter(Boolean).length;
+        return {
+            calls: outcomes.length,
+            failures,
+            failureRate: outcomes.length > 0 ? failures / outcomes.length : 0
+        };
+    }
+
+    function transition(to, reason) {
+        const from = state;
+        state = to;
+        if (to === "open") {
+            openedAt = now();
+        } else if (to === "half-open") {
+            probesStarted = 0;
+            probesPassed = 0;
+        }
+        settings.onStateChange({ name, from, to, reason, ...stats() });
+        if (to === "closed") {
+            outcomes = [];
+        }
+    }
+
+    // `probe` says which state the call started in - a call that outlives its state
+    // (say, one that was slow while the circuit opened) no longer counts
+    function record(failed, probe) {
+        if (probe && state === "half-open") {
+            if (failed) {
+                transition("open", "a probe failed");
+            } else if (++probesPassed === settings.probes) {
+                transition("closed", settings.probes === 1 ? "the probe succeeded" : `all ${settings.probes} probes succeeded`);
+            }
+        } else if (!probe && state === "closed") {
+            outcomes.push(failed);
+            if (outcomes.length > settings.window) {
+                outcomes.shift();
+            }
+            const { calls, failures, failureRate } = stats();
+            if (calls >= settings.volume && failureRate >= settings.failureRate) {
+                transition("open", `${failures} of the last ${calls} calls failed`);
+            }
+        }
+    }
+
+    function fail(error, args) {
+        if (settings.fallback) {
+            return settings.fallback(error, ...args);
+        }
+        throw error;
+    }
+
+    function breaker(...args) {
+        if (state === "open" && now() - openedAt >= settings.cooldown) {
+            transition("half-open", `${settings.cooldown}ms cool-down over`);
+        }
+        if (state === "open" || (state === "half-open" && probesStarted >= settings.probes)) {
+            const retryIn = state === "open" ? settings.cooldown - (now() - openedAt) : 0;
+            const error = new CircuitOpenError(name, { retryIn });
+            return new Promise(resolve => resolve(fail(error, args)));
+        }
+
+        const probe = state === "half-open";
+        if (probe) {
+            probesStarted++;
+        }
+        // Called right away, like fn itself would be; a synchronous throw becomes a rejection
+        return new Promise(resolve => resolve(fn.apply(this, args))).then(value => {
+            record(false, probe);
+            return value;
+        }, error => {
+            if (error instanceof AbortError) {
+                if (probe && state === "half-open") {
+                    probesStarted--;    // gives the slot to the next call
+                }
+            } else {
+                record(true, probe);
+            }
+            return fail(error, args);
+        });
+    }
+
+    Object.defineProperties(breaker, {
+        circuit: { value: name },
+        state: {
+            get: () => (state === "open" && now() - openedAt >= settings.cooldown ? "half-open" : state)
+        },
+        // { calls, failures, failureRate } of the current window
+        stats: { get: stats },
+        // Back to closed with an empty window, e.g. after fixing the endpoint by hand
+        reset: {
+            value: () => {
+                if (state !== "closed") {
+                    transition("closed", "reset");
+                }
+                outcomes = [];
+            }
+        }
+    });
+
+    return breaker;
+}
+
+module.exports = {
+    createCircuitBreaker
+};
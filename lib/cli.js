@@ -0,0 +1,222 @@
+// lib/cli.js
+// The js-async command (run.js): list the lessons, run them whole or section by section
+//
+//   js-async list                    → every lesson with its numbered sections
+//   js-async 05                      → runs 05-async-await.js
+//   js-async 05:2,5-7                → only sections 2, 5, 6 and 7 of it
+//   js-async 04 05:1                 → several lessons, one after another
+//   js-async all                     → every lesson in order, stopping at the first failure
+//
+// Flags:
+//   --speed=10   real timers run ten times faster; the order of events doesn't change
+//   --pause      waits for Enter between sections
+//   --trace      also prints an event loop timeline (lib/tracer.js)
+//   --lag        warns about event loop blocks and prints delay stats (lib/lag-monitor.js)
+//   --http       the APIs make real requests to a local mock server (lib/mock-server.js)
+//   --json       NDJSON log entries instead of the emoji lines (lib/logger.js)
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { engines } = require("../package.json");
+
+const ROOT = path.join(__dirname, "..");
+const RUNNER = path.join(ROOT, "run.js");
+const FLAGS = ["--trace", "--lag", "--http", "--pause", "--json"];
+
+// The lowest major version in the "engines" range of package.json. Abort reasons, fetch
+// (--http) and process.getActiveResourcesInfo() need 18; older versions would fail
+// halfway through a lesson.
+const MIN_NODE_MAJOR = Number(/\d+/.exec(engines.node)[0]);
+
+const lessons = fs.readdirSync(ROOT)
+    .filter(file => /^\d{2}-.*\.js$/.test(file))
+    .sort();
+
+function findLesson(id) {
+    const prefix = String(id).padStart(2, "0");
+    return lessons.find(file => file.startsWith(`${prefix}-`));
+}
+
+function usage() {
+    const ids = lessons.map(name => name.slice(0, 2)).join("|");
+    return [
+        `Usage: js-async <${ids}>[:sections]... [--speed=N] [--pause] [--trace] [--lag] [--http] [--json]`,
+        "       js-async all [flags]",
+        "       js-async list",
+        "",
+        "  sections   e.g. 05:2,5-7 - see `js-async list` for the numbers"
+    ].join("\n");
+}
+
+// A mistake in the arguments: printed with the usage text instead of a stack trace
+function usageError(message) {
+    return Object.assign(new Error(message), { usage: true });
+}
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+// "2,5-7" → [2, 5, 6, 7]
+function parseSections(spec, target) {
+    const numbers = [];
+    for (const part of spec.split(",")) {
+        const match = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+        if (!match) {
+            throw usageError(`Bad section list in "${target}" - use numbers and ranges, e.g. 05:2,5-7`);
+        }
+        const from = Number(match[1]);
+        const to = match[2] === undefined ? from : Number(match[2]);
+        if (from < 1 || to < from) {
+            throw usageError(`Bad section range "${part}" in "${target}"`);
+        }
+        for (let number = from; number <= to; number++) {
+            if (!numbers.includes(number)) {
+                numbers.push(number);
+            }
+        }
+    }
+    return numbers.sort((a, b) => a - b);
+}
+
+// "05:2,5-7" → { target: "05:2,5-7", file: "05-async-await.js", only: [2, 5, 6, 7] }
+function parseTarget(target) {
+    const [id, spec] = target.split(":");
+    const file = /^\d+$/.test(id) ? findLesson(id) : undefined;
+    if (!file) {
+        throw usageError(`Unknown lesson "${id}"`);
+    }
+    return { target, file, only: spec === undefined ? undefined : parseSections(spec, target) };
+}
+
+function parseArgs(args) {
+    const options = { targets: [], speed: undefined, flags: [] };
+    for (const arg of args) {
+        if (arg.startsWith("--speed=")) {
+            const speed = Number(arg.slice("--speed=".length));
+            if (!(speed > 0 && Number.isFinite(speed))) {
+                throw usageError(`--speed must be a positive number, got "${arg.slice("--speed=".length)}"`);
+            }
+            options.speed = speed;
+        } else if (FLAGS.includes(arg)) {
+            options.flags.push(arg);
+        } else if (arg.startsWith("--")) {
+            throw usageError(`Unknown flag ${arg}`);
+        } else {
+            options.targets.push(arg);
+        }
+    }
+    return options;
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+// Required only when needed: lib/clock.js and lib/logger.js read the environment
+// when they load, so runHere() has to set it first
+function sections() {
+    return require("./sections");
+}
+
+function loadLesson(file) {
+    return require(path.join(ROOT, file)).lesson;
+}
+
+function list() {
+    sections().deferRuns();
+    for (const file of lessons) {
+        const lesson = loadLesson(file);
+        console.log(`${file.slice(0, 2)}  ${lesson.title}  (${file})`);
+        for (const section of lesson.sections) {
+            console.log(`    ${String(section.number).padStart(2)}. ${section.title}`);
+        }
+    }
+}
+
+// One lesson in this process - the environment is set before anything loads lib/clock.js
+// or lib/api.js, or first uses lib/logger.js
+function runHere({ file, only }, { speed, flags }) {
+    if (flags.includes("--http")) {
+        process.env.ASYNC_BACKEND = "http";
+    }
+    if (flags.includes("--json")) {
+        process.env.ASYNC_LOG = "json";
+    }
+    if (speed !== undefined) {
+        process.env.ASYNC_SPEED = String(speed);
+    }
+    if (flags.includes("--trace")) {
+        require("./trace-register");
+    }
+    if (flags.includes("--lag")) {
+        require("./lag-register");
+    }
+
+    const { deferRuns, runLesson } = sections();
+    deferRuns();
+    const lesson = loadLesson(file);
+    // Called straight away, not from a promise callback: a lesson's first
+    // nextTick-vs-microtask ordering depends on running in the main script
+    return runLesson(lesson, { only, pause: flags.includes("--pause") });
+}
+
+// Each lesson gets its own process so their timers never interleave
+function runEach(targets, { speed, flags }) {
+    const passed = speed === undefined ? flags : [...flags, `--speed=${speed}`];
+    for (const target of targets) {
+        const result = spawnSync(process.execPath, [RUNNER, target, ...passed], { stdio: "inherit" });
+        if (result.status !== 0) {
+            process.exitCode = result.status || 1;
+            return;
+        }
+    }
+}
+
+function main(args) {
+    if (Number(process.versions.node.split(".")[0]) < MIN_NODE_MAJOR) {
+        console.error(`❌ js-async needs Node.js ${MIN_NODE_MAJOR} or later - this is ${process.version}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    let options;
+    let targets;
+    try {
+        options = parseArgs(args);
+        if (options.targets.length === 1 && options.targets[0] === "list") {
+            list();
+            return;
+        }
+        targets = options.targets.length === 1 && options.targets[0] === "all"
+            ? lessons.map(file => parseTarget(file.slice(0, 2)))
+            : options.targets.map(parseTarget);
+        if (targets.length === 0) {
+            throw usageError("Pick a lesson");
+        }
+    } catch (error) {
+        if (!error.usage) {
+            throw error;
+        }
+        console.error(`${error.message}\n\n${usage()}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (targets.length > 1) {
+        runEach(targets.map(({ target }) => target), options);
+        return;
+    }
+    // A failing section is reported by runLesson itself; this is for an unknown section number
+    try {
+        runHere(targets[0], options);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    main
+};
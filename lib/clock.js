@@ -0,0 +1,333 @@
+// lib/clock.js
+// Shared source of time and randomness for every lesson
+//
+// Real mode hands timers to the runtime and uses Math.random().
+// Virtual mode keeps its own timer queue that only moves when it is advanced,
+// so a whole lesson can be replayed in milliseconds. Seeding the random source
+// makes every success/failure path reproducible.
+//
+//   ASYNC_CLOCK=virtual ASYNC_SEED=42 node 05-async-await.js
+//   ASYNC_SPEED=10 node 05-async-await.js     → real timers, ten times faster
+
+const { AsyncResource } = require("async_hooks");
+
+// Captured once so virtual time keeps working when globals are wrapped
+const realSetImmediate = setImmediate;
+
+// ============================================================================
+// RANDOMNESS
+// ============================================================================
+
+// mulberry32 - small, fast and good enough for simulated network dice
+function createRandom(seed) {
+    if (seed === undefined || seed === null) {
+        return Math.random;
+    }
+
+    let state = hashSeed(seed);
+    return function random() {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+// ============================================================================
+// REAL CLOCK
+// ============================================================================
+
+// `speed` compresses time: at 10, a 1000ms timer fires after 100ms and now() /
+// monotonic() run ten times faster, so measured durations still read 1000ms
+function createRealClock({ speed = 1 } = {}) {
+    if (!(speed > 0 && Number.isFinite(speed))) {
+        throw new RangeError(`speed must be a positive number, got ${speed}`);
+    }
+    const origin = Date.now();
+    const scale = delay => speed === 1 ? delay : Number(delay) / speed;
+
+    return {
+        mode: "real",
+        speed,
+        now: () => speed === 1 ? Date.now() : origin + (Date.now() - origin) * speed,
+        // Never jumps when the wall clock is adjusted - use it for measuring intervals
+        monotonic: () => performance.now() * speed,
+        busyWait(ms) {
+            const end = performance.now() + scale(ms);
+            while (performance.now() < end) {
+                // Holding the thread, like a slow synchronous task
+            }
+        },
+        // Globals are looked up on every call so wrappers installed later still see them
+        setTimeout: (callback, delay, ...args) => setTimeout(callback, scale(delay), ...args),
+        clearTimeout: (handle) => clearTimeout(handle),
+        setInterval: (callback, delay, ...args) => setInterval(callback, scale(delay), ...args),
+        clearInterval: (handle) => clearInterval(handle),
+        setImmediate: (callback, ...args) => setImmediate(callback, ...args)
+    };
+}
+
+// ============================================================================
+// VIRTUAL CLOCK
+// ============================================================================
+
+// Same clamping rule as Node: anything outside 1..2^31-1 becomes 1ms
+const TIMEOUT_MAX = 2 ** 31 - 1;
+
+function normalizeDelay(delay) {
+    const ms = Number(delay);
+    return ms >= 1 && ms <= TIMEOUT_MAX ? ms : 1;
+}
+
+class VirtualTimer {
+    constructor(clock, id) {
+        this.clock = clock;
+        this.id = id;
+        this.refed = true;
+    }
+
+    ref() {
+        this.refed = true;
+        return this;
+    }
+
+    unref() {
+        this.refed = false;
+        return this;
+    }
+
+    hasRef() {
+        return this.refed;
+    }
+
+    [Symbol.toPrimitive]() {
+        return this.id;
+    }
+}
+
+function createVirtualClock({ start = 0, autoAdvance = false } = {}) {
+    let currentTime = start;
+    let nextId = 1;
+    let draining = false;
+    let flushing = false;
+    // Kept sorted by due time, then by creation order (like the real timer lists)
+    const timers = [];
+    const immediates = [];
+
+    function insert(entry) {
+        let index = timers.length;
+        while (index > 0 && timers[index - 1].time > entry.time) {
+            index--;
+        }
+        timers.splice(index, 0, entry);
+        scheduleDrain();
+    }
+
+    function schedule(callback, delay, args, repeat) {
+        if (typeof callback !== "function") {
+            throw new TypeError("The \"callback\" argument must be of type function");
+        }
+        const ms = normalizeDelay(delay);
+        const handle = new VirtualTimer(clock, nextId++);
+        // Fired from drain(), not from where it was scheduled - the resource carries the
+        // caller's async context (AsyncLocalStorage, lib/context.js) across, as a real timer would
+        const resource = new AsyncResource("VirtualTimer");
+        insert({ handle, callback, args, resource, time: currentTime + ms, repeat: repeat ? ms : 0 });
+        return handle;
+    }
+
+    function clear(handle) {
+        const index = timers.findIndex(entry => entry.handle === handle || entry.handle.id === handle);
+        if (index !== -1) {
+            timers.splice(index, 1);
+        }
+    }
+
+    // Fires the earliest timer due at or before `limit`; returns false when there is none
+    function fireNext(limit) {
+        const entry = timers[0];
+        if (!entry || entry.time > limit) {
+            return false;
+        }
+        timers.shift();
+        // A busyWait() may have pushed time past the due time - timers then fire late, never early
+        currentTime = Math.max(currentTime, entry.time);
+        if (entry.repeat) {
+            insert({ ...entry, time: currentTime + entry.repeat });
+        }
+        entry.resource.runInAsyncScope(entry.callback, undefined, ...entry.args);
+        return true;
+    }
+
+    // Lets promise reactions queued by the last timer settle before the next one
+    function yieldToLoop() {
+        return new Promise(resolve => realSetImmediate(resolve));
+    }
+
+    // In auto mode virtual time runs on its own, one timer per real macrotask
+    function scheduleDrain() {
+        if (!autoAdvance || draining) {
+            return;
+        }
+        draining = true;
+        realSetImmediate(drain);
+    }
+
+    function drain() {
+        draining = false;
+        if (!timers.some(entry => entry.handle.refed)) {
+            return; // only unref'd timers left - let the process exit like Node would
+        }
+        // Queued immediates mean the loop is still busy: timers already due may fire,
+        // but time only jumps ahead once it goes idle
+        fireNext(immediates.length > 0 ? currentTime : Infinity);
+        scheduleDrain();
+    }
+
+    // Immediates run on the real loop; they live here so drain() can see them
+    function scheduleImmediate(callback, args) {
+        immediates.push({ callback, args, resource: new AsyncResource("VirtualImmediate") });
+        if (!flushing) {
+            flushing = true;
+            realSetImmediate(flushImmediates);
+        }
+    }
+
+    function flushImmediates() {
+        flushing = false;
+        // Like Node, immediates queued while flushing wait for the next turn
+        for (const { callback, args, resource } of immediates.splice(0)) {
+            resource.runInAsyncScope(callback, undefined, ...args);
+        }
+    }
+
+    const clock = {
+        mode: "virtual",
+        now: () => currentTime,
+        monotonic: () => currentTime,
+        // Blocked code moves time on, but no timer can fire until it returns
+        busyWait(ms) {
+            currentTime += ms;
+        },
+        setTimeout: (callback, delay, ...args) => schedule(callback, delay, args, false),
+        clearTimeout: clear,
+        setInterval: (callback, delay, ...args) => schedule(callback, delay, args, true),
+        clearInterval: clear,
+        setImmediate: (callback, ...args) => scheduleImmediate(callback, args),
+
+        // Number of timers still waiting to fire
+        pending: () => timers.length,
+
+        // Synchronously moves time forward, firing every timer that falls due
+        advance(ms) {
+            const target = currentTime + ms;
+            while (fireNext(target)) {
+                // keep firing
+            }
+            currentTime = Math.max(currentTime, target);
+            return currentTime;
+        },
+
+        // Like advance(), but lets microtasks run between timers so promise chains settle
+        async advanceAsync(ms) {
+            const target = currentTime + ms;
+            await yieldToLoop();
+            while (fireNext(target)) {
+                await yieldToLoop();
+            }
+            currentTime = Math.max(currentTime, target);
+            return currentTime;
+        },
+
+        // Runs until no timers are left; the limit guards against endless intervals
+        async runAll({ limit = 10000 } = {}) {
+            await yieldToLoop();
+            for (let fired = 0; timers.length > 0; fired++) {
+                if (fired >= limit) {
+                    throw new Error(`Virtual clock still busy after ${limit} timers - is an interval never cleared?`);
+                }
+                fireNext(Infinity);
+                await yieldToLoop();
+            }
+            return currentTime;
+        }
+    };
+
+    return clock;
+}
+
+// ============================================================================
+// SHARED INSTANCE
+// ============================================================================
+
+// Lessons import the functions below, which always delegate to whichever
+// clock is active, so tests can swap modes after the lessons are loaded.
+
+function clockFromEnv(env) {
+    if (env.ASYNC_CLOCK === "virtual") {
+        return createVirtualClock({ autoAdvance: true });
+    }
+    return createRealClock({ speed: env.ASYNC_SPEED ? Number(env.ASYNC_SPEED) : 1 });
+}
+
+let activeClock = clockFromEnv(process.env);
+let activeRandom = createRandom(process.env.ASYNC_SEED);
+
+function getClock() {
+    return activeClock;
+}
+
+function useRealClock(options) {
+    activeClock = createRealClock(options);
+    return activeClock;
+}
+
+function useVirtualClock({ seed, ...options } = {}) {
+    activeClock = createVirtualClock(options);
+    if (seed !== undefined) {
+        seedRandom(seed);
+    }
+    return activeClock;
+}
+
+// Pass nothing to go back to Math.random()
+function seedRandom(seed) {
+    activeRandom = createRandom(seed);
+}
+
+function clearTimer(handle) {
+    // Handles always go back to the clock that created them, even after a mode switch
+    if (handle instanceof VirtualTimer) {
+        handle.clock.clearTimeout(handle);
+    } else {
+        clearTimeout(handle);
+    }
+}
+
+module.exports = {
+    createRandom,
+    createRealClock,
+    createVirtualClock,
+    getClock,
+    useRealClock,
+    useVirtualClock,
+    seedRandom,
+    now: () => activeClock.now(),
+    monotonic: () => activeClock.monotonic(),
+    busyWait: (ms) => activeClock.busyWait(ms),
+    random: () => activeRandom(),
+    setTimeout: (callback, delay, ...args) => activeClock.setTimeout(callback, delay, ...args),
+    setInterval: (callback, delay, ...args) => activeClock.setInterval(callback, delay, ...args),
+    setImmediate: (callback, ...args) => activeClock.setImmediate(callback, ...args),
+    clearTimeout: clearTimer,
+    clearInterval: clearTimer
+};
@@ -0,0 +1,115 @@
+// lib/concurrency.js
+// Bounded concurrency for large fan-outs
+//
+//   const limit = createLimiter(5);
+//   const user = await limit(() => fetchUser(1));   // at most 5 run at once
+//   limit.activeCount / limit.pendingCount
+//
+//   const users = await mapConcurrent(ids, id => fetchUser(id), { concurrency: 5 });
+
+function assertConcurrency(concurrency) {
+    if (!(concurrency === Infinity || (Number.isInteger(concurrency) && concurrency >= 1))) {
+        throw new TypeError(`concurrency must be a positive integer or Infinity, got ${concurrency}`);
+    }
+}
+
+// ============================================================================
+// LIMITER
+// ============================================================================
+
+// Returns limit(fn): runs fn when a slot is free and resolves/rejects with its result
+function createLimiter(concurrency) {
+    assertConcurrency(concurrency);
+
+    const queue = [];
+    let active = 0;
+
+    function next() {
+        while (active < concurrency && queue.length > 0) {
+            const { fn, resolve, reject } = queue.shift();
+            active++;
+            // Promise.resolve().then() also turns a synchronous throw into a rejection
+            Promise.resolve()
+                .then(fn)
+                .then(resolve, reject)
+                .then(() => {
+                    active--;
+                    next();
+                });
+        }
+    }
+
+    function limit(fn) {
+        return new Promise((resolve, reject) => {
+            queue.push({ fn, resolve, reject });
+            next();
+        });
+    }
+
+    Object.defineProperties(limit, {
+        concurrency: { value: concurrency },
+        // Calls currently running
+        activeCount: { get: () => active },
+        // Calls waiting for a slot
+        pendingCount: { get: () => queue.length }
+    });
+
+    return limit;
+}
+
+// ============================================================================
+// MAP
+// ============================================================================
+
+// Maps items through fn with at most `concurrency` calls in flight; results keep input order.
+//
+// mode "fail-fast" (default) rejects with the first error and starts nothing new.
+// mode "collect" runs every item, then rejects with an AggregateError listing the
+// failures (its `results` holds the successful values) - or resolves if none failed.
+//
+// Pass `limiter` instead of `concurrency` to share one budget between several maps.
+async function mapConcurrent(items, fn, { concurrency = Infinity, limiter, mode = "fail-fast" } = {}) {
+    if (mode !== "fail-fast" && mode !== "collect") {
+        throw new TypeError(`Unknown mode "${mode}" - use "fail-fast" or "collect"`);
+    }
+
+    const list = Array.from(items);
+    const limit = limiter || createLimiter(concurrency);
+    const results = new Array(list.length);
+    const failures = [];
+    let failed = false;
+
+    await Promise.all(list.map((item, index) => limit(async () => {
+        // Work still queued after a fail-fast error is skipped, not started
+        if (failed) {
+            return;
+        }
+        try {
+            results[index] = await fn(item, index);
+        } catch (error) {
+            if (mode === "fail-fast") {
+                failed = true;
+                throw error;
+            }
+            failures.push({ index, error });
+        }
+    })));
+
+    if (failures.length > 0) {
+        failures.sort((a, b) => a.index - b.index);
+        const error = new AggregateError(
+            failures.map(failure => failure.error),
+            `${failures.length} of ${list.length} items failed`
+        );
+        error.failedIndexes = failures.map(failure => failure.index);
+        error.results = results;
+        throw error;
+    }
+
+    return results;
+}
+
+module.exports = {
+    createLimiter,
+    mapConcurrent
+};
@@ -0,0 +1,66 @@
+// lib/context.js
+// Request context on AsyncLocalStorage - a correlation ID that follows one operation
+// through promises, timers and callbacks, and is stamped on every log line
+//
+//   withContext("loadUserProfile", () => loadUserProfile(123));
+//   // [req-1] 🔄 Loading profile for user 123...
+//   // [req-1.1] 👤 Fetching user 123...      ← each API call inside gets a child id
+//   // [req-1.2] 📝 Fetching posts for user 123...
+//
+//   correlationId();                  // "req-1.2" - or undefined outside any operation
+//   queue.push(bind(callback));       // keeps the caller's context on a hand-rolled queue
+//
+// Node carries the context across await, .then(), setTimeout, setImmediate, nextTick
+// and event callbacks on its own. It is lost - or worse, swapped for someone else's -
+// wherever a library stores your callback and calls it later from its own code:
+// batching queues, connection pools, hand-rolled thenables. bind() and snapshot()
+// capture the context when the callback is handed over.
+
+const { AsyncLocalStorage, AsyncResource } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+let operations = 0;
+
+// Runs fn as a new operation: "req-N" at the top level, or a child of the current
+// one ("req-1.2"). Returns what fn returns - a promise stays a promise.
+function withContext(name, fn) {
+    const parent = storage.getStore();
+    const id = parent ? `${parent.id}.${++parent.children}` : `req-${++operations}`;
+    return storage.run({ id, name, parent: parent || null, children: 0 }, fn);
+}
+
+// A child of the current operation, or just fn() outside of one - for shared code
+// (like lib/api.js) that should only be tagged when something asked for a context
+function withChildContext(name, fn) {
+    return storage.getStore() ? withContext(name, fn) : fn();
+}
+
+// { id, name, parent, children } of the running operation, or undefined
+function currentContext() {
+    return storage.getStore();
+}
+
+function correlationId() {
+    const context = storage.getStore();
+    return context ? context.id : undefined;
+}
+
+// fn, always run in the context that is current now - wherever it is called from later
+function bind(fn) {
+    return AsyncResource.bind(fn);
+}
+
+// Captures the current context; the returned function runs any fn inside it
+function snapshot() {
+    const context = storage.getStore();
+    return (fn, ...args) => storage.run(context, fn, ...args);
+}
+
+module.exports = {
+    withContext,
+    withChildContext,
+    currentContext,
+    correlationId,
+    bind,
+    snapshot
+};
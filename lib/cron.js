@@ -0,0 +1,445 @@
+// lib/cron.js
+// Cron-expression jobs on top of plain timers
+//
+//   const cron = createCronScheduler({ timeZone: "America/New_York" });
+//   cron.add("standup", "0 9 * * MON-FRI", ({ scheduledAt }) => remind(scheduledAt));
+//   cron.add("backup", "*/30 * * * *", runBackup, { catchUp: "all" });
+//
+//   cron.list();           // [{ name, state, nextRun, lastRun, runs, missed, ... }]
+//   cron.pause("backup");  cron.resume("backup");  cron.cancel("backup");
+//   cron.stop();           // clears every timer - nothing is left to keep the process alive
+//
+//   nextRun("0 9 * * MON-FRI", new Date(), { timeZone: "Europe/Berlin" });
+//
+// Expressions have five fields - minute hour day-of-month month day-of-week - with
+// `*`, lists (1,15), ranges (9-17), steps (*/15, 0-30/10), names (JAN, MON-FRI) and
+// the @yearly/@monthly/@weekly/@daily/@hourly shorthands. As in classic cron, a job
+// with both day fields restricted runs when either one matches.
+//
+// Times are matched on the wall clock of `timeZone` (the system zone by default).
+// Across DST changes a job runs once per matching wall time: a time skipped by
+// "spring forward" runs right after the jump, a time repeated by "fall back" runs
+// on its first occurrence only.
+
+const defaultClock = require("./clock");
+const { log } = require("./logger");
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const SEARCH_YEARS = 5;
+
+// Timers never wait longer than this before re-checking the wall clock, which
+// also keeps yearly jobs under the 2^31-1 ms timer limit
+const MAX_TIMER_DELAY = 60 * MINUTE;
+
+// With catchUp: "none", a run that wakes up later than this is dropped as missed
+const LATE_TOLERANCE = MINUTE;
+
+// At most this many missed runs are replayed with catchUp: "all"
+const MAX_CATCH_UP = 100;
+
+const MONTH_NAMES = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+const DAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+const FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day of month", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: "day of week", min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+const SHORTHANDS = {
+    "@yearly": "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+    "@monthly": "0 0 1 * *",
+    "@weekly": "0 0 * * 0",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@hourly": "0 * * * *"
+};
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+function parseValue(text, field, expression) {
+    const upper = text.toUpperCase();
+    if (field.names && field.names.includes(upper)) {
+        return field.names.indexOf(upper) + field.offset;
+    }
+    // Plain digits only: Number() would read "" as 0 and accept "+5" or "1e1"
+    const value = /^\d+$/.test(text) ? Number(text) : NaN;
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new SyntaxError(`Invalid ${field.name} "${text}" in cron expression "${expression}"`);
+    }
+    return value;
+}
+
+// Returns a boolean lookup indexed by value
+function parseField(text, field, expression) {
+    const allowed = new Array(field.max + 1).fill(false);
+
+    for (const part of text.split(",")) {
+        const [range, stepText, ...extra] = part.split("/");
+        const step = stepText === undefined ? 1 : (/^\d+$/.test(stepText) ? Number(stepText) : NaN);
+        if (extra.length > 0 || !Number.isInteger(step) || step < 1) {
+            throw new SyntaxError(`Invalid step "${part.slice(range.length + 1)}" in cron expression "${expression}"`);
+        }
+
+        let from;
+        let to;
+        if (range === "*") {
+            [from, to] = [field.min, field.max];
+        } else if (range.includes("-")) {
+            const [start, end, ...extra] = range.split("-");
+            if (extra.length > 0) {
+                throw new SyntaxError(`Invalid range "${range}" in cron expression "${expression}"`);
+            }
+            [from, to] = [parseValue(start, field, expression), parseValue(end, field, expression)];
+        } else {
+            from = parseValue(range, field, expression);
+            // "5/15" means "from 5, every 15"
+            to = stepText === undefined ? from : field.max;
+        }
+        if (from > to) {
+            throw new SyntaxError(`Invalid range "${range}" in cron expression "${expression}"`);
+        }
+
+        for (let value = from; value <= to; value += step) {
+            allowed[value] = true;
+        }
+    }
+    return allowed;
+}
+
+function parseCron(expression) {
+    const source = String(expression).trim();
+    const fields = (SHORTHANDS[source.toLowerCase()] || source).split(/\s+/);
+    if (fields.length !== FIELDS.length) {
+        throw new SyntaxError(`Cron expression "${source}" needs 5 fields (minute hour day month weekday), got ${fields.length}`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((text, index) => parseField(text, FIELDS[index], source));
+    // 7 is Sunday too
+    weekdays[0] = weekdays[0] || weekdays[7];
+
+    return {
+        expression: source,
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        anyDay: fields[2] === "*",
+        anyWeekday: fields[4] === "*"
+    };
+}
+
+// ============================================================================
+// TIME ZONES
+// ============================================================================
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "numeric",
+            day: "numeric",
+            hour: "numeric",
+            minute: "numeric",
+            second: "numeric"
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// How far `timeZone`'s wall clock is ahead of UTC at `instant`, in ms
+function offsetAt(instant, timeZone) {
+    if (!timeZone) {
+        return -new Date(instant).getTimezoneOffset() * MINUTE;
+    }
+    const parts = {};
+    for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(instant))) {
+        parts[type] = Number(value);
+    }
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wall - Math.floor(instant / 1000) * 1000;
+}
+
+// Maps a wall-clock time (encoded as if it were UTC) to a real instant.
+// Offsets a day either side catch any DST change in between.
+function wallToInstant(wall, timeZone) {
+    const before = offsetAt(wall - DAY, timeZone);
+    const after = offsetAt(wall + DAY, timeZone);
+    const valid = [wall - before, wall - after].filter(instant => offsetAt(instant, timeZone) === wall - instant);
+    if (valid.length > 0) {
+        // Repeated by "fall back": take the first occurrence
+        return Math.min(...valid);
+    }
+    // Skipped by "spring forward": the old offset lands just after the jump
+    return wall - before;
+}
+
+// ============================================================================
+// NEXT RUN
+// ============================================================================
+
+function dayMatches(schedule, date) {
+    const dayOfMonth = schedule.days[date.getUTCDate()];
+    const dayOfWeek = schedule.weekdays[date.getUTCDay()];
+    if (schedule.anyDay) {
+        return dayOfWeek;
+    }
+    if (schedule.anyWeekday) {
+        return dayOfMonth;
+    }
+    return dayOfMonth || dayOfWeek;
+}
+
+// First time strictly after `after` that matches `cron` (a string or parseCron() result)
+function nextRun(cron, after = defaultClock.now(), { timeZone } = {}) {
+    const schedule = typeof cron === "string" ? parseCron(cron) : cron;
+    const afterMs = after instanceof Date ? after.getTime() : after;
+
+    // Fields are searched on the wall clock, encoded as a UTC timestamp
+    let wall = Math.floor((afterMs + offsetAt(afterMs, timeZone)) / MINUTE) * MINUTE + MINUTE;
+    const limit = wall + SEARCH_YEARS * 366 * DAY;
+
+    while (wall < limit) {
+        const date = new Date(wall);
+        const [year, month, day, hour] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours()];
+
+        if (!schedule.months[month + 1]) {
+            wall = Date.UTC(year, month + 1, 1);
+        } else if (!dayMatches(schedule, date)) {
+            wall = Date.UTC(year, month, day + 1);
+        } else if (!schedule.hours[hour]) {
+            wall = Date.UTC(year, month, day, hour + 1);
+        } else if (!schedule.minutes[date.getUTCMinutes()]) {
+            wall += MINUTE;
+        } else {
+            const instant = wallToInstant(wall, timeZone);
+            // A repeated wall time can map back to before `after` - it already ran
+            if (instant > afterMs) {
+                return new Date(instant);
+            }
+            wall += MINUTE;
+        }
+    }
+
+    throw new RangeError(`Cron expression "${schedule.expression}" has no run in the next ${SEARCH_YEARS} years`);
+}
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+// Options (per scheduler, overridable per job):
+//   clock     anything with now/setTimeout/clearTimeout - lib/clock.js by default,
+//             or createVirtualClock() to run a week of jobs in a test
+//   timeZone  IANA name, e.g. "Europe/London"
+//   overlap   "skip" (default) drops a run while the previous one is still going,
+//             "allow" lets them overlap
+//   catchUp   what to do with runs missed while the process was asleep or blocked:
+//             "latest" (default) runs once for all of them, "all" replays each one,
+//             "none" drops them
+//   onError   (error, job) => {} - a failing run never stops the job; logged by default
+function createCronScheduler({
+    clock = defaultClock,
+    timeZone,
+    overlap = "skip",
+    catchUp = "latest",
+    onError = (error, job) => log(`❌ Cron job "${job.name}" failed: ${error.message}`)
+} = {}) {
+    const jobs = new Map();
+
+    function describe(job) {
+        return {
+            name: job.name,
+            expression: job.schedule.expression,
+            timeZone: job.timeZone,
+            state: job.paused ? "paused" : job.active > 0 ? "running" : "scheduled",
+            nextRun: job.paused ? null : new Date(job.nextRun),
+            lastRun: job.lastRun === null ? null : new Date(job.lastRun),
+            runs: job.runs,
+            missed: job.missed,
+            skippedOverlaps: job.skippedOverlaps,
+            errors: job.errors
+        };
+    }
+
+    function arm(job) {
+        job.nextRun = nextRun(job.schedule, job.checkedAt, { timeZone: job.timeZone }).getTime();
+        const delay = Math.min(job.nextRun - clock.now(), MAX_TIMER_DELAY);
+        job.timer = clock.setTimeout(() => wake(job), Math.max(0, delay));
+    }
+
+    function disarm(job) {
+        clock.clearTimeout(job.timer);
+        job.timer = undefined;
+    }
+
+    function wake(job) {
+        job.timer = undefined;
+        const now = clock.now();
+        if (now < job.nextRun) {
+            // Only a MAX_TIMER_DELAY checkpoint (or the clock was set back)
+            arm(job);
+            return;
+        }
+
+        // Everything that fell due since the last check, oldest first
+        const due = [];
+        for (let at = job.nextRun; at <= now && due.length < MAX_CATCH_UP; ) {
+            due.push(at);
+            at = nextRun(job.schedule, at, { timeZone: job.timeZone }).getTime();
+        }
+        const latest = due[due.length - 1];
+        job.checkedAt = now;
+
+        let toRun;
+        if (job.catchUp === "all") {
+            toRun = due;
+        } else if (job.catchUp === "none" && now - latest > LATE_TOLERANCE) {
+            toRun = [];
+        } else {
+            toRun = [latest];
+        }
+        const missed = due.length - toRun.length;
+        job.missed += missed;
+        // execute() catches the task's errors; this is for an onError that throws
+        (async () => {
+            for (const at of toRun) {
+                await execute(job, at, missed);
+            }
+        })().catch(error => log(`❌ Cron job "${job.name}": onError threw ${error.message}`));
+
+        arm(job);
+    }
+
+    async function execute(job, scheduledAt, missed) {
+        if (job.active > 0 && job.overlap === "skip") {
+            job.skippedOverlaps++;
+            return;
+        }
+        job.active++;
+        job.runs++;
+        job.lastRun = scheduledAt;
+        try {
+            await job.task({
+                name: job.name,
+                scheduledAt: new Date(scheduledAt),
+                firedAt: new Date(clock.now()),
+                missed,
+                signal: job.controller.signal
+            });
+        } catch (error) {
+            job.errors++;
+            onError(error, describe(job));
+        } finally {
+            job.active--;
+        }
+    }
+
+    function find(name) {
+        const job = jobs.get(name);
+        if (!job) {
+            throw new Error(`No cron job named "${name}"`);
+        }
+        return job;
+    }
+
+    const scheduler = {
+        // Returns a handle for the new job; names must be unique
+        add(name, expression, task, options = {}) {
+            if (jobs.has(name)) {
+                throw new Error(`A cron job named "${name}" already exists`);
+            }
+            if (typeof task !== "function") {
+                throw new TypeError("A cron job needs a task function");
+            }
+
+            const job = {
+                name,
+                task,
+                schedule: parseCron(expression),
+                timeZone: options.timeZone || timeZone,
+                overlap: options.overlap || overlap,
+                catchUp: options.catchUp || catchUp,
+                controller: new AbortController(),
+                checkedAt: clock.now(),
+                nextRun: 0,
+                timer: undefined,
+                paused: false,
+                active: 0,
+                lastRun: null,
+                runs: 0,
+                missed: 0,
+                skippedOverlaps: 0,
+                errors: 0
+            };
+            arm(job);
+            jobs.set(name, job);
+
+            return {
+                name,
+                info: () => describe(job),
+                pause: () => scheduler.pause(name),
+                resume: () => scheduler.resume(name),
+                cancel: () => scheduler.cancel(name)
+            };
+        },
+
+        get(name) {
+            return jobs.has(name) ? describe(jobs.get(name)) : undefined;
+        },
+
+        list() {
+            return [...jobs.values()].map(describe);
+        },
+
+        // A paused job keeps its history; runs that fall due while paused are not caught up
+        pause(name) {
+            const job = find(name);
+            job.paused = true;
+            disarm(job);
+        },
+
+        resume(name) {
+            const job = find(name);
+            if (!job.paused) {
+                return;
+            }
+            job.paused = false;
+            job.checkedAt = clock.now();
+            arm(job);
+        },
+
+        // Clears the timer and aborts the signal handed to a run that is still going
+        cancel(name) {
+            const job = find(name);
+            disarm(job);
+            job.controller.abort();
+            jobs.delete(name);
+        },
+
+        stop() {
+            for (const name of [...jobs.keys()]) {
+                scheduler.cancel(name);
+            }
+        }
+    };
+
+    return scheduler;
+}
+
+module.exports = {
+    parseCron,
+    nextRun,
+    createCronScheduler
+};
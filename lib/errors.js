@@ -0,0 +1,66 @@
+// lib/errors.js
+// Error types shared by the lesson helpers - check them with `instanceof` or `error.name`
+
+// Raised when an AbortSignal cancels an operation; `cause` is the signal's reason
+class AbortError extends Error {
+    constructor(message = "The operation was aborted", options) {
+        super(message, options);
+        this.name = "AbortError";
+        this.code = "ABORT_ERR";
+    }
+}
+
+// Raised when a time budget runs out; `timeout` is the budget in ms.
+// Kept apart from AbortError so callers can tell "too slow" from "cancelled".
+class TimeoutError extends Error {
+    constructor(message = "The operation timed out", { timeout, ...options } = {}) {
+        super(message, options);
+        this.name = "TimeoutError";
+        this.code = "ETIMEDOUT";
+        this.timeout = timeout;
+    }
+}
+
+// Raised when a poller runs out of attempts before its condition holds;
+// `lastValue` is what the final poll returned
+class PollExhaustedError extends Error {
+    constructor(attempts, lastValue) {
+        super(`Condition not met after ${attempts} attempts`);
+        this.name = "PollExhaustedError";
+        this.code = "EPOLLEXHAUSTED";
+        this.attempts = attempts;
+        this.lastValue = lastValue;
+    }
+}
+
+// Raised when a pool worker dies mid-task; `cause` is the worker's error or exit code
+class WorkerCrashError extends Error {
+    constructor(task, options) {
+        super(`Worker crashed while running "${task}"`, options);
+        this.name = "WorkerCrashError";
+        this.code = "ERR_WORKER_CRASHED";
+        this.task = task;
+    }
+}
+
+// Raised by a circuit breaker (lib/circuit-breaker.js) instead of calling an endpoint that
+// keeps failing; `retryIn` is how long until it lets a probe through, 0 when half-open
+class CircuitOpenError extends Error {
+    constructor(circuit, { retryIn = 0, ...options } = {}) {
+        super(retryIn > 0
+            ? `Circuit "${circuit}" is open - next try in ${Math.ceil(retryIn)}ms`
+            : `Circuit "${circuit}" is half-open and already probing`, options);
+        this.name = "CircuitOpenError";
+        this.code = "ECIRCUITOPEN";
+        this.circuit = circuit;
+        this.retryIn = retryIn;
+    }
+}
+
+module.exports = {
+    AbortError,
+    TimeoutError,
+    PollExhaustedError,
+    WorkerCrashError,
+    CircuitOpenError
+};
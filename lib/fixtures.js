@@ -0,0 +1,75 @@
+// lib/fixtures.js
+// The data behind every simulated API - the in-memory ones (lib/api.js, lib/callbacks.js)
+// and the HTTP mock server (lib/mock-server.js) return the same users, posts and comments
+
+// Followers are users too, so fetchUser(101) is Bob; any other id is Alice
+const USERS = {
+    101: { name: "Bob", email: "bob@example.com" },
+    102: { name: "Charlie", email: "charlie@example.com" },
+    103: { name: "Diana", email: "diana@example.com" }
+};
+const DEFAULT_USER = { name: "Alice", email: "alice@example.com" };
+
+const POSTS = [
+    { id: 1, title: "First Post" },
+    { id: 2, title: "Second Post" }
+];
+
+// The whole history, for paging through: the two posts above, then older ones
+const ARCHIVE_SIZE = 7;
+
+const COMMENTS = [
+    { id: 1, text: "Great post!" },
+    { id: 2, text: "Thanks for sharing!" }
+];
+
+const FOLLOWER_IDS = [101, 102, 103];
+
+// Fresh objects on every call, so callers can't change the fixtures by accident
+
+function user(id) {
+    return { id, ...(USERS[id] || DEFAULT_USER) };
+}
+
+function userPosts(userId) {
+    return POSTS.map(post => ({ ...post, userId }));
+}
+
+// Throws a RangeError unless page (1-based) and pageSize are positive integers
+function checkPage(page, pageSize) {
+    for (const [name, value] of Object.entries({ page, pageSize })) {
+        if (!(Number.isInteger(value) && value >= 1)) {
+            throw new RangeError(`${name} must be a positive integer, got ${value}`);
+        }
+    }
+}
+
+// One page (1-based) of the user's history; `next` is the following page, null on the last
+function userPostsPage(userId, page = 1, pageSize = 3) {
+    checkPage(page, pageSize);
+    const first = (page - 1) * pageSize + 1;
+    const last = Math.min(page * pageSize, ARCHIVE_SIZE);
+    const posts = [];
+    for (let id = first; id <= last; id++) {
+        const title = id <= POSTS.length ? POSTS[id - 1].title : `Post #${id}`;
+        posts.push({ id, title, userId });
+    }
+    return { posts, page, pageSize, total: ARCHIVE_SIZE, next: last < ARCHIVE_SIZE ? page + 1 : null };
+}
+
+function postComments(postId) {
+    return COMMENTS.map(comment => ({ ...comment, postId }));
+}
+
+function followers() {
+    return FOLLOWER_IDS.map(id => ({ id, name: USERS[id].name }));
+}
+
+module.exports = {
+    user,
+    userPosts,
+    userPostsPage,
+    checkPage,
+    postComments,
+    followers
+};
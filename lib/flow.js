@@ -0,0 +1,335 @@
+// lib/flow.js
+// Control flow for error-first callbacks, in the style of async.js
+//
+//   waterfall([
+//       done => fetchUser(123, done),
+//       (user, done) => fetchUserPosts(user.id, done)
+//   ], (error, posts) => { ... });
+//
+//   series([a, b], callback)           parallel({ user: a, posts: b }, callback)
+//   mapLimit(ids, 2, fetchUser, callback)   eachLimit(files, 4, saveFile, callback)
+//   retry({ times: 5, interval: 200 }, task, callback)
+//   auto({ user: getUser, posts: ["user", (results, done) => ...] }, callback)
+//
+// Guarantees, for every function here:
+//   - the final callback is called exactly once, and always asynchronously
+//   - the first error is passed straight to it, and nothing new is started after that
+//   - a task that calls its own callback twice throws, so the bug shows up where it is
+
+const { setTimeout } = require("./clock");
+
+// ============================================================================
+// CALLBACK GUARDS
+// ============================================================================
+
+function onlyOnce(fn) {
+    let called = false;
+    return function (...args) {
+        if (called) {
+            throw new Error("Callback was already called");
+        }
+        called = true;
+        fn.apply(this, args);
+    };
+}
+
+// Later calls are ignored - that's how the rest is short-circuited after an error.
+// nextTick keeps the callback async even when every task finished synchronously.
+function finalCallback(callback) {
+    if (typeof callback !== "function") {
+        throw new TypeError("The last argument must be an error-first callback");
+    }
+    let done = false;
+    return (...args) => {
+        if (done) {
+            return;
+        }
+        done = true;
+        process.nextTick(callback, ...args);
+    };
+}
+
+// Several success values arrive as an array, a single one as itself
+function collect(values) {
+    return values.length > 1 ? values : values[0];
+}
+
+function assertLimit(limit) {
+    if (!(limit === Infinity || (Number.isInteger(limit) && limit >= 1))) {
+        throw new TypeError(`limit must be a positive integer or Infinity, got ${limit}`);
+    }
+}
+
+// ============================================================================
+// COLLECTIONS
+// ============================================================================
+
+// iteratee(item, callback(error, result)) with at most `limit` running at once;
+// results keep input order
+function mapLimit(items, limit, iteratee, callback) {
+    assertLimit(limit);
+    const finish = finalCallback(callback);
+    const list = Array.from(items);
+    const results = new Array(list.length);
+    let next = 0;
+    let running = 0;
+    let completed = 0;
+    let stopped = false;
+    let looping = false;
+
+    if (list.length === 0) {
+        finish(null, results);
+        return;
+    }
+
+    // An iteratee that calls back synchronously lands back here while the loop is
+    // still running. The loop picks up the freed slot itself - recursing instead
+    // would cost one stack frame per item.
+    function launch() {
+        if (looping) {
+            return;
+        }
+        looping = true;
+        try {
+            while (!stopped && running < limit && next < list.length) {
+                const index = next++;
+                running++;
+                iteratee(list[index], onlyOnce((error, ...values) => {
+                    running--;
+                    if (stopped) {
+                        return;
+                    }
+                    if (error) {
+                        stopped = true;
+                        finish(error);
+                        return;
+                    }
+                    results[index] = collect(values);
+                    completed++;
+                    if (completed === list.length) {
+                        stopped = true;
+                        finish(null, results);
+                    } else {
+                        launch();
+                    }
+                }));
+            }
+        } finally {
+            looping = false;
+        }
+    }
+
+    launch();
+}
+
+// iteratee(item, callback(error)) with at most `limit` running at once
+function eachLimit(items, limit, iteratee, callback) {
+    const finish = finalCallback(callback);
+    mapLimit(items, limit, (item, done) => iteratee(item, error => done(error)), error => finish(error || null));
+}
+
+// ============================================================================
+// TASKS
+// ============================================================================
+
+// Tasks are task(callback) functions, in an array or an object; results take the same shape
+function runTasks(tasks, limit, callback) {
+    const finish = finalCallback(callback);
+    const keys = Array.isArray(tasks) ? null : Object.keys(tasks);
+    const list = keys ? keys.map(key => tasks[key]) : tasks;
+
+    mapLimit(list, limit, (task, done) => task(done), (error, results) => {
+        if (error) {
+            finish(error);
+        } else {
+            finish(null, keys ? Object.fromEntries(keys.map((key, index) => [key, results[index]])) : results);
+        }
+    });
+}
+
+// One after another
+function series(tasks, callback) {
+    runTasks(tasks, 1, callback);
+}
+
+// All at once
+function parallel(tasks, callback) {
+    runTasks(tasks, Infinity, callback);
+}
+
+// Each task receives the previous task's results, then its own callback
+function waterfall(tasks, callback) {
+    const finish = finalCallback(callback);
+    let index = 0;
+
+    function next(...args) {
+        if (index === tasks.length) {
+            finish(null, ...args);
+            return;
+        }
+        const task = tasks[index++];
+        task(...args, onlyOnce((error, ...results) => {
+            if (error) {
+                finish(error);
+                return;
+            }
+            next(...results);
+        }));
+    }
+
+    next();
+}
+
+// Calls task(callback) until it succeeds or `times` attempts have failed.
+// options: a number of times, or { times = 3, interval = 0, errorFilter }.
+// interval may be a function of the attempt number for backoff.
+function retry(options, task, callback) {
+    const { times = 3, interval = 0, errorFilter = () => true } = typeof options === "number" ? { times: options } : options;
+    const finish = finalCallback(callback);
+    let attempt = 0;
+
+    function tryOnce() {
+        attempt++;
+        task(onlyOnce((error, ...results) => {
+            if (!error) {
+                finish(null, ...results);
+            } else if (attempt >= times || !errorFilter(error)) {
+                finish(error);
+            } else {
+                setTimeout(tryOnce, typeof interval === "function" ? interval(attempt) : interval);
+            }
+        }));
+    }
+
+    tryOnce();
+}
+
+// ============================================================================
+// AUTO
+// ============================================================================
+
+// Finds a dependency cycle, if any, and returns it as a list of task names
+function findCycle(dependencies) {
+    const state = new Map();
+
+    function visit(name, path) {
+        if (state.get(name) === "done") {
+            return null;
+        }
+        if (state.get(name) === "visiting") {
+            return [...path.slice(path.indexOf(name)), name];
+        }
+        state.set(name, "visiting");
+        for (const dependency of dependencies[name]) {
+            const cycle = visit(dependency, [...path, name]);
+            if (cycle) {
+                return cycle;
+            }
+        }
+        state.set(name, "done");
+        return null;
+    }
+
+    for (const name of Object.keys(dependencies)) {
+        const cycle = visit(name, []);
+        if (cycle) {
+            return cycle;
+        }
+    }
+    return null;
+}
+
+// Runs tasks as soon as their dependencies are done:
+//   name: callback => ...                                   no dependencies
+//   name: ["other", "another", (results, callback) => ...]  waits for those two
+// The final callback gets (error, results) - on error, results holds what finished.
+function auto(tasks, concurrency, callback) {
+    if (typeof concurrency === "function") {
+        [concurrency, callback] = [Infinity, concurrency];
+    }
+    assertLimit(concurrency);
+    const finish = finalCallback(callback);
+
+    const names = Object.keys(tasks);
+    const dependencies = {};
+    const functions = {};
+    for (const name of names) {
+        const spec = tasks[name];
+        functions[name] = Array.isArray(spec) ? spec[spec.length - 1] : spec;
+        dependencies[name] = Array.isArray(spec) ? spec.slice(0, -1) : [];
+
+        const unknown = dependencies[name].find(dependency => !(dependency in tasks));
+        if (unknown) {
+            finish(new Error(`Task "${name}" depends on unknown task "${unknown}"`));
+            return;
+        }
+    }
+
+    const cycle = findCycle(dependencies);
+    if (cycle) {
+        finish(new Error(`Tasks depend on each other: ${cycle.join(" → ")}`));
+        return;
+    }
+
+    const results = {};
+    const started = new Set();
+    let running = 0;
+    let completed = 0;
+    let stopped = false;
+
+    if (names.length === 0) {
+        finish(null, results);
+        return;
+    }
+
+    function launch() {
+        for (const name of names) {
+            if (stopped || running >= concurrency) {
+                return;
+            }
+            if (started.has(name) || !dependencies[name].every(dependency => dependency in results)) {
+                continue;
+            }
+
+            started.add(name);
+            running++;
+            const done = onlyOnce((error, ...values) => {
+                running--;
+                if (stopped) {
+                    return;
+                }
+                if (error) {
+                    stopped = true;
+                    finish(error, { ...results });
+                    return;
+                }
+                results[name] = collect(values);
+                completed++;
+                if (completed === names.length) {
+                    stopped = true;
+                    finish(null, results);
+                } else {
+                    launch();
+                }
+            });
+
+            if (dependencies[name].length > 0) {
+                functions[name]({ ...results }, done);
+            } else {
+                functions[name](done);
+            }
+        }
+    }
+
+    launch();
+}
+
+module.exports = {
+    series,
+    parallel,
+    waterfall,
+    eachLimit,
+    mapLimit,
+    retry,
+    auto
+};
@@ -0,0 +1,134 @@
+// lib/http-api.js
+// The promise-based APIs from lib/api.js over real HTTP: fetch() against lib/mock-server.js
+//
+//   ASYNC_BACKEND=http node run.js 05                    → lessons 04/05 make real requests
+//
+//   const api = createHttpApi();                         // starts a mock server on a free port
+//   const api = createHttpApi({ baseUrl: "http://127.0.0.1:3000" });
+//   const user = await api.fetchUser(123, { signal, deadline });
+//
+// Same functions, arguments, log lines and errors as the in-memory versions, plus a
+// 🌐 line per response. Faults come from the same chaos profile, applied by the server.
+// Aborting rejects with an AbortError (or the deadline's TimeoutError) and fetch()
+// closes the connection, so the server drops the request too.
+//
+// Needs Node 18+ for the global fetch().
+
+const { performance } = require("perf_hooks");
+const { getClock } = require("./clock");
+const { abortError, throwIfAborted, stopSignal } = require("./abort");
+const { TimeoutError } = require("./errors");
+const { createMockServer } = require("./mock-server");
+const { log } = require("./logger");
+
+let warnedAboutVirtualClock = false;
+
+// Virtual time can't speed up a socket, so timers would overtake every response
+function warnIfVirtualClock() {
+    if (warnedAboutVirtualClock || getClock().mode !== "virtual") {
+        return;
+    }
+    warnedAboutVirtualClock = true;
+    process.emitWarning("HTTP requests take real time, so on the virtual clock they finish after the timers around them", {
+        type: "VirtualClockWarning"
+    });
+}
+
+// Without a baseUrl, the first request starts an in-process mock server.
+// It is unref'd, so it never keeps a finished lesson running.
+function createHttpApi({ baseUrl } = {}) {
+    let ready = baseUrl ? Promise.resolve(baseUrl) : null;
+
+    function base() {
+        if (!ready) {
+            const server = createMockServer();
+            ready = server.listen().then(url => {
+                server.unref();
+                return url;
+            });
+        }
+        return ready;
+    }
+
+    // `stop` is a stopSignal() pair, released whichever way the request ends
+    async function getJson(path, params, stop) {
+        try {
+            return await request(path, params, stop.signal);
+        } finally {
+            stop.dispose();
+        }
+    }
+
+    async function request(path, params, signal) {
+        throwIfAborted(signal);
+        warnIfVirtualClock();
+        const url = new URL(path, await base());
+        for (const [name, value] of Object.entries(params)) {
+            if (value !== undefined) {
+                url.searchParams.set(name, value);
+            }
+        }
+
+        const startedAt = performance.now();
+        let response;
+        let body;
+        try {
+            response = await fetch(url, { signal });
+            body = await response.json();
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw abortError(signal);
+            }
+            throw new Error(`Failed to fetch ${path}`, { cause: error });
+        }
+
+        log(`🌐 GET ${url.pathname}${url.search} → ${response.status} (${Math.round(performance.now() - startedAt)}ms)`);
+        if (response.status === 504) {
+            throw new TimeoutError(body.error);
+        }
+        if (!response.ok) {
+            throw Object.assign(new Error(body.error || `Failed to fetch ${path}`), { status: response.status });
+        }
+        return body;
+    }
+
+    return {
+        // `delay` is passed to the server, so the timings match the in-memory version.
+        // /call answers for any endpoint, even one that shares its path with a fixture route.
+        async apiCall(endpoint, delay = 1000, { signal, deadline } = {}) {
+            log(`📡 Calling API: ${endpoint}`);
+            const path = `/call${endpoint.startsWith("/") ? "" : "/"}${endpoint}`;
+            const data = await getJson(path, { delay }, stopSignal(signal, deadline));
+            return { endpoint, data };
+        },
+
+        fetchUser(userId, { signal, deadline } = {}) {
+            log(`👤 Fetching user ${userId}...`);
+            return getJson(`/api/user/${encodeURIComponent(userId)}`, {}, stopSignal(signal, deadline));
+        },
+
+        fetchUserPosts(userId, { signal, deadline } = {}) {
+            log(`📝 Fetching posts for user ${userId}...`);
+            return getJson("/api/posts", { userId }, stopSignal(signal, deadline));
+        },
+
+        fetchUserPostsPage(userId, { page = 1, pageSize = 3, signal, deadline } = {}) {
+            log(`📝 Fetching posts for user ${userId}, page ${page}...`);
+            return getJson("/api/posts", { userId, page, pageSize }, stopSignal(signal, deadline));
+        },
+
+        fetchPostComments(postId, { signal, deadline } = {}) {
+            log(`💬 Fetching comments for post ${postId}...`);
+            return getJson("/api/comments", { postId }, stopSignal(signal, deadline));
+        },
+
+        fetchFollowers(userId, { signal, deadline } = {}) {
+            log(`👥 Fetching followers for user ${userId}...`);
+            return getJson("/api/followers", { userId }, stopSignal(signal, deadline));
+        }
+    };
+}
+
+module.exports = {
+    createHttpApi
+};
@@ -0,0 +1,175 @@
+// lib/lag-monitor.js
+// Measures how long the event loop is kept busy and catches the callbacks that block it
+//
+//   node run.js 01 --lag
+//   node -r ./lib/lag-register.js my-service.js
+//
+//   const monitor = createLagMonitor({ threshold: 100 }).start();
+//   ...
+//   monitor.report();   // { p50, p99, max, mean, blocks }
+//   monitor.stop();
+//
+// Two sources are combined:
+//   - perf_hooks.monitorEventLoopDelay samples the loop's delay into a histogram
+//   - async_hooks time every callback (timers, I/O, promise reactions...), so a
+//     callback that runs longer than `threshold` is reported together with the
+//     stack that scheduled it
+// A watchdog timer catches what the hooks can't see - mostly the main script itself.
+//
+// This always measures the real event loop, even when lessons run on the virtual clock.
+
+const path = require("path");
+const asyncHooks = require("async_hooks");
+const { monitorEventLoopDelay, performance } = require("perf_hooks");
+
+const NS_PER_MS = 1e6;
+
+// Frames from these files are the monitor itself, not the code that blocked
+const INTERNAL_FILES = [__filename, path.join(__dirname, "lag-register.js")];
+
+function cleanStack(stack, frames = 6) {
+    return stack.split("\n")
+        .slice(1)
+        .filter(line => !line.includes("node:") && !INTERNAL_FILES.some(file => line.includes(file)))
+        .slice(0, frames)
+        .map(line => line.trim())
+        .join("\n");
+}
+
+function round(ms) {
+    return Math.round(ms * 10) / 10;
+}
+
+// process.emitWarning prints "(node:123) EventLoopBlockWarning: ..." to stderr,
+// and services can pick warnings up with process.on("warning")
+function warnBlock(block) {
+    process.emitWarning(`Event loop blocked for ${block.duration}ms in ${block.source}`, {
+        type: "EventLoopBlockWarning",
+        detail: block.stack ? `Blocking callback was scheduled at:\n${block.stack}` : undefined
+    });
+}
+
+// Options:
+//   threshold      a single block at least this long (ms) is reported
+//   resolution     sampling rate of the histogram and the watchdog (ms)
+//   captureStacks  record where each callback was scheduled - costs a stack trace per
+//                  async resource, so services may want it off outside debugging
+//   onBlock        (block) => {} - defaults to a process warning
+function createLagMonitor({ threshold = 100, resolution = 10, captureStacks = true, onBlock = warnBlock } = {}) {
+    const blocks = [];
+    // Where each live async resource was created
+    const origins = new Map();
+    // Start time of each callback that is running right now - before/after pairs can nest
+    const running = new Map();
+
+    let histogram = null;
+    let hook = null;
+    let watchdog = null;
+    let lastReportedAt = 0;
+
+    function reportBlock(duration, source, stack) {
+        lastReportedAt = performance.now();
+        const block = { duration: Math.round(duration), at: new Date(), source, stack: stack || null };
+        blocks.push(block);
+        onBlock(block);
+    }
+
+    function createHook() {
+        return asyncHooks.createHook({
+            init(asyncId, type) {
+                origins.set(asyncId, { type, stack: captureStacks ? cleanStack(new Error().stack) : null });
+            },
+            before(asyncId) {
+                running.set(asyncId, performance.now());
+            },
+            after(asyncId) {
+                if (!running.has(asyncId)) {
+                    return;
+                }
+                const duration = performance.now() - running.get(asyncId);
+                running.delete(asyncId);
+                if (duration >= threshold) {
+                    const origin = origins.get(asyncId) || { type: "callback" };
+                    reportBlock(duration, `a ${origin.type} callback`, origin.stack);
+                }
+            },
+            destroy(asyncId) {
+                origins.delete(asyncId);
+            }
+        });
+    }
+
+    function startWatchdog() {
+        let expected = performance.now() + resolution;
+        watchdog = setInterval(() => {
+            const now = performance.now();
+            const lag = now - expected;
+            expected = now + resolution;
+            // Blocks inside a callback were already reported by the hooks
+            if (lag >= threshold && lastReportedAt < now - lag) {
+                reportBlock(lag, hook ? "the main script" : "an unknown callback");
+            }
+        }, resolution);
+        // Monitoring alone shouldn't keep a process alive
+        watchdog.unref();
+    }
+
+    const monitor = {
+        blocks,
+
+        start() {
+            if (histogram) {
+                return monitor;
+            }
+            histogram = monitorEventLoopDelay({ resolution });
+            histogram.enable();
+            hook = createHook().enable();
+            startWatchdog();
+            return monitor;
+        },
+
+        stop() {
+            if (!histogram) {
+                return monitor;
+            }
+            clearInterval(watchdog);
+            hook.disable();
+            histogram.disable();
+            hook = null;
+            origins.clear();
+            running.clear();
+            return monitor;
+        },
+
+        // Delays in ms; the histogram keeps its samples after stop()
+        report() {
+            const empty = !histogram || histogram.max === 0;
+            const longestBlock = blocks.reduce((longest, block) => Math.max(longest, block.duration), 0);
+            return {
+                p50: empty ? 0 : round(histogram.percentile(50) / NS_PER_MS),
+                p99: empty ? 0 : round(histogram.percentile(99) / NS_PER_MS),
+                // The histogram only samples once the loop is running, so a block in the
+                // main script is only known to the watchdog
+                max: Math.max(empty ? 0 : round(histogram.max / NS_PER_MS), longestBlock),
+                mean: empty ? 0 : round(histogram.mean / NS_PER_MS),
+                blocks: blocks.length,
+                longestBlock
+            };
+        },
+
+        summary() {
+            const { p50, p99, max, blocks: count } = monitor.report();
+            const lines = [`⏱️ Event loop delay: p50 ${p50}ms · p99 ${p99}ms · max ${max}ms · ${count} block(s) over ${threshold}ms`];
+            for (const block of blocks) {
+                lines.push(`   🧱 ${block.duration}ms in ${block.source}`);
+            }
+            return lines.join("\n");
+        }
+    };
+
+    return monitor;
+}
+
+module.exports = {
+    createLagMonitor
+};
@@ -0,0 +1,15 @@
+// lib/lag-register.js
+// Preload that watches the event loop for a whole script and prints the delay
+// histogram when the loop runs dry; blocks are reported as warnings on the way
+//
+//   node -r ./lib/lag-register.js 01-synchronous-vs-asynchronous.js
+
+const { createLagMonitor } = require("./lag-monitor");
+
+const threshold = Number(process.env.ASYNC_LAG_THRESHOLD) || 100;
+const monitor = createLagMonitor({ threshold }).start();
+
+process.once("beforeExit", () => {
+    monitor.stop();
+    console.log(`\n${monitor.summary()}`);
+});
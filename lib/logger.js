@@ -0,0 +1,192 @@
+// lib/logger.js
+// One log for every lesson: the emoji lines as they have always been, or NDJSON for tooling
+//
+//   node run.js 05                   → the usual pretty output
+//   node run.js 05 --json            → one JSON entry per line (same as ASYNC_LOG=json)
+//   node run.js 06 --json --trace    → the tracer's events join the same stream
+//
+//   const { log } = require("./lib/logger");
+//   log("📊 Synchronous code");      // takes console.log's arguments
+//
+// Every entry:
+//   { "seq": 12, "t": 1000.2, "lesson": "05", "section": 3, "correlationId": "req-1.1",
+//     "type": "task", "kind": "log", "message": "👤 Fetching user 123..." }
+//
+// seq      1, 2, 3... in the order entries were written
+// t        ms since the first entry, on the shared clock - virtual and --speed aware
+// lesson   the lesson id; section is its number, null for the intro and outro
+// correlationId  the operation the line belongs to (lib/context.js), or null. Pretty
+//          output shows it as a prefix: "[req-1.1] 👤 Fetching user 123..."
+// type     what was running: "sync" (top-level or a section's own call), "microtask"
+//          (a promise reaction, await, queueMicrotask or nextTick) or "task" (a timer,
+//          an immediate, I/O)
+// kind     "log", or "trace" for the tracer's enqueue/run/cancel events
+//
+// In JSON mode console.log goes through the logger too, so the lines printed by
+// lib/ modules (📡 Calling API...) become entries like the lessons' own.
+
+const util = require("util");
+const asyncHooks = require("async_hooks");
+const { monotonic } = require("./clock");
+const { correlationId } = require("./context");
+
+const FORMATS = ["pretty", "json"];
+
+let hooksEnabled = false;
+
+// executionAsyncResource() is only filled in for promises while some hook is enabled
+function enableAsyncHooks() {
+    if (!hooksEnabled) {
+        asyncHooks.createHook({ init() {} }).enable();
+        hooksEnabled = true;
+    }
+}
+
+// What kind of callback is running right now, judged by the resource Node is executing:
+// a promise for reactions and await, an object holding the callback for nextTick and
+// queueMicrotask, a Timeout, Immediate or I/O request for everything else
+function currentType() {
+    if (asyncHooks.executionAsyncId() === 1) {
+        return "sync";
+    }
+    const resource = asyncHooks.executionAsyncResource();
+    if (resource instanceof Promise || (resource && typeof resource.callback === "function")) {
+        return "microtask";
+    }
+    return "task";
+}
+
+// A reader that goes away (`| head`) ends the NDJSON stream, not the process
+function writeStdout(line) {
+    process.stdout.write(line, error => {
+        if (error && process.stdout.listenerCount("error") === 0) {
+            process.stdout.once("error", () => {});
+        }
+    });
+}
+
+// "[req-1] " goes after any leading blank lines, so section headers keep their spacing
+function withPrefix(args, id) {
+    if (!id) {
+        return args;
+    }
+    if (typeof args[0] !== "string") {
+        return [`[${id}]`, ...args];
+    }
+    const [first, ...rest] = args;
+    const blank = first.match(/^\n*/)[0];
+    return [`${blank}[${id}] ${first.slice(blank.length)}`, ...rest];
+}
+
+// Options:
+//   format  "pretty" (console.log, unchanged) or "json" (NDJSON)
+//   write   where JSON lines go - default: process.stdout
+//   now     ms clock for the `t` field - default: the shared clock
+function createLogger({ format = "pretty", write = writeStdout, now = monotonic } = {}) {
+    if (!FORMATS.includes(format)) {
+        throw new RangeError(`Unknown log format "${format}" - use ${FORMATS.join(" or ")}`);
+    }
+    if (format === "json") {
+        enableAsyncHooks();
+    }
+
+    let seq = 0;
+    let origin = null;
+    let syncDepth = 0;
+    let context = { lesson: null, section: null };
+
+    function entry(kind, fields) {
+        const at = now();
+        if (origin === null) {
+            origin = at;
+        }
+        seq++;
+        return {
+            seq,
+            t: Math.round((at - origin) * 10) / 10,
+            lesson: context.lesson,
+            section: context.section,
+            correlationId: correlationId() || null,
+            type: syncDepth > 0 ? "sync" : currentType(),
+            kind,
+            ...fields
+        };
+    }
+
+    function emit(value) {
+        write(`${JSON.stringify(value)}\n`);
+    }
+
+    const logger = {
+        format,
+
+        log(...args) {
+            if (format === "pretty") {
+                // Looked up on every call, so code that captures console.log still sees the lines
+                console.log(...withPrefix(args, correlationId()));
+                return;
+            }
+            emit(entry("log", { message: util.format(...args) }));
+        },
+
+        // One event from lib/tracer.js; only written in JSON mode, the pretty
+        // output has the tracer's own timeline
+        trace(traced) {
+            if (format === "pretty") {
+                return;
+            }
+            const { type: event, tick, id, source, queue, delay, name, site } = traced;
+            emit(entry("trace", { event, source, queue, id, tick, delay, name, site }));
+        },
+
+        // The lesson and section that the following entries belong to
+        enter({ lesson = context.lesson, section = null } = {}) {
+            context = { lesson, section };
+            return logger;
+        },
+
+        // Runs fn and tags what it logs as "sync" - for code called from inside a
+        // runner's callback that stands for top-level code, like a section's run()
+        sync(fn) {
+            syncDepth++;
+            try {
+                return fn();
+            } finally {
+                syncDepth--;
+            }
+        }
+    };
+
+    return logger;
+}
+
+function loggerFromEnv(env) {
+    const format = env.ASYNC_LOG || "pretty";
+    const logger = createLogger({ format });
+    if (format === "json") {
+        console.log = (...args) => logger.log(...args);
+    }
+    return logger;
+}
+
+// Created on first use, so the CLI can still set ASYNC_LOG after loading this module
+let activeLogger = null;
+
+function getLogger() {
+    if (!activeLogger) {
+        activeLogger = loggerFromEnv(process.env);
+    }
+    return activeLogger;
+}
+
+function useLogger(logger) {
+    activeLogger = logger;
+    return logger;
+}
+
+module.exports = {
+    createLogger,
+    getLogger,
+    useLogger,
+    log: (...args) => getLogger().log(...args)
+};
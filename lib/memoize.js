@@ -0,0 +1,209 @@
+// lib/memoize.js
+// Promise memoization: one request for many callers, and a cache with a time limit
+//
+//   const getUser = memoize(fetchUser, {
+//       ttl: 5000,                     // a result is fresh for 5s...
+//       staleWhileRevalidate: 10000,   // ...then served stale for 10s more while it refreshes
+//       maxSize: 100                   // least recently used entries go first
+//   });
+//
+//   await Promise.all([getUser(123), getUser(123)]);   // one fetchUser call, one timer
+//   await getUser(123);                                // cached - no call at all
+//   getUser.invalidate(123);                           // the next call fetches again
+//
+// Concurrent calls with the same key share the in-flight promise. A rejection is
+// never cached: the entry is dropped, so the next call tries again. A failed
+// background refresh keeps the stale value until it runs out.
+//
+// `signal` and `deadline` in an options object belong to one caller, not to the call:
+// they are left out of the key and out of the shared call, and each caller stops
+// waiting when its own signal aborts - the others still get their result.
+//
+//   getUser(123, { signal })          // shares fetchUser(123) with getUser(123)
+//
+// Ages are measured on the shared clock, so the virtual clock expires entries too.
+
+const { now } = require("./clock");
+const { abortError, stopSignal } = require("./abort");
+
+const DEFAULTS = {
+    key: (...args) => JSON.stringify(args),   // calls with equal keys share a result - without { signal, deadline }
+    ttl: Infinity,                            // ms a result stays fresh; 0 only dedupes in-flight calls
+    staleWhileRevalidate: 0,                  // ms after the ttl a stale result is still served
+    maxSize: Infinity                         // entries kept, least recently used evicted first
+};
+
+// The arguments without the caller's own { signal, deadline }, and one stopSignal()
+// pair for both. An options object left empty is dropped, so fn(123) and
+// fn(123, { signal }) share.
+function splitCallerOptions(args) {
+    const shared = [];
+    let stop = stopSignal();
+    args.forEach((arg, index) => {
+        const plain = arg !== null && typeof arg === "object" && Object.getPrototypeOf(arg) === Object.prototype;
+        if (!plain || !("signal" in arg || "deadline" in arg)) {
+            shared.push(arg);
+            return;
+        }
+        const { signal: own, deadline, ...rest } = arg;
+        stop = stopSignal(own, deadline);
+        if (Object.keys(rest).length > 0 || index < args.length - 1) {
+            shared.push(rest);
+        }
+    });
+    return { shared, stop };
+}
+
+// The shared promise, or an abort for this caller alone. The caller's signals are
+// released once either happens.
+function forCaller(promise, { signal, dispose }) {
+    if (!signal) {
+        return promise;
+    }
+    if (signal.aborted) {
+        dispose();
+        return Promise.reject(abortError(signal));
+    }
+    return new Promise((resolve, reject) => {
+        function onAbort() {
+            reject(abortError(signal));
+        }
+        signal.addEventListener("abort", onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => {
+            signal.removeEventListener("abort", onAbort);
+            dispose();
+        });
+    });
+}
+
+function validate({ key, ttl, staleWhileRevalidate, maxSize }) {
+    if (typeof key !== "function") {
+        throw new TypeError("key must be a function");
+    }
+    for (const [name, value] of Object.entries({ ttl, staleWhileRevalidate })) {
+        if (!(typeof value === "number" && value >= 0)) {
+            throw new TypeError(`${name} must be a number of ms, got ${value}`);
+        }
+    }
+    if (!(maxSize === Infinity || (Number.isInteger(maxSize) && maxSize >= 1))) {
+        throw new TypeError(`maxSize must be a positive integer or Infinity, got ${maxSize}`);
+    }
+}
+
+// Wraps a promise-returning function; returns a function with the same signature
+function memoize(fn, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    validate(settings);
+
+    // key → { promise, settled, value, freshUntil, staleUntil, refreshing }, oldest use first
+    const cache = new Map();
+    const stats = { hits: 0, stale: 0, deduped: 0, misses: 0 };
+
+    // Map keeps insertion order, so re-inserting marks an entry as the most recent
+    function touch(key, entry) {
+        cache.delete(key);
+        cache.set(key, entry);
+    }
+
+    function evict() {
+        while (cache.size > settings.maxSize) {
+            cache.delete(cache.keys().next().value);
+        }
+    }
+
+    // Calls fn and keeps the result under `key` once it resolves - unless the entry
+    // was invalidated or evicted meanwhile
+    function load(key, thisArg, args) {
+        const entry = { settled: false, value: undefined, freshUntil: 0, staleUntil: 0, refreshing: false };
+        entry.promise = new Promise(resolve => resolve(fn.apply(thisArg, args))).then(value => {
+            Object.assign(entry, {
+                settled: true,
+                value,
+                freshUntil: now() + settings.ttl,
+                staleUntil: now() + settings.ttl + settings.staleWhileRevalidate
+            });
+            // With nothing to keep it for, the entry only lived to share the call
+            if (settings.ttl + settings.staleWhileRevalidate === 0 && cache.get(key) === entry) {
+                cache.delete(key);
+            }
+            return value;
+        }, error => {
+            if (cache.get(key) === entry) {
+                cache.delete(key);
+            }
+            throw error;
+        });
+        return entry;
+    }
+
+    // A stale entry refreshes in the background; its callers already have their value
+    function revalidate(key, entry, thisArg, args) {
+        entry.refreshing = true;
+        const fresh = load(key, thisArg, args);
+        fresh.promise.then(() => {
+            if (cache.get(key) === entry) {
+                touch(key, fresh);
+            }
+        }, () => {
+            entry.refreshing = false;
+        });
+    }
+
+    function memoized(...callerArgs) {
+        const { shared: args, stop } = splitCallerOptions(callerArgs);
+        const key = settings.key(...args);
+        const entry = cache.get(key);
+        const time = now();
+
+        if (entry && !entry.settled) {
+            stats.deduped++;
+            touch(key, entry);
+            return forCaller(entry.promise, stop);
+        }
+        if (entry && time < entry.freshUntil) {
+            stats.hits++;
+            touch(key, entry);
+            stop.dispose();
+            return entry.promise;
+        }
+        if (entry && time < entry.staleUntil) {
+            stats.stale++;
+            touch(key, entry);
+            if (!entry.refreshing) {
+                revalidate(key, entry, this, args);
+            }
+            stop.dispose();
+            return entry.promise;
+        }
+
+        if (stop.signal && stop.signal.aborted) {
+            stop.dispose();
+            return Promise.reject(abortError(stop.signal));
+        }
+        stats.misses++;
+        const fresh = load(key, this, args);
+        touch(key, fresh);
+        evict();
+        return forCaller(fresh.promise, stop);
+    }
+
+    Object.defineProperties(memoized, {
+        // Entries currently cached or in flight
+        size: { get: () => cache.size },
+        // { hits, stale, deduped, misses } since the start
+        stats: { get: () => ({ ...stats }) },
+        // Drops the entry for these arguments; in-flight callers still get their result
+        invalidate: {
+            value: (...args) => cache.delete(settings.key(...splitCallerOptions(args).shared))
+        },
+        clear: {
+            value: () => cache.clear()
+        }
+    });
+
+    return memoized;
+}
+
+module.exports = {
+    memoize
+};
@@ -0,0 +1,254 @@
+// lib/mock-server.js
+// A local HTTP server for the simulated APIs, so the lessons can make real requests offline
+//
+//   node lib/mock-server.js --port=3000 --latency=200 --failure-rate=0.1
+//   curl http://127.0.0.1:3000/api/user/123
+//
+//   const server = createMockServer({ routes: { followers: { latency: 3000 } } });
+//   const url = await server.listen();          // a free port on 127.0.0.1
+//   await fetch(`${url}/api/posts?userId=123`);
+//   await server.close();
+//
+// Routes (GET, JSON, data from lib/fixtures.js):
+//   /api/user/:id                 the user
+//   /api/posts?userId=123         the user's posts
+//   /api/posts?userId=123&page=2&pageSize=3   one page of the user's whole history
+//   /api/comments?postId=1        the post's comments
+//   /api/followers?userId=123     the user's followers
+//   /call/<endpoint>              "Data from /<endpoint>" - what apiCall("/<endpoint>") fetches,
+//                                 kept apart so apiCall("/api/posts") isn't served posts
+//
+// Each route answers like the in-memory endpoint it stands for, faults included: the
+// chaos profile (lib/chaos.js) sets its latency, errors, hangs and partial responses.
+// Injected errors become HTTP errors - 500 for the API's own error, 503 for "server",
+// 504 for "timeout" - and "network" drops the connection. A hang keeps the request open.
+//
+// `?delay=ms` replaces the route's default latency for one request; a chaos profile or a
+// server option that sets the latency still wins. On /call it is apiCall's delay.
+// `?failureRate=0..1` overrides the error rate for one request.
+
+const http = require("http");
+const { simulateCall } = require("./chaos");
+const fixtures = require("./fixtures");
+
+// `endpoint` is the in-memory API the route stands for, and its name in chaos profiles.
+// `check`, where there is one, throws for a query the route can't answer: a 400.
+const ROUTES = [
+    {
+        name: "user",
+        endpoint: "fetchUser",
+        pattern: /^\/api\/user\/([^/]+)$/,
+        respond: match => fixtures.user(parseId(match[1]))
+    },
+    {
+        name: "posts",
+        endpoint: "fetchUserPosts",
+        pattern: /^\/api\/posts$/,
+        check: query => pageParams(query),
+        respond: (match, query) => (query.has("page")
+            ? fixtures.userPostsPage(parseId(query.get("userId")), ...pageParams(query))
+            : fixtures.userPosts(parseId(query.get("userId"))))
+    },
+    {
+        name: "comments",
+        endpoint: "fetchPostComments",
+        pattern: /^\/api\/comments$/,
+        respond: (match, query) => fixtures.postComments(parseId(query.get("postId")))
+    },
+    {
+        name: "followers",
+        endpoint: "fetchFollowers",
+        pattern: /^\/api\/followers$/,
+        respond: () => fixtures.followers()
+    },
+    {
+        name: "generic",
+        endpoint: "apiCall",
+        pattern: /^\/call(\/.+)$/,
+        respond: match => `Data from ${match[1]}`
+    }
+];
+
+// Ids travel as strings; numeric ones come back as numbers, like the in-memory APIs return them
+function parseId(value) {
+    return value !== null && /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// A query parameter that isn't a usable number is ignored
+function numberParam(query, name) {
+    const value = query.get(name);
+    return value !== null && value !== "" && Number.isFinite(Number(value)) ? Number(value) : undefined;
+}
+
+// page and pageSize: left out for the defaults, otherwise positive integers - a page size
+// of 0 would never reach the last page
+function pageParams(query) {
+    return ["page", "pageSize"].map(name => {
+        const value = query.get(name);
+        if (value === null) {
+            return undefined;
+        }
+        if (!/^[1-9]\d*$/.test(value)) {
+            throw new RangeError(`${name} must be a positive integer, got "${value}"`);
+        }
+        return Number(value);
+    });
+}
+
+// The server options use the names from before chaos profiles; only the ones given are kept
+function toFaults({ latency, failureRate } = {}) {
+    const faults = {};
+    if (latency !== undefined) {
+        faults.latency = latency;
+    }
+    if (failureRate !== undefined) {
+        faults.errorRate = failureRate;
+    }
+    return faults;
+}
+
+function sendJson(response, status, body) {
+    const payload = JSON.stringify(body);
+    response.writeHead(status, {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(payload)
+    });
+    response.end(payload);
+}
+
+// Options (all win over the chaos profile):
+//   latency      ms before every route answers
+//   failureRate  chance (0..1) that a request fails
+//   routes       per-route settings by name, e.g. { followers: { latency: 3000, failureRate: 0.5 } }
+function createMockServer({ latency, failureRate, routes = {} } = {}) {
+    const overrides = {};
+    for (const route of ROUTES) {
+        overrides[route.name] = { ...toFaults({ latency, failureRate }), ...toFaults(routes[route.name]) };
+    }
+
+    function sendFailure(request, response, error) {
+        if (error.code === "ECONNRESET") {
+            request.socket.destroy();
+        } else if (error.name === "TimeoutError") {
+            sendJson(response, 504, { error: error.message });
+        } else {
+            sendJson(response, error.status || 500, { error: error.message });
+        }
+    }
+
+    function handle(request, response) {
+        const url = new URL(request.url, "http://localhost");
+        if (request.method !== "GET") {
+            sendJson(response, 405, { error: `${request.method} is not supported` });
+            return;
+        }
+
+        let route = null;
+        let match = null;
+        for (const candidate of ROUTES) {
+            match = url.pathname.match(candidate.pattern);
+            if (match) {
+                route = candidate;
+                break;
+            }
+        }
+        if (!route) {
+            sendJson(response, 404, { error: `No route for ${url.pathname}` });
+            return;
+        }
+        try {
+            if (route.check) {
+                route.check(url.searchParams);
+            }
+        } catch (error) {
+            sendJson(response, 400, { error: error.message });
+            return;
+        }
+
+        // A client that gave up (aborted fetch) closes the connection - don't answer into the void
+        const gone = new AbortController();
+        response.on("close", () => gone.abort());
+
+        const delay = numberParam(url.searchParams, "delay");
+        const faults = { ...overrides[route.name], ...toFaults({ failureRate: numberParam(url.searchParams, "failureRate") }) };
+        simulateCall(route.endpoint, {
+            signal: gone.signal,
+            latency: delay === undefined ? 1000 : delay,
+            baseline: delay === undefined ? undefined : { latency: delay },
+            error: `Failed to fetch ${url.pathname}`,
+            faults
+        }, () => route.respond(match, url.searchParams), (error, body) => {
+            if (gone.signal.aborted) {
+                return;
+            }
+            if (error) {
+                sendFailure(request, response, error);
+            } else {
+                sendJson(response, 200, body);
+            }
+        });
+    }
+
+    const server = http.createServer(handle);
+    let url = null;
+
+    return {
+        // Base URL once listening, e.g. "http://127.0.0.1:3000"
+        get url() {
+            return url;
+        },
+
+        // Port 0 picks a free port. Resolves with the base URL.
+        listen(port = 0, host = "127.0.0.1") {
+            return new Promise((resolve, reject) => {
+                server.once("error", reject);
+                server.listen(port, host, () => {
+                    server.off("error", reject);
+                    url = `http://${host}:${server.address().port}`;
+                    resolve(url);
+                });
+            });
+        },
+
+        // Lets a process exit even though the server is still listening
+        unref() {
+            server.unref();
+        },
+
+        // Stops listening and drops open connections, including keep-alive ones
+        close() {
+            return new Promise(resolve => {
+                server.close(() => resolve());
+                // Node 18.2+; older versions wait for keep-alive connections to time out
+                if (server.closeAllConnections) {
+                    server.closeAllConnections();
+                }
+            });
+        }
+    };
+}
+
+// node lib/mock-server.js [--port=3000] [--latency=ms] [--failure-rate=0..1]
+function main(args) {
+    const option = name => {
+        const arg = args.find(candidate => candidate.startsWith(`--${name}=`));
+        return arg === undefined ? undefined : Number(arg.slice(name.length + 3));
+    };
+
+    const server = createMockServer({ latency: option("latency"), failureRate: option("failure-rate") });
+    server.listen(option("port") || 3000).then(url => {
+        console.log(`🧪 Mock API listening on ${url}`);
+        console.log(`   Run the lessons against it: ASYNC_BACKEND=http ASYNC_API_URL=${url} node run.js 05`);
+    }, error => {
+        console.error(`❌ Could not start the mock API: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = {
+    createMockServer
+};
@@ -0,0 +1,142 @@
+// lib/order-check.js
+// Verifies that a lesson really logs in the order it claims to
+//
+// A lesson declares its claim as data and exports it:
+//
+//   const expectedOrder = ["1️⃣ First line", { label: "Fast task", log: "⏰ Fast task completed" }];
+//   module.exports = { expectedOrder };
+//
+// Strings are exact log lines; objects pair a printable label with the line to look for.
+// Expected lines must show up in that order, other lines may appear in between.
+//
+//   node lib/order-check.js 01-synchronous-vs-asynchronous.js 06-event-loop.js
+
+const path = require("path");
+const util = require("util");
+const { fork } = require("child_process");
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+function expectedLine(entry) {
+    return typeof entry === "string" ? entry : entry.log;
+}
+
+function normalize(line) {
+    return String(line).trimEnd();
+}
+
+// Walks the expected lines through the actual ones and reports where they diverge
+function checkOrder(expected, actual) {
+    const lines = actual.map(normalize);
+    const entries = [];
+    let cursor = 0;
+
+    for (const entry of expected) {
+        const wanted = normalize(expectedLine(entry));
+        const index = lines.indexOf(wanted, cursor);
+
+        if (index !== -1) {
+            entries.push({ line: wanted, status: "ok", index });
+            cursor = index + 1;
+            continue;
+        }
+
+        const earlier = lines.indexOf(wanted);
+        entries.push({
+            line: wanted,
+            status: earlier === -1 ? "missing" : "out-of-order",
+            index: earlier,
+            after: cursor - 1
+        });
+    }
+
+    return {
+        ok: entries.every(entry => entry.status === "ok"),
+        entries,
+        report: formatReport(entries)
+    };
+}
+
+function formatReport(entries) {
+    return entries.map(entry => {
+        if (entry.status === "ok") {
+            return `  ✓ ${entry.line}  (line ${entry.index + 1})`;
+        }
+        if (entry.status === "missing") {
+            return `  ✗ ${entry.line}  (never logged)`;
+        }
+        return `  ✗ ${entry.line}  (logged at line ${entry.index + 1}, expected after line ${entry.after + 1})`;
+    }).join("\n");
+}
+
+// ============================================================================
+// CAPTURING A RUN
+// ============================================================================
+
+// Runs the lesson in a child process on the virtual clock and collects its log lines
+function captureLesson(file, { seed = 1, env = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = fork(__filename, [path.resolve(file)], {
+            env: { ...process.env, ASYNC_CLOCK: "virtual", ASYNC_SEED: String(seed), ASYNC_LOG: "pretty", ...env },
+            silent: true
+        });
+
+        let stderr = "";
+        let result = null;
+        child.stderr.on("data", chunk => {
+            stderr += chunk;
+        });
+        child.on("message", message => {
+            result = message;
+        });
+        child.on("error", reject);
+        child.on("exit", code => {
+            if (result) {
+                resolve(result);
+            } else {
+                reject(new Error(`${path.basename(file)} exited with code ${code} before reporting\n${stderr}`));
+            }
+        });
+    });
+}
+
+// Child side: record console.log lines until the event loop runs dry
+function runCaptured(file) {
+    const actual = [];
+    console.log = (...args) => {
+        actual.push(util.format(...args));
+    };
+
+    const lesson = require(file);
+
+    process.once("beforeExit", () => {
+        process.send({ expected: lesson.expectedOrder || [], actual }, () => process.disconnect());
+    });
+}
+
+async function main(files) {
+    for (const file of files) {
+        const { expected, actual } = await captureLesson(file);
+        const result = checkOrder(expected, actual);
+        console.log(`${result.ok ? "✅" : "❌"} ${path.basename(file)}`);
+        console.log(result.report);
+        if (!result.ok) {
+            process.exitCode = 1;
+        }
+    }
+}
+
+if (require.main === module) {
+    if (process.send) {
+        runCaptured(process.argv[2]);
+    } else {
+        main(process.argv.slice(2));
+    }
+}
+
+module.exports = {
+    checkOrder,
+    captureLesson
+};
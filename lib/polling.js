@@ -0,0 +1,268 @@
+// lib/polling.js
+// Polling: ask repeatedly until a condition holds
+//
+//   const poller = createPoller(({ signal }) => fetchJob(id, { signal }), {
+//       until: job => job.status === "done",
+//       interval: 1000,
+//       backoff: "exponential",
+//       maxInterval: 10000,
+//       maxAttempts: 20,
+//       timeout: 60000
+//   });
+//
+//   const job = await poller;                    // the value that satisfied `until`
+//   for await (const job of poller) { ... }      // or every poll result from the latest one on
+//   poller.stop();                               // clears the pending timer
+
+const { setTimeout, clearTimeout, random } = require("./clock");
+const { abortError, throwIfAborted, setAbortableTimeout, linkSignals } = require("./abort");
+const { backoffDelay } = require("./retry");
+const { simulateCall } = require("./chaos");
+const { AbortError, TimeoutError, PollExhaustedError } = require("./errors");
+const { log } = require("./logger");
+
+// ============================================================================
+// POLLER
+// ============================================================================
+
+// `check({ attempt, signal })` may return a value or a promise. The poller settles:
+//   - with the first value that passes `until`
+//   - with a PollExhaustedError after `maxAttempts` polls
+//   - with a TimeoutError once `timeout` ms have passed in total
+//   - with an AbortError after stop() or when `signal` aborts
+//   - with check's own error if it throws
+function createPoller(check, {
+    until = Boolean,
+    interval = 1000,
+    backoff = "fixed",
+    factor = 2,
+    maxInterval = Infinity,
+    jitter = "none",
+    maxAttempts = Infinity,
+    timeout = Infinity,
+    signal
+} = {}) {
+    const controller = new AbortController();
+    const { signal: stopSignal, dispose } = linkSignals([controller.signal, signal]);
+
+    // Unlike a deadline, this timer stays ref'd: a poller that is still waiting should keep the process alive
+    const timer = Number.isFinite(timeout)
+        ? setTimeout(() => controller.abort(new TimeoutError(`Polling timed out after ${timeout}ms`, { timeout })), timeout)
+        : undefined;
+
+    // The results some open iterator hasn't read yet, and always the latest one for
+    // iterators that start late - a poller that runs for days doesn't keep every result.
+    // results[0] is from attempt offset + 1.
+    const results = [];
+    let offset = 0;
+    const cursors = new Set();
+    const waiters = [];
+    let finished = false;
+    let failure = null;
+
+    function wake() {
+        for (const resolve of waiters.splice(0)) {
+            resolve();
+        }
+    }
+
+    function trim() {
+        let keepFrom = offset + results.length - 1;
+        for (const cursor of cursors) {
+            keepFrom = Math.min(keepFrom, cursor.index);
+        }
+        if (keepFrom > offset) {
+            results.splice(0, keepFrom - offset);
+            offset = keepFrom;
+        }
+    }
+
+    function finish(error) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        failure = error || null;
+        clearTimeout(timer);
+        // A poller that succeeded or gave up lets go of the caller's signal
+        dispose();
+        wake();
+    }
+
+    const promise = new Promise((resolve, reject) => {
+        function wait(ms) {
+            return new Promise((done, fail) => setAbortableTimeout(done, ms, stopSignal, fail));
+        }
+
+        // A check that ignores its signal still can't hold the poller past stop() or the timeout
+        function settleOrStop(value) {
+            return new Promise((done, fail) => {
+                function handleAbort() {
+                    fail(abortError(stopSignal));
+                }
+                stopSignal.addEventListener("abort", handleAbort, { once: true });
+                Promise.resolve(value).then(
+                    result => {
+                        stopSignal.removeEventListener("abort", handleAbort);
+                        done(result);
+                    },
+                    error => {
+                        stopSignal.removeEventListener("abort", handleAbort);
+                        fail(error);
+                    }
+                );
+            });
+        }
+
+        async function run() {
+            for (let attempt = 1; ; attempt++) {
+                throwIfAborted(stopSignal);
+                const value = await settleOrStop(check({ attempt, signal: stopSignal }));
+                results.push(value);
+                trim();
+                wake();
+
+                if (until(value)) {
+                    return value;
+                }
+                if (attempt >= maxAttempts) {
+                    throw new PollExhaustedError(attempt, value);
+                }
+                await wait(backoffDelay(attempt, { backoff, delay: interval, factor, maxDelay: maxInterval, jitter }));
+            }
+        }
+
+        run().then(
+            value => {
+                finish();
+                resolve(value);
+            },
+            error => {
+                finish(error);
+                reject(error);
+            }
+        );
+    });
+    // Callers who only iterate (or only stop) must not trigger an unhandled rejection
+    promise.catch(() => {});
+
+    // Yields every poll result; ends after the winning one, or quietly on stop().
+    // An iterator that starts after the first result starts at the latest one.
+    // Leaving a for-await loop early stops the poller.
+    function iterate() {
+        const cursor = { index: Math.max(offset, offset + results.length - 1) };
+        cursors.add(cursor);
+        return {
+            async next() {
+                while (cursor.index >= offset + results.length && !finished) {
+                    await new Promise(resolve => waiters.push(resolve));
+                }
+                if (cursor.index < offset + results.length) {
+                    const value = results[cursor.index - offset];
+                    cursor.index++;
+                    trim();
+                    return { value, done: false };
+                }
+                cursors.delete(cursor);
+                if (failure && !(failure instanceof AbortError)) {
+                    throw failure;
+                }
+                return { value: undefined, done: true };
+            },
+            async return() {
+                cursors.delete(cursor);
+                trim();
+                poller.stop();
+                return { value: undefined, done: true };
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+
+    const poller = {
+        promise,
+
+        then(onFulfilled, onRejected) {
+            return promise.then(onFulfilled, onRejected);
+        },
+
+        catch(onRejected) {
+            return promise.catch(onRejected);
+        },
+
+        stop(reason) {
+            if (!finished) {
+                controller.abort(reason);
+            }
+        },
+
+        get attempts() {
+            return offset + results.length;
+        },
+
+        get running() {
+            return !finished;
+        },
+
+        [Symbol.asyncIterator]: iterate
+    };
+
+    return poller;
+}
+
+// ============================================================================
+// LESSON EXAMPLE
+// ============================================================================
+
+// Simulated API call - 30% chance there is something new. Its latency and
+// failures come from the chaos profile (lib/chaos.js).
+function checkForNewData({ signal } = {}) {
+    log("📡 Polling for new data...");
+    return new Promise((resolve, reject) => {
+        simulateCall("checkForNewData", { signal, error: "Failed to check for new data" }, () => random() > 0.7, (error, hasNewData) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(hasNewData);
+            }
+        });
+    });
+}
+
+// Polls every 2 seconds until new data arrives; returns the poller so callers
+// can await it, iterate it or stop() it
+function pollForData({ signal } = {}) {
+    const poller = createPoller(checkForNewData, {
+        until: hasNewData => hasNewData,
+        interval: 2000,
+        signal
+    });
+
+    // A failure ends this loop too, but it is the poller's own rejection - the
+    // caller gets it from the returned poller, so it is only ignored here
+    (async () => {
+        for await (const hasNewData of poller) {
+            if (hasNewData) {
+                log("📊 New data received!");
+            } else {
+                log("⏳ No new data, polling again in 2 seconds...");
+            }
+        }
+    })().catch(() => {});
+
+    poller.catch(error => {
+        if (error instanceof AbortError) {
+            log("⏹️ Polling cancelled");
+        }
+    });
+
+    return poller;
+}
+
+module.exports = {
+    createPoller,
+    checkForNewData,
+    pollForData
+};
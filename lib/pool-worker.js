@@ -0,0 +1,29 @@
+// lib/pool-worker.js
+// Worker side of lib/worker-pool.js: runs tasks by name and posts back the result
+
+const { parentPort, workerData } = require("worker_threads");
+
+const tasks = require(workerData.tasks);
+
+// Errors don't survive structured cloning with their class, so send the fields
+function serializeError(error) {
+    if (error instanceof Error) {
+        return { name: error.name, message: error.message, stack: error.stack, code: error.code };
+    }
+    return { name: "Error", message: String(error) };
+}
+
+// Lets the pool know this worker got past loading `tasks`
+parentPort.postMessage({ ready: true });
+
+parentPort.on("message", async ({ id, task, data }) => {
+    try {
+        if (typeof tasks[task] !== "function") {
+            throw new Error(`Unknown worker task "${task}"`);
+        }
+        const result = await tasks[task](data);
+        parentPort.postMessage({ id, result });
+    } catch (error) {
+        parentPort.postMessage({ id, error: serializeError(error) });
+    }
+});
@@ -0,0 +1,124 @@
+// lib/promisify.js
+// Bridges between callback-based and promise-based APIs
+//
+//   const readFileAsync = promisify(readFile);
+//   const api = promisifyAll(require("./callbacks"), { exclude: ["processArray"] });
+//   const fetchUserCallback = callbackify(fetchUser);
+
+const util = require("util");
+
+// Same symbol as util.promisify.custom, so both implementations honour it
+const custom = util.promisify.custom;
+
+// ============================================================================
+// CALLBACK → PROMISE
+// ============================================================================
+
+// Options:
+//   multiArgs: true        → resolve with every success value as an array
+//   multiArgs: ["a", "b"]  → resolve with { a, b }
+function promisify(fn, { multiArgs = false } = {}) {
+    if (typeof fn !== "function") {
+        throw new TypeError("promisify expects a function");
+    }
+
+    // A function can ship its own promise version
+    if (typeof fn[custom] === "function") {
+        return fn[custom];
+    }
+
+    function promisified(...args) {
+        return new Promise((resolve, reject) => {
+            // `this` is forwarded so methods keep working when promisified
+            fn.call(this, ...args, (error, ...values) => {
+                if (error) {
+                    reject(error);
+                } else if (Array.isArray(multiArgs)) {
+                    resolve(Object.fromEntries(multiArgs.map((name, index) => [name, values[index]])));
+                } else if (multiArgs) {
+                    resolve(values);
+                } else {
+                    resolve(values[0]);
+                }
+            });
+        });
+    }
+
+    Object.defineProperty(promisified, "name", { value: fn.name });
+    Object.defineProperty(promisified, custom, { value: promisified, configurable: true });
+    return promisified;
+}
+
+promisify.custom = custom;
+
+// Names of every callable property, including methods inherited from a class
+function methodNames(target) {
+    const names = new Set();
+    for (let proto = target; proto && proto !== Object.prototype && proto !== Function.prototype; proto = Object.getPrototypeOf(proto)) {
+        for (const name of Object.getOwnPropertyNames(proto)) {
+            const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+            if (name !== "constructor" && descriptor && typeof descriptor.value === "function") {
+                names.add(name);
+            }
+        }
+    }
+    return [...names];
+}
+
+// Returns a new object whose methods return promises; `this` stays bound to `target`.
+// `exclude` skips synchronous helpers, `suffix` keeps both versions side by side.
+function promisifyAll(target, { suffix = "", exclude = [], ...options } = {}) {
+    const result = suffix ? Object.create(target) : {};
+    for (const name of methodNames(target)) {
+        if (exclude.includes(name)) {
+            continue;
+        }
+        const promisified = promisify(target[name], options);
+        result[`${name}${suffix}`] = (...args) => promisified.apply(target, args);
+    }
+    return result;
+}
+
+// Converting callback-based API to promise
+function callbackToPromise(callbackFunction) {
+    return promisify(callbackFunction)();
+}
+
+// ============================================================================
+// PROMISE → CALLBACK
+// ============================================================================
+
+function callbackify(fn) {
+    if (typeof fn !== "function") {
+        throw new TypeError("callbackify expects a function");
+    }
+
+    function callbackified(...args) {
+        const callback = args.pop();
+        if (typeof callback !== "function") {
+            throw new TypeError("The last argument must be an error-first callback");
+        }
+
+        // nextTick keeps errors thrown by the callback out of the promise chain
+        Promise.resolve()
+            .then(() => fn.apply(this, args))
+            .then(
+                value => process.nextTick(callback, null, value),
+                reason => {
+                    // A callback can't tell `reject(null)` from success, so wrap falsy reasons
+                    const error = reason || Object.assign(new Error("Promise was rejected with a falsy value"), { reason });
+                    process.nextTick(callback, error);
+                }
+            );
+    }
+
+    Object.defineProperty(callbackified, "name", { value: fn.name });
+    return callbackified;
+}
+
+module.exports = {
+    promisify,
+    promisifyAll,
+    callbackToPromise,
+    callbackify
+};
@@ -0,0 +1,107 @@
+// lib/retry.js
+// Retry policy for flaky async operations
+//
+//   const user = await retry(() => apiCall("/api/user"), {
+//       attempts: 5,
+//       backoff: "exponential",
+//       jitter: "full",
+//       retryIf: error => error.message.startsWith("Failed to fetch"),
+//       onAttempt: event => console.log(event)
+//   });
+
+const { now, random } = require("./clock");
+const { setAbortableTimeout, throwIfAborted } = require("./abort");
+const { AbortError } = require("./errors");
+
+const DEFAULTS = {
+    attempts: 3,          // total tries, including the first one
+    backoff: "exponential",
+    delay: 100,           // base delay in ms
+    factor: 2,            // growth per attempt for exponential backoff
+    maxDelay: 10000,
+    jitter: "none",
+    retryIf: () => true,
+    onAttempt: () => {},
+    signal: undefined     // aborting stops retrying, including a pending backoff wait
+};
+
+// ============================================================================
+// DELAYS
+// ============================================================================
+
+// Delay before retry number `attempt` (1 = the wait after the first failure)
+function backoffDelay(attempt, { backoff, delay, factor, maxDelay, jitter }) {
+    let wait;
+    if (backoff === "exponential") {
+        wait = delay * factor ** (attempt - 1);
+    } else if (backoff === "linear") {
+        wait = delay * attempt;
+    } else if (backoff === "fixed") {
+        wait = delay;
+    } else {
+        throw new TypeError(`Unknown backoff "${backoff}" - use "exponential", "linear" or "fixed"`);
+    }
+    wait = Math.min(wait, maxDelay);
+
+    // Jitter spreads retries out so many clients don't hammer the server in lockstep
+    if (jitter === "full") {
+        return Math.round(random() * wait);
+    }
+    if (jitter === "equal") {
+        return Math.round(wait / 2 + random() * (wait / 2));
+    }
+    return wait;
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => setAbortableTimeout(resolve, ms, signal, reject));
+}
+
+// ============================================================================
+// RETRY
+// ============================================================================
+
+// Calls fn(attempt) until it resolves, attempts run out, or retryIf says no.
+// The last error is rethrown unchanged so callers handle it as before.
+// Cancellations are never retried - an AbortError means someone asked us to stop, and
+// once `signal` has aborted every later attempt would fail at once, whatever the error
+// (a TimeoutError from an expired deadline, say).
+async function retry(fn, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const started = now();
+
+    for (let attempt = 1; ; attempt++) {
+        throwIfAborted(settings.signal);
+        try {
+            const value = await fn(attempt);
+            settings.onAttempt({ attempt, outcome: "success", elapsed: now() - started });
+            return value;
+        } catch (error) {
+            const stopped = error instanceof AbortError || Boolean(settings.signal && settings.signal.aborted);
+            const willRetry = attempt < settings.attempts
+                && !stopped
+                && Boolean(settings.retryIf(error, attempt));
+            const delay = willRetry ? backoffDelay(attempt, settings) : 0;
+
+            settings.onAttempt({ attempt, outcome: "failure", error, willRetry, delay, elapsed: now() - started });
+
+            if (!willRetry) {
+                throw error;
+            }
+            await sleep(delay, settings.signal);
+        }
+    }
+}
+
+// Wraps a promise-returning function so every call is retried with the same policy
+function withRetry(fn, options) {
+    return function retried(...args) {
+        return retry(() => fn.apply(this, args), options);
+    };
+}
+
+module.exports = {
+    retry,
+    withRetry,
+    backoffDelay
+};
@@ -0,0 +1,231 @@
+// lib/scheduler.js
+// Periodic jobs with a choice of timing model
+//
+//   const job = schedule(syncInventory, {
+//       every: 1000,
+//       mode: "fixed-rate",     // or "fixed-delay"
+//       overrun: "skip",        // or "queue" / "coalesce"
+//       maxRuns: 10
+//   });
+//
+//   job.stats();   // { runs, missed, skipped, lateness, jitter, drift, duration }
+//   job.stop();
+//   await job.done;
+//
+// fixed-delay waits `every` ms after each run finishes - recursive setTimeout.
+// fixed-rate aims for start + n × every, measured on the monotonic clock, so a
+// late timer never pushes the runs after it back. A run that outlasts its slot
+// is an overrun; the ticks that fell due meanwhile are handled by `overrun`:
+//   skip      drop them and wait for the next slot on the grid
+//   queue     run every one of them back to back until caught up
+//   coalesce  run once straight away (the task sees `missed`), then back on the grid
+//
+// Runs never overlap, even when the task is async.
+
+const { setTimeout, clearTimeout, monotonic } = require("./clock");
+const { anySignal } = require("./abort");
+
+const MODES = ["fixed-rate", "fixed-delay"];
+const OVERRUNS = ["skip", "queue", "coalesce"];
+
+// ============================================================================
+// TIMING STATS
+// ============================================================================
+
+function summarize(values) {
+    if (values.length === 0) {
+        return { mean: 0, max: 0 };
+    }
+    const total = values.reduce((sum, value) => sum + value, 0);
+    return { mean: round(total / values.length), max: round(Math.max(...values)) };
+}
+
+function round(ms) {
+    return Math.round(ms * 10) / 10;
+}
+
+// Collects start/finish times of a periodic task and reports how far it strayed
+// from an ideal metronome. Usable on its own, e.g. to measure a plain setInterval.
+//
+//   lateness  start - the time that run was scheduled for
+//   jitter    |gap between consecutive starts - every|
+//   drift     how far the latest start was behind the time it was scheduled for -
+//             skipped or coalesced ticks don't count against it
+//   duration  how long each run took
+function createTimingStats(every) {
+    const lateness = [];
+    const jitter = [];
+    const duration = [];
+    let lastStart;
+    let drift = 0;
+    let missed = 0;
+    let skipped = 0;
+
+    return {
+        record({ scheduledAt, startedAt, finishedAt }) {
+            if (lastStart !== undefined) {
+                jitter.push(Math.abs(startedAt - lastStart - every));
+            }
+            lastStart = startedAt;
+            lateness.push(Math.max(0, startedAt - scheduledAt));
+            duration.push(finishedAt - startedAt);
+            drift = startedAt - scheduledAt;
+        },
+
+        // Ticks that fell due during an overrun, and how many of them never ran
+        miss(count, dropped) {
+            missed += count;
+            skipped += dropped;
+        },
+
+        summary() {
+            return {
+                runs: lateness.length,
+                missed,
+                skipped,
+                lateness: summarize(lateness),
+                jitter: summarize(jitter),
+                drift: round(drift),
+                duration: summarize(duration)
+            };
+        }
+    };
+}
+
+// ============================================================================
+// SCHEDULE
+// ============================================================================
+
+// `task({ run, scheduledAt, startedAt, missed, signal })` may return a promise.
+// The first run is one interval away, like setInterval; pass `immediate` to start now.
+// A task error stops the job and rejects `done`, unless `onError` is given - then
+// it is reported there and the job keeps going.
+function schedule(task, {
+    every,
+    mode = "fixed-rate",
+    overrun = "skip",
+    immediate = false,
+    maxRuns = Infinity,
+    signal,
+    onError
+} = {}) {
+    if (!(every > 0 && Number.isFinite(every))) {
+        throw new TypeError(`every must be a positive number of ms, got ${every}`);
+    }
+    if (!MODES.includes(mode)) {
+        throw new TypeError(`Unknown mode "${mode}" - use "fixed-rate" or "fixed-delay"`);
+    }
+    if (!OVERRUNS.includes(overrun)) {
+        throw new TypeError(`Unknown overrun policy "${overrun}" - use "skip", "queue" or "coalesce"`);
+    }
+
+    const controller = new AbortController();
+    const stopSignal = anySignal([controller.signal, signal]);
+    const stats = createTimingStats(every);
+
+    let timer;
+    let runs = 0;
+    // Overdue ticks already counted as missed and waiting to run (queue policy)
+    let backlog = 0;
+    let stopped = false;
+    let resolveDone;
+    let rejectDone;
+    const done = new Promise((resolve, reject) => {
+        resolveDone = resolve;
+        rejectDone = reject;
+    });
+    // Nobody has to await `done`; an unobserved task error must not crash the process
+    done.catch(() => {});
+
+    function finish(error) {
+        if (stopped) {
+            return;
+        }
+        stopped = true;
+        clearTimeout(timer);
+        controller.abort();
+        if (error) {
+            rejectDone(error);
+        } else {
+            resolveDone(stats.summary());
+        }
+    }
+
+    // Each delay is worked out from the monotonic clock, so timer lateness never accumulates
+    function arm(scheduledAt, missed = 0) {
+        timer = setTimeout(() => tick(scheduledAt, missed), Math.max(0, scheduledAt - monotonic()));
+    }
+
+    async function tick(scheduledAt, missed) {
+        timer = undefined;
+        backlog = Math.max(0, backlog - 1);
+        const startedAt = monotonic();
+        runs++;
+        try {
+            await task({ run: runs, scheduledAt, startedAt, missed, signal: stopSignal });
+        } catch (error) {
+            if (!onError) {
+                finish(error);
+                return;
+            }
+            onError(error, { run: runs, scheduledAt });
+        }
+        const finishedAt = monotonic();
+        stats.record({ scheduledAt, startedAt, finishedAt });
+
+        if (stopped) {
+            return;
+        }
+        if (runs >= maxRuns) {
+            finish();
+            return;
+        }
+        if (mode === "fixed-delay") {
+            arm(finishedAt + every);
+            return;
+        }
+
+        const next = scheduledAt + every;
+        const overdue = next <= finishedAt ? Math.floor((finishedAt - next) / every) + 1 : 0;
+        if (overdue === 0 || overrun === "queue") {
+            stats.miss(Math.max(0, overdue - backlog), 0);
+            backlog = overdue;
+            arm(next);
+        } else if (overrun === "skip") {
+            stats.miss(overdue, overdue);
+            arm(next + overdue * every);
+        } else {
+            // One run stands in for all of them, scheduled as the latest one that fell due
+            stats.miss(overdue, overdue - 1);
+            arm(next + (overdue - 1) * every, overdue);
+        }
+    }
+
+    if (stopSignal.aborted) {
+        finish();
+    } else {
+        stopSignal.addEventListener("abort", () => finish(), { once: true });
+        arm(monotonic() + (immediate ? 0 : every));
+    }
+
+    return {
+        mode,
+        every,
+        done,
+
+        stop() {
+            finish();
+        },
+
+        stats: () => stats.summary(),
+
+        get running() {
+            return !stopped;
+        }
+    };
+}
+
+module.exports = {
+    schedule,
+    createTimingStats
+};
@@ -0,0 +1,231 @@
+// lib/sections.js
+// Lessons as numbered sections that run one at a time, so each section's output stands on its own
+//
+//   const lesson = createLesson({ id: "04", title: "Promises", intro: "🤝 Starting demonstration of promises\n" });
+//
+//   lesson.section("What is a Promise?", () => { ... });
+//   lesson.section("Worker threads", {
+//       setup: () => ({ pool: createWorkerPool() }),     // its result is handed to run and teardown
+//       run: async ({ pool }) => { ... },
+//       teardown: ({ pool }) => pool.close()
+//   });
+//   lesson.outro(() => log("\n📊 Expected behavior: ..."));
+//
+//   lesson.run();                    // runs everything - unless the CLI loaded the file
+//   module.exports = { lesson };
+//
+// A section is done when the promise it returns has settled and nothing it started is
+// left on the event loop - no timers, sockets or workers. Only then does its teardown
+// run, and only after that is quiet too does the next section start. Every section
+// starts in a macrotask of its own, the way top-level code does: inside a microtask,
+// process.nextTick and promise callbacks would run in a different order. In lib/logger.js
+// entries, what those setup, run and teardown calls log is "sync", and every entry
+// carries the lesson id and section number.
+//
+// Needs Node 17.3+ for process.getActiveResourcesInfo().
+
+const readline = require("readline");
+// Not the globals: --trace wraps those, and the runner's own checks would fill the timeline
+const { setTimeout } = require("timers");
+const { getLogger } = require("./logger");
+
+let deferred = false;
+
+// The CLI loads lessons with their own run() disabled, then lists them or runs them itself
+function deferRuns() {
+    deferred = true;
+}
+
+// `id` is the lesson's number as a string, e.g. "05" - it tags every log entry
+function createLesson({ id = null, title, intro } = {}) {
+    const lesson = {
+        id,
+        title,
+        intro,
+        sections: [],
+        closing: null,
+
+        // `definition` is the run function, or { setup, run, teardown }
+        section(sectionTitle, definition) {
+            const { setup, run, teardown } = typeof definition === "function" ? { run: definition } : definition;
+            if (typeof run !== "function") {
+                throw new TypeError(`Section "${sectionTitle}" needs a run function`);
+            }
+            lesson.sections.push({ number: lesson.sections.length + 1, title: sectionTitle, setup, run, teardown });
+            return lesson;
+        },
+
+        // A closing summary of the whole lesson - only printed when every section ran
+        outro(fn) {
+            lesson.closing = fn;
+            return lesson;
+        },
+
+        run() {
+            if (deferred) {
+                return Promise.resolve();
+            }
+            return runLesson(lesson);
+        }
+    };
+
+    return lesson;
+}
+
+// ============================================================================
+// RUNNING
+// ============================================================================
+
+// The terminal and stdio pipes stay open for the whole run, so they never count as busy
+const STDIO = ["TTYWrap", "PipeWrap"];
+
+// Calls back once nothing but this check is left on the event loop: no ref'd timers,
+// immediates, sockets or busy workers. The callback runs from a timer, so whatever it
+// starts gets a macrotask of its own. Works the same on the virtual clock, whose
+// auto-advance keeps an immediate queued while it has timers left.
+function onQuiet(callback, interval = 20) {
+    function check() {
+        const busy = process.getActiveResourcesInfo().filter(type => !STDIO.includes(type));
+        // The timer running this check is the one resource that is always listed
+        if (busy.length <= 1) {
+            callback();
+        } else {
+            setTimeout(check, interval);
+        }
+    }
+    setTimeout(check, interval);
+}
+
+// Calls back with an error or null once fn's result has settled - right away if it isn't a promise
+function settle(fn, callback) {
+    let result;
+    try {
+        result = fn();
+    } catch (error) {
+        callback(error);
+        return;
+    }
+    if (result && typeof result.then === "function") {
+        result.then(() => callback(null), error => callback(error || new Error("Rejected without a reason")));
+    } else {
+        callback(null);
+    }
+}
+
+// Waits for Enter; calls back with false when the user types q. Without a terminal
+// there is nobody to ask, so it just carries on.
+function confirmNext(question, callback) {
+    if (!process.stdin.isTTY) {
+        callback(true);
+        return;
+    }
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    prompt.question(question, answer => {
+        prompt.close();
+        callback(answer.trim().toLowerCase() !== "q");
+    });
+}
+
+// setup → run → quiet → teardown → quiet, then done(error). A failing setup skips the
+// rest; a failing run still gets its teardown.
+function runSection(section, done) {
+    const logger = getLogger();
+    let context;
+    try {
+        context = section.setup ? logger.sync(() => section.setup()) : undefined;
+    } catch (error) {
+        done(error);
+        return;
+    }
+    settle(() => logger.sync(() => section.run(context)), runError => onQuiet(() => {
+        if (!section.teardown) {
+            done(runError);
+            return;
+        }
+        settle(() => logger.sync(() => section.teardown(context)), teardownError => onQuiet(() => done(runError || teardownError)));
+    }));
+}
+
+// done(error), or done with an error when the event loop runs dry first: a section
+// whose promise never settles - a hung request with no timer behind it - would
+// otherwise end the process halfway through the lesson, with code 0
+function guardHang(done) {
+    let finished = false;
+    function finish(error) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        process.removeListener("beforeExit", onBeforeExit);
+        done(error);
+    }
+    // Carries on from a timer: work started right here, with nothing on the loop,
+    // would not bring "beforeExit" back if the next section hangs too
+    function onBeforeExit() {
+        setTimeout(() => finish(new Error("It never finished - its promise is still pending and nothing is left to settle it")), 0);
+    }
+    process.on("beforeExit", onBeforeExit);
+    return finish;
+}
+
+function selectSections(lesson, only) {
+    if (!only) {
+        return lesson.sections;
+    }
+    const unknown = only.find(number => !lesson.sections.some(section => section.number === number));
+    if (unknown !== undefined) {
+        throw new RangeError(`${lesson.title} has no section ${unknown} - it has 1-${lesson.sections.length}`);
+    }
+    return lesson.sections.filter(section => only.includes(section.number));
+}
+
+// Options:
+//   only   section numbers to run, e.g. [2, 5] - default: all of them
+//   pause  wait for Enter between sections
+// Resolves once the last section is done. The first section starts right away, in the
+// caller's tick. A section that throws, rejects or hangs is reported and the run goes
+// on with the next one - the process still exits with code 1.
+function runLesson(lesson, { only, pause = false } = {}) {
+    const selected = selectSections(lesson, only);
+    const complete = selected.length === lesson.sections.length;
+    const logger = getLogger();
+
+    return new Promise(resolve => {
+        function next(index) {
+            if (index === selected.length) {
+                logger.enter({ lesson: lesson.id, section: null });
+                if (complete && lesson.closing) {
+                    logger.sync(lesson.closing);
+                }
+                resolve();
+                return;
+            }
+            logger.enter({ lesson: lesson.id, section: selected[index].number });
+            runSection(selected[index], guardHang(error => {
+                if (error) {
+                    const { number, title } = selected[index];
+                    logger.log(`❌ Section ${number} (${title}) failed: ${error.message}`);
+                    process.exitCode = 1;
+                }
+                if (pause && index + 1 < selected.length) {
+                    const { number, title } = selected[index + 1];
+                    confirmNext(`\n⏸️  Enter: section ${number} (${title}) · q: stop `, go => (go ? next(index + 1) : resolve()));
+                } else {
+                    next(index + 1);
+                }
+            }));
+        }
+
+        logger.enter({ lesson: lesson.id, section: null });
+        if (lesson.intro) {
+            logger.log(lesson.intro);
+        }
+        next(0);
+    });
+}
+
+module.exports = {
+    createLesson,
+    deferRuns,
+    runLesson
+};
@@ -0,0 +1,156 @@
+// lib/timeout.js
+// Timeouts and deadlines built on the Promise.race idea from the promises lesson
+//
+//   await withTimeout(fetchUser(123), 500);                      // TimeoutError after 500ms
+//   await withTimeout(signal => fetchUser(123, { signal }), 500); // ...and cancels the fetch
+//
+//   const deadline = createDeadline(1500);
+//   await loadUserProfile(123, { deadline }); // every child call shares the remaining budget
+
+const { setTimeout, clearTimeout, now } = require("./clock");
+const { TimeoutError } = require("./errors");
+
+// The longest delay a Node timer takes; anything above fires after 1ms instead
+const MAX_DELAY = 2 ** 31 - 1;
+
+// Calls back after `ms`, re-arming in steps of MAX_DELAY for longer delays; no timer at
+// all for an infinite budget. Returns the function that cancels it. An unref'd timer
+// doesn't keep the process alive on its own.
+function startTimer(callback, ms, { unref = false } = {}) {
+    if (!Number.isFinite(ms)) {
+        return () => {};
+    }
+    let timer;
+    function arm(left) {
+        timer = setTimeout(left > MAX_DELAY ? () => arm(left - MAX_DELAY) : callback, Math.min(left, MAX_DELAY));
+        if (unref && typeof timer.unref === "function") {
+            timer.unref();
+        }
+    }
+    arm(ms);
+    return () => clearTimeout(timer);
+}
+
+// ============================================================================
+// WITH TIMEOUT
+// ============================================================================
+
+// Races `work` against a timer. `work` is a promise, or a function that receives
+// an AbortSignal which fires when time runs out. The timer is cleared whichever
+// side wins, so a settled race never keeps the process alive.
+function withTimeout(work, ms, { message } = {}) {
+    const controller = new AbortController();
+    // Created up front so its stack points at the caller, not at the timer
+    const error = new TimeoutError(message || `Timed out after ${ms}ms`, { timeout: ms });
+
+    return new Promise((resolve, reject) => {
+        const cancelTimer = startTimer(() => {
+            controller.abort(error);
+            reject(error);
+        }, ms);
+
+        let promise;
+        try {
+            promise = typeof work === "function" ? work(controller.signal) : work;
+        } catch (thrown) {
+            promise = Promise.reject(thrown);
+        }
+
+        Promise.resolve(promise).then(
+            value => {
+                cancelTimer();
+                resolve(value);
+            },
+            reason => {
+                cancelTimer();
+                reject(reason);
+            }
+        );
+    });
+}
+
+// ============================================================================
+// DEADLINES
+// ============================================================================
+
+// A fixed point in time that can be handed down a call tree. Children see the
+// remaining budget, never more than their parent has left.
+//
+//   deadline.remaining()  ms left (0 once expired)
+//   deadline.expired      true once the time is up
+//   deadline.signal       aborts with a TimeoutError at expiry - pass it to any API
+//   deadline.run(work)    withTimeout(work, remaining)
+//   deadline.child(ms)    a tighter deadline inside this one
+//   deadline.clear()      stop the expiry timer and stop following the parent (e.g. when the work is done)
+function createDeadline(ms, { parent } = {}) {
+    const expiresAt = Math.min(now() + ms, parent ? parent.expiresAt : Infinity);
+    const controller = new AbortController();
+    const budget = expiresAt - now();
+    let cancelTimer = () => {};
+
+    // Stops listening to the parent, so children that finish early don't pile up on it
+    function detach() {
+        if (parent) {
+            parent.signal.removeEventListener("abort", onParentAbort);
+        }
+    }
+
+    function onParentAbort() {
+        cancelTimer();
+        controller.abort(parent.signal.reason);
+    }
+
+    function expire() {
+        detach();
+        controller.abort(new TimeoutError(`Deadline of ${budget}ms exceeded`, { timeout: budget }));
+    }
+
+    if (parent && parent.signal.aborted) {
+        controller.abort(parent.signal.reason);
+    } else if (budget <= 0) {
+        expire();
+    } else {
+        // An unused deadline shouldn't keep the process alive on its own
+        cancelTimer = startTimer(expire, budget, { unref: true });
+    }
+
+    if (parent && !controller.signal.aborted) {
+        parent.signal.addEventListener("abort", onParentAbort, { once: true });
+    }
+
+    const deadline = {
+        expiresAt,
+        signal: controller.signal,
+
+        get expired() {
+            return controller.signal.aborted;
+        },
+
+        remaining() {
+            return controller.signal.aborted ? 0 : Math.max(0, expiresAt - now());
+        },
+
+        run(work, options) {
+            if (controller.signal.aborted) {
+                return Promise.reject(controller.signal.reason);
+            }
+            return withTimeout(work, deadline.remaining(), options);
+        },
+
+        child(childMs = Infinity) {
+            return createDeadline(childMs, { parent: deadline });
+        },
+
+        clear() {
+            cancelTimer();
+            detach();
+        }
+    };
+
+    return deadline;
+}
+
+module.exports = {
+    withTimeout,
+    createDeadline
+};
@@ -0,0 +1,26 @@
+// lib/trace-register.js
+// Preload that traces a whole script and prints the timeline when the loop runs dry
+//
+//   node -r ./lib/trace-register.js 06-event-loop.js
+//
+// With ASYNC_LOG=json the events are written as they happen, as lib/logger.js entries,
+// instead of a timeline at the end. Refuses to start on the virtual clock.
+
+const { createTracer } = require("./tracer");
+const { getClock } = require("./clock");
+const { getLogger } = require("./logger");
+
+// The tracer wraps the runtime's scheduling APIs, and the virtual clock never calls them
+if (getClock().mode === "virtual") {
+    throw new Error("--trace needs the real clock - virtual timers never reach the runtime, so the timeline would have none of them. Run without ASYNC_CLOCK=virtual.");
+}
+
+const logger = getLogger();
+const tracer = createTracer({ onEvent: logger.format === "json" ? logger.trace : undefined }).start();
+
+process.once("beforeExit", () => {
+    tracer.stop();
+    if (logger.format !== "json") {
+        console.log(`\n🔍 Event loop trace\n${tracer.timeline()}`);
+    }
+});
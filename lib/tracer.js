@@ -0,0 +1,425 @@
+// lib/tracer.js
+// Opt-in event loop tracer
+//
+// Wraps the scheduling APIs (setTimeout, setInterval, setImmediate, queueMicrotask,
+// process.nextTick) and hooks promise reactions, recording when each callback is
+// queued and when it runs. Every macrotask starts a new "tick"; microtasks are
+// listed inside the tick that drained them.
+//
+//   node run.js 06 --trace
+//   node -r ./lib/trace-register.js my-script.js
+//
+//   const tracer = createTracer().start();
+//   ...
+//   tracer.stop();
+//   console.log(tracer.timeline());
+
+const path = require("path");
+const util = require("util");
+const { promiseHooks } = require("v8");
+
+const QUEUES = {
+    setTimeout: "Task Queue",
+    setInterval: "Task Queue",
+    setImmediate: "Task Queue",
+    queueMicrotask: "Microtask Queue",
+    promise: "Microtask Queue",
+    nextTick: "nextTick Queue"
+};
+
+const MACROTASKS = new Set(["setTimeout", "setInterval", "setImmediate"]);
+
+// Frames from these files are plumbing, not the code being traced
+const INTERNAL_FILES = [__filename, path.join(__dirname, "clock.js")];
+
+// With `direct`, only a call made straight from user code counts - Node's own
+// internals (e.g. stream writes behind console.log) are skipped
+function callSite({ direct = false } = {}) {
+    const frames = new Error().stack.split("\n").slice(1);
+    for (const frame of frames) {
+        const match = frame.match(/\(?([^()\s]+):(\d+):\d+\)?$/);
+        if (!match || INTERNAL_FILES.includes(match[1])) {
+            continue;
+        }
+        if (match[1].startsWith("node:")) {
+            if (direct) {
+                return null;
+            }
+            continue;
+        }
+        return `${path.basename(match[1])}:${match[2]}`;
+    }
+    return null;
+}
+
+// Options:
+//   promises  also trace promise reactions - default: true
+//   onEvent   called with each event as it is recorded, plus the callback's name and call site
+function createTracer({ promises = true, onEvent } = {}) {
+    const events = [];
+    const entries = new Map();
+    const handles = new WeakMap();
+    // Reactions registered on a promise that has not settled yet
+    const waiting = new WeakMap();
+    const promiseEntries = new WeakMap();
+    const reactionSites = new WeakMap();
+    const settledPromises = new WeakSet();
+    const ranPromises = new WeakSet();
+
+    let nextId = 1;
+    let tick = 0;
+    let startedAt = 0;
+    let originals = null;
+    let stopPromiseHook = null;
+    let muted = false;
+
+    function elapsed() {
+        return Date.now() - startedAt;
+    }
+
+    function record(type, entry, extra = {}) {
+        const event = { type, tick, at: elapsed(), id: entry.id, source: entry.source, queue: entry.queue, ...extra };
+        events.push(event);
+        if (onEvent) {
+            onEvent({ ...event, name: entry.name, site: entry.site });
+        }
+    }
+
+    function enqueue(source, callback, details = {}) {
+        const entry = {
+            id: nextId++,
+            source,
+            queue: QUEUES[source],
+            name: (callback && callback.name) || "anonymous",
+            site: details.site === undefined ? callSite() : details.site,
+            delay: details.delay,
+            state: "queued"
+        };
+        entries.set(entry.id, entry);
+        record("enqueue", entry, { delay: entry.delay });
+        return entry;
+    }
+
+    function runWrapped(entry, callback, thisArg, args) {
+        if (MACROTASKS.has(entry.source)) {
+            tick++;
+        }
+        record("run", entry);
+        if (entry.source !== "setInterval") {
+            entry.state = "done";
+        }
+        return callback.apply(thisArg, args);
+    }
+
+    function wrap(entry, callback) {
+        return function tracedCallback(...args) {
+            return runWrapped(entry, callback, this, args);
+        };
+    }
+
+    function cancel(handle) {
+        const entry = handle && typeof handle === "object" ? handles.get(handle) : undefined;
+        if (entry && entry.state !== "done") {
+            entry.state = "done";
+            record("cancel", entry);
+        }
+    }
+
+    // ========================================================================
+    // PATCHING
+    // ========================================================================
+
+    function patchTimer(name) {
+        const original = originals[name];
+        const patched = function (callback, delay, ...args) {
+            if (typeof callback !== "function") {
+                return original.call(this, callback, delay, ...args);
+            }
+            const entry = enqueue(name, callback, { delay: Number(delay) || 0 });
+            return remember(entry, original.call(this, wrap(entry, callback), delay, ...args));
+        };
+        keepPromisified(original, patched);
+        globalThis[name] = patched;
+    }
+
+    function patchImmediate() {
+        const original = originals.setImmediate;
+        const patched = function (callback, ...args) {
+            if (typeof callback !== "function") {
+                return original.call(this, callback, ...args);
+            }
+            const entry = enqueue("setImmediate", callback);
+            return remember(entry, original.call(this, wrap(entry, callback), ...args));
+        };
+        keepPromisified(original, patched);
+        globalThis.setImmediate = patched;
+    }
+
+    function remember(entry, handle) {
+        if (handle && typeof handle === "object") {
+            handles.set(handle, entry);
+        }
+        return handle;
+    }
+
+    // Keep `util.promisify(setTimeout)` working while tracing
+    function keepPromisified(original, patched) {
+        if (original[util.promisify.custom]) {
+            patched[util.promisify.custom] = original[util.promisify.custom];
+        }
+    }
+
+    function patchClear(name) {
+        const original = originals[name];
+        globalThis[name] = function (handle) {
+            cancel(handle);
+            return original.call(this, handle);
+        };
+    }
+
+    function patchMicrotasks() {
+        globalThis.queueMicrotask = function (callback) {
+            const entry = enqueue("queueMicrotask", callback);
+            return originals.queueMicrotask.call(this, wrap(entry, callback));
+        };
+        process.nextTick = function (callback, ...args) {
+            if (typeof callback !== "function") {
+                return originals.nextTick.call(process, callback, ...args);
+            }
+            // Node's own streams use nextTick constantly - only trace the user's calls
+            const site = callSite({ direct: true });
+            if (!site) {
+                return originals.nextTick.call(process, callback, ...args);
+            }
+            const entry = enqueue("nextTick", callback, { site });
+            return originals.nextTick.call(process, wrap(entry, callback), ...args);
+        };
+    }
+
+    // A reaction is queued when the promise it hangs off settles. `await` links its
+    // internal promise to the async function's own promise, so a reaction can also
+    // run before that "parent" settles - the first run wins either way.
+    function hookPromises() {
+        if (!promises || !promiseHooks) {
+            return;
+        }
+
+        function queueReaction(promise, site) {
+            if (!promiseEntries.has(promise)) {
+                promiseEntries.set(promise, enqueue("promise", null, { site }));
+            }
+            return promiseEntries.get(promise);
+        }
+
+        stopPromiseHook = promiseHooks.createHook({
+            init(promise, parent) {
+                if (!parent || muted) {
+                    return;
+                }
+                const site = callSite();
+                if (!site) {
+                    return;
+                }
+                reactionSites.set(promise, site);
+                if (settledPromises.has(parent)) {
+                    queueReaction(promise, site);
+                } else {
+                    const list = waiting.get(parent) || [];
+                    list.push(promise);
+                    waiting.set(parent, list);
+                }
+            },
+            settled(promise) {
+                settledPromises.add(promise);
+                const list = waiting.get(promise);
+                if (!list) {
+                    return;
+                }
+                waiting.delete(promise);
+                for (const reaction of list) {
+                    // A settled "reaction" was really await's own wrapper promise
+                    if (!ranPromises.has(reaction) && !settledPromises.has(reaction)) {
+                        queueReaction(reaction, reactionSites.get(reaction));
+                    }
+                }
+            },
+            before(promise) {
+                if (!reactionSites.has(promise) || ranPromises.has(promise)) {
+                    return;
+                }
+                ranPromises.add(promise);
+                const entry = queueReaction(promise, reactionSites.get(promise));
+                entry.state = "done";
+                record("run", entry);
+            }
+        });
+    }
+
+    // ========================================================================
+    // REPORTING
+    // ========================================================================
+
+    function describe(id) {
+        const entry = entries.get(id);
+        const delay = entry.delay !== undefined ? ` (${Math.round(entry.delay)}ms)` : "";
+        const name = entry.name !== "anonymous" ? ` ${entry.name}` : "";
+        return `${entry.source} #${entry.id}${delay}${name}`;
+    }
+
+    function timeline() {
+        const width = 72;
+        const rule = (label, corner) => `${corner}─ ${label} ${"─".repeat(Math.max(0, width - label.length - 3))}`;
+        const byTick = new Map();
+        for (const event of events) {
+            if (!byTick.has(event.tick)) {
+                byTick.set(event.tick, []);
+            }
+            byTick.get(event.tick).push(event);
+        }
+
+        const lines = [];
+        const queued = new Set();
+        let first = true;
+        for (const [tickNumber, tickEvents] of byTick) {
+            const opener = tickEvents.find(event => event.type === "run" && MACROTASKS.has(event.source));
+            const title = tickNumber === 0 ? "initial run" : opener ? describe(opener.id) : "idle";
+            lines.push(rule(`Tick ${tickNumber} · ${title} · +${tickEvents[0].at}ms`, first ? "┌" : "├"));
+            first = false;
+
+            for (const event of tickEvents) {
+                const entry = entries.get(event.id);
+                const where = entry.site ? `  ${entry.site}` : "";
+                if (event.type === "enqueue") {
+                    queued.add(event.id);
+                    lines.push(`│ + ${event.queue.padEnd(16)} ${describe(event.id)}${where}`);
+                } else if (event.type === "run") {
+                    if (entry.state === "done") {
+                        queued.delete(event.id);
+                    }
+                    lines.push(`│ ▶ ${"Call Stack".padEnd(16)} ${describe(event.id)}${where}`);
+                } else {
+                    queued.delete(event.id);
+                    lines.push(`│ ✕ ${"cleared".padEnd(16)} ${describe(event.id)}`);
+                }
+            }
+
+            const tasks = [...queued].filter(id => MACROTASKS.has(entries.get(id).source));
+            lines.push(`│   Task Queue after tick: ${tasks.length > 0 ? tasks.map(id => `#${id}`).join(", ") : "(empty)"}`);
+        }
+        lines.push(`└${"─".repeat(width)}`);
+        return lines.join("\n");
+    }
+
+    const tracer = {
+        events,
+
+        start() {
+            if (originals) {
+                return tracer;
+            }
+            originals = {
+                setTimeout: globalThis.setTimeout,
+                setInterval: globalThis.setInterval,
+                setImmediate: globalThis.setImmediate,
+                clearTimeout: globalThis.clearTimeout,
+                clearInterval: globalThis.clearInterval,
+                clearImmediate: globalThis.clearImmediate,
+                queueMicrotask: globalThis.queueMicrotask,
+                nextTick: process.nextTick
+            };
+            startedAt = Date.now();
+            patchTimer("setTimeout");
+            patchTimer("setInterval");
+            patchImmediate();
+            patchClear("clearTimeout");
+            patchClear("clearInterval");
+            patchClear("clearImmediate");
+            patchMicrotasks();
+            hookPromises();
+            return tracer;
+        },
+
+        stop() {
+            if (!originals) {
+                return tracer;
+            }
+            for (const name of Object.keys(originals)) {
+                if (name === "nextTick") {
+                    process.nextTick = originals.nextTick;
+                } else {
+                    globalThis[name] = originals[name];
+                }
+            }
+            if (stopPromiseHook) {
+                stopPromiseHook();
+                stopPromiseHook = null;
+            }
+            originals = null;
+            return tracer;
+        },
+
+        // Runs `fn` without recording the promise reactions it registers
+        untraced(fn) {
+            muted = true;
+            try {
+                return fn();
+            } finally {
+                muted = false;
+            }
+        },
+
+        // Callbacks that were queued but have not run (or been cleared) yet
+        pending() {
+            return [...entries.values()].filter(entry => entry.state !== "done");
+        },
+
+        timeline
+    };
+
+    return tracer;
+}
+
+// Traces `fn` until everything it queued has run, then restores the globals.
+// Waiting is done with plain callbacks so the tracer never shows up in its own trace.
+function trace(fn, { timeout = 10000, ...options } = {}) {
+    const tracer = createTracer(options);
+    const realSetImmediate = setImmediate;
+    const deadline = Date.now() + timeout;
+
+    return new Promise((resolve, reject) => {
+        let done = false;
+        let failure = null;
+
+        tracer.start();
+        try {
+            const result = fn();
+            tracer.untraced(() => Promise.resolve(result).then(
+                () => { done = true; },
+                error => { done = true; failure = error; }
+            ));
+        } catch (error) {
+            tracer.stop();
+            reject(error);
+            return;
+        }
+
+        // Intervals never finish on their own, so they only count until cleared
+        (function waitForQueues() {
+            if ((done && tracer.pending().length === 0) || Date.now() >= deadline) {
+                tracer.stop();
+                if (failure) {
+                    reject(failure);
+                } else {
+                    resolve(tracer);
+                }
+                return;
+            }
+            realSetImmediate(waitForQueues);
+        })();
+    });
+}
+
+module.exports = {
+    createTracer,
+    trace
+};
@@ -0,0 +1,265 @@
+// lib/worker-pool.js
+// A fixed-size pool of worker threads for CPU-bound work
+//
+//   const pool = createWorkerPool({ size: 4 });          // tasks from lib/worker-tasks.js
+//   const { ms } = await pool.run("busyLoop", { ms: 3000 });
+//   await pool.run("fibonacci", 35, { timeout: 1000, signal });
+//   pool.activeCount / pool.pendingCount
+//   await pool.close();
+//
+// Tasks are functions exported by the `tasks` module, called by name inside a worker.
+// When every worker is busy, run() waits in a queue. A worker that times out, is
+// cancelled or crashes is terminated and replaced, so the pool keeps its size.
+// Idle workers are unref'd: an idle pool never keeps the process alive.
+//
+// A worker that dies before it has loaded `tasks` (a missing module, a syntax error)
+// is restarted after a delay that doubles each time. After `maxFailedStarts` of those
+// in a row the pool gives up: queued and new tasks reject with a WorkerCrashError.
+//
+// Timeouts use real timers even on the virtual clock - the worker's CPU time is real.
+
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { abortError } = require("./abort");
+const { TimeoutError, WorkerCrashError } = require("./errors");
+
+const WORKER_SCRIPT = path.join(__dirname, "pool-worker.js");
+const DEFAULT_TASKS = path.join(__dirname, "worker-tasks.js");
+
+// ms before restarting a worker that died on startup - doubled for each one in a row
+const RESTART_DELAY = 100;
+const MAX_RESTART_DELAY = 2000;
+
+// Leave one core for the main thread
+function defaultSize() {
+    return Math.max(1, os.cpus().length - 1);
+}
+
+function deserializeError({ name, message, stack, code }) {
+    const error = new Error(message);
+    error.name = name;
+    error.stack = stack;
+    if (code !== undefined) {
+        error.code = code;
+    }
+    return error;
+}
+
+// `timeout` (ms) is the default for every run() and counts from when a worker
+// picks the task up, not from when it was queued
+function createWorkerPool({ size = defaultSize(), tasks = DEFAULT_TASKS, timeout = Infinity, maxFailedStarts = 5 } = {}) {
+    if (!Number.isInteger(size) || size < 1) {
+        throw new TypeError(`size must be a positive integer, got ${size}`);
+    }
+    if (!Number.isInteger(maxFailedStarts) || maxFailedStarts < 1) {
+        throw new TypeError(`maxFailedStarts must be a positive integer, got ${maxFailedStarts}`);
+    }
+
+    const slots = [];
+    const queue = [];
+    let nextId = 1;
+    let closed = false;
+    let onDrained = null;
+    let failedStarts = 0;     // workers in a row that died before they were ready
+    let broken = null;        // why the pool gave up on starting workers
+
+    function spawn() {
+        const slot = {
+            worker: new Worker(WORKER_SCRIPT, { workerData: { tasks } }),
+            job: null,
+            ready: false,
+            retired: false,
+            restart: undefined
+        };
+        slot.worker.on("message", message => settle(slot, message));
+        // An uncaught error fires "error" and then "exit" - retire() makes the second a no-op
+        slot.worker.on("error", error => crash(slot, error));
+        slot.worker.on("exit", code => crash(slot, new Error(`Worker exited with code ${code}`)));
+        slot.worker.unref();
+        return slot;
+    }
+
+    function finish(job, error, value) {
+        clearTimeout(job.timer);
+        if (job.signal) {
+            job.signal.removeEventListener("abort", job.onAbort);
+        }
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(value);
+        }
+    }
+
+    // Terminates a worker (the only way to stop a CPU-bound task), fails its job
+    // with reasonFor(job) and puts a fresh worker in its place - right away, unless
+    // the worker died on startup with `startupError`
+    function replace(slot, reasonFor, startupError) {
+        if (slot.retired) {
+            return;
+        }
+        slot.retired = true;
+        slot.worker.terminate();
+        const index = slots.indexOf(slot);
+
+        if (!startupError) {
+            slots[index] = spawn();
+        } else if (++failedStarts < maxFailedStarts) {
+            // Kept ref'd: queued tasks are waiting for this worker
+            slot.restart = setTimeout(() => {
+                if (broken) {
+                    return;
+                }
+                slots[index] = spawn();
+                dispatch();
+            }, Math.min(RESTART_DELAY * 2 ** (failedStarts - 1), MAX_RESTART_DELAY));
+        } else {
+            broken = new Error(`${failedStarts} workers in a row crashed on startup`, { cause: startupError });
+        }
+
+        if (slot.job) {
+            finish(slot.job, reasonFor(slot.job));
+            slot.job = null;
+        }
+        if (broken) {
+            for (const job of queue.splice(0)) {
+                finish(job, new WorkerCrashError(job.task, { cause: broken }));
+            }
+        }
+        dispatch();
+    }
+
+    function crash(slot, cause) {
+        replace(slot, job => new WorkerCrashError(job.task, { cause }), slot.ready ? null : cause);
+    }
+
+    function settle(slot, message) {
+        if (message.ready) {
+            slot.ready = true;
+            failedStarts = 0;
+            return;
+        }
+        const { id, result, error } = message;
+        const job = slot.job;
+        if (!job || job.id !== id) {
+            return;
+        }
+        slot.job = null;
+        slot.worker.unref();
+        finish(job, error && deserializeError(error), result);
+        dispatch();
+    }
+
+    function dispatch() {
+        for (const slot of slots) {
+            if (queue.length === 0) {
+                break;
+            }
+            if (slot.job || slot.retired) {
+                continue;
+            }
+
+            const job = queue.shift();
+            slot.job = job;
+            slot.worker.ref();
+            if (Number.isFinite(job.timeout)) {
+                job.timer = setTimeout(() => {
+                    replace(slot, () => new TimeoutError(`Worker task "${job.task}" timed out after ${job.timeout}ms`, { timeout: job.timeout }));
+                }, job.timeout);
+            }
+            try {
+                slot.worker.postMessage({ id: job.id, task: job.task, data: job.data });
+            } catch (error) {
+                // `data` could not be cloned - the worker never saw the task
+                slot.job = null;
+                slot.worker.unref();
+                finish(job, error);
+            }
+        }
+        checkDrained();
+    }
+
+    function checkDrained() {
+        if (!onDrained || queue.length > 0 || slots.some(slot => slot.job)) {
+            return;
+        }
+        const done = onDrained;
+        onDrained = null;
+        Promise.all(slots.map(slot => {
+            clearTimeout(slot.restart);
+            slot.retired = true;
+            return slot.worker.terminate();
+        })).then(() => done());
+    }
+
+    for (let i = 0; i < size; i++) {
+        slots.push(spawn());
+    }
+
+    const pool = {
+        size,
+
+        // Resolves with the task's return value; a task that throws rejects with its error
+        run(task, data, { timeout: taskTimeout = timeout, signal } = {}) {
+            if (closed) {
+                return Promise.reject(new Error("Worker pool is closed"));
+            }
+            if (broken) {
+                return Promise.reject(new WorkerCrashError(task, { cause: broken }));
+            }
+            if (signal && signal.aborted) {
+                return Promise.reject(abortError(signal));
+            }
+
+            return new Promise((resolve, reject) => {
+                const job = { id: nextId++, task, data, timeout: taskTimeout, signal, resolve, reject, timer: undefined };
+
+                if (signal) {
+                    job.onAbort = () => {
+                        const queued = queue.indexOf(job);
+                        if (queued !== -1) {
+                            queue.splice(queued, 1);
+                            finish(job, abortError(signal));
+                            checkDrained();
+                            return;
+                        }
+                        const slot = slots.find(candidate => candidate.job === job);
+                        if (slot) {
+                            replace(slot, () => abortError(signal));
+                        }
+                    };
+                    signal.addEventListener("abort", job.onAbort, { once: true });
+                }
+
+                queue.push(job);
+                dispatch();
+            });
+        },
+
+        // Tasks currently running on a worker
+        get activeCount() {
+            return slots.filter(slot => slot.job).length;
+        },
+
+        // Tasks waiting for a free worker
+        get pendingCount() {
+            return queue.length;
+        },
+
+        // Stops accepting tasks, lets queued and running ones finish, then ends every worker
+        close() {
+            closed = true;
+            return new Promise(resolve => {
+                onDrained = resolve;
+                checkDrained();
+            });
+        }
+    };
+
+    return pool;
+}
+
+module.exports = {
+    createWorkerPool
+};
@@ -0,0 +1,31 @@
+// lib/worker-tasks.js
+// CPU-bound tasks for the worker pool - each takes the `data` passed to pool.run()
+// and returns something structured-cloneable
+//
+// These use the real clock on purpose: another thread's CPU time can't be virtual.
+
+const { threadId } = require("worker_threads");
+
+// blockingOperation from lesson 01, off the main thread
+function busyLoop({ ms }) {
+    const start = Date.now();
+    while (Date.now() - start < ms) {
+        // Busy waiting - blocks only this worker's thread
+    }
+    return { ms, threadId };
+}
+
+function fibonacci(n) {
+    return n < 2 ? n : fibonacci(n - 1) + fibonacci(n - 2);
+}
+
+// Simulates a worker dying mid-task, e.g. running out of memory
+function crash() {
+    process.exit(1);
+}
+
+module.exports = {
+    busyLoop,
+    fibonacci,
+    crash
+};
@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+// run.js
+// Lesson runner - also installed as the `js-async` command (see lib/cli.js)
+//
+//   node run.js list          → every lesson with its numbered sections
+//   node run.js 05            → runs 05-async-await.js
+//   node run.js 05:2,5-7      → only those sections of it
+//   node run.js all           → runs every lesson in order, stopping at the first failure
+//   node run.js 05 --speed=10 → real timers, ten times faster
+//   node run.js 05 --pause    → stops between sections until you press Enter
+//   node run.js 06 --trace    → also prints an event loop timeline (lib/tracer.js)
+//   node run.js 01 --lag      → warns about event loop blocks and prints delay stats (lib/lag-monitor.js)
+//   node run.js 05 --http     → the APIs make real requests to a local mock server (lib/mock-server.js)
+
+require("./lib/cli").main(process.argv.slice(2));
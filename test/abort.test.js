@@ -0,0 +1,121 @@
+// test/abort.test.js
+// The AbortSignal helpers, and cancelling the simulated APIs with them, on the virtual clock
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { getEventListeners } = require("events");
+const { abortError, throwIfAborted, setAbortableTimeout, linkSignals, anySignal, timeoutSignal, stopSignal } = require("../lib/abort");
+const { createDeadline } = require("../lib/timeout");
+const { fetchUser } = require("../lib/api");
+const { AbortError, TimeoutError } = require("../lib/errors");
+const { useTestClock, captureLog } = require("./helpers");
+
+const clock = useTestClock();
+captureLog();
+
+function abortListeners(signal) {
+    return getEventListeners(signal, "abort").length;
+}
+
+function aborted(reason) {
+    const controller = new AbortController();
+    controller.abort(reason);
+    return controller.signal;
+}
+
+test("abortError wraps the reason in an AbortError, but passes a TimeoutError through", () => {
+    const error = abortError(aborted("user clicked stop"));
+    assert.ok(error instanceof AbortError);
+    assert.strictEqual(error.cause, "user clicked stop");
+
+    const timeout = new TimeoutError("Too slow", { timeout: 100 });
+    assert.strictEqual(abortError(aborted(timeout)), timeout);
+
+    throwIfAborted(undefined);
+    throwIfAborted(new AbortController().signal);
+    assert.throws(() => throwIfAborted(aborted()), AbortError);
+});
+
+test("setAbortableTimeout fires like setTimeout, and lets go of the signal when it does", async () => {
+    const controller = new AbortController();
+    const fired = [];
+    setAbortableTimeout(() => fired.push(clock.now()), 100, controller.signal, assert.fail);
+    assert.strictEqual(abortListeners(controller.signal), 1);
+    await clock.advanceAsync(100);
+    assert.deepStrictEqual(fired, [100]);
+    assert.strictEqual(abortListeners(controller.signal), 0);
+});
+
+test("aborting clears the timer and calls onAbort instead", async () => {
+    const controller = new AbortController();
+    const errors = [];
+    setAbortableTimeout(assert.fail, 100, controller.signal, error => errors.push(error));
+    controller.abort();
+    assert.strictEqual(clock.pending(), 0);
+    assert.ok(errors[0] instanceof AbortError);
+
+    // Already aborted: onAbort still runs asynchronously, after the caller returns
+    const late = [];
+    setAbortableTimeout(assert.fail, 100, aborted(), error => late.push(error));
+    assert.deepStrictEqual(late, []);
+    await new Promise(resolve => process.nextTick(resolve));
+    assert.ok(late[0] instanceof AbortError);
+});
+
+test("linkSignals aborts with the first source's reason and detaches from the rest", () => {
+    const first = new AbortController();
+    const second = new AbortController();
+    const { signal } = linkSignals([first.signal, undefined, second.signal]);
+    assert.strictEqual(abortListeners(second.signal), 1);
+
+    second.abort("second");
+    assert.strictEqual(signal.reason, "second");
+    assert.strictEqual(abortListeners(first.signal), 0);
+    assert.strictEqual(anySignal([aborted("early"), first.signal]).reason, "early");
+    assert.strictEqual(abortListeners(first.signal), 0);
+});
+
+test("dispose() lets go of the sources without aborting", () => {
+    const app = new AbortController();
+    for (let i = 0; i < 20; i++) {
+        linkSignals([app.signal]).dispose();
+    }
+    const { signal, dispose } = linkSignals([app.signal]);
+    dispose();
+    app.abort();
+    assert.strictEqual(signal.aborted, false);
+    assert.strictEqual(abortListeners(app.signal), 0);
+});
+
+test("timeoutSignal aborts with a TimeoutError on the shared clock", async () => {
+    const signal = timeoutSignal(500);
+    await clock.advanceAsync(499);
+    assert.strictEqual(signal.aborted, false);
+    await clock.advanceAsync(1);
+    assert.ok(signal.reason instanceof TimeoutError);
+    assert.strictEqual(signal.reason.timeout, 500);
+});
+
+test("stopSignal joins a signal and a deadline, or hands the signal back alone", () => {
+    const controller = new AbortController();
+    const alone = stopSignal(controller.signal);
+    assert.strictEqual(alone.signal, controller.signal);
+    alone.dispose();
+
+    const deadline = createDeadline(1000);
+    const both = stopSignal(controller.signal, deadline);
+    deadline.clear();
+    controller.abort("stop");
+    assert.strictEqual(both.signal.reason, "stop");
+});
+
+test("the simulated APIs reject with an AbortError and leave no timer behind", async () => {
+    const controller = new AbortController();
+    const pending = fetchUser(123, { signal: controller.signal });
+    await clock.advanceAsync(500);
+    controller.abort();
+    await assert.rejects(pending, AbortError);
+    assert.strictEqual(clock.pending(), 0);
+
+    await assert.rejects(fetchUser(123, { signal: aborted() }), AbortError);
+});
@@ -0,0 +1,216 @@
+// test/async-iterables.test.js
+// The async-iterable operators and converters, with timed sources on the virtual clock
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { EventEmitter } = require("events");
+const { spawnSync } = require("child_process");
+const { map, filter, take, batch, merge, zip, buffer, fromArray, toArray, fromEvents, toEmitter } = require("../lib/async-iterables");
+const { setTimeout, now } = require("../lib/clock");
+const { AbortError } = require("../lib/errors");
+const { useTestClock } = require("./helpers");
+
+const clock = useTestClock({ autoAdvance: true });
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Yields `count` values `interval` ms apart and records whether its finally block ran
+function ticker(name, interval, count, log) {
+    return (async function* () {
+        try {
+            for (let tick = 1; tick <= count; tick++) {
+                await wait(interval);
+                yield `${name}${tick}`;
+            }
+        } finally {
+            log.push(`${name} closed`);
+        }
+    })();
+}
+
+test("map runs up to `concurrency` calls at once and keeps source order", async () => {
+    let running = 0;
+    let most = 0;
+    const start = now();
+    const doubled = map(fromArray([300, 100, 200, 100]), async (ms, index) => {
+        running++;
+        most = Math.max(most, running);
+        await wait(ms);
+        running--;
+        return `${index}:${ms}`;
+    }, { concurrency: 2 });
+
+    assert.deepStrictEqual(await toArray(doubled), ["0:300", "1:100", "2:200", "3:100"]);
+    assert.strictEqual(most, 2);
+    // One after another takes 700ms; the slow first call holds back the third until it is taken
+    assert.strictEqual(now() - start, 500);
+    await assert.rejects(map([], x => x, { concurrency: 0 }).next(), TypeError);
+});
+
+test("filter, take and batch pull only what is needed and close the source", async () => {
+    const log = [];
+    const odd = filter(ticker("t", 10, 100, log), (value, index) => index % 2 === 0);
+    assert.deepStrictEqual(await toArray(batch(take(odd, 3), 2)), [["t1", "t3"], ["t5"]]);
+    assert.deepStrictEqual(log, ["t closed"]);
+
+    const untouched = [];
+    assert.deepStrictEqual(await toArray(take(ticker("u", 10, 5, untouched), 0)), []);
+    assert.deepStrictEqual(untouched, [], "a source that never started has nothing to clean up");
+    assert.strictEqual(clock.pending(), 0);
+});
+
+test("merge interleaves by arrival and closes the others on an early exit", async () => {
+    const log = [];
+    const values = [];
+    for await (const value of merge(ticker("a", 100, 4, log), ticker("b", 250, 4, log))) {
+        values.push(value);
+        if (values.length === 4) {
+            break;
+        }
+    }
+    assert.deepStrictEqual(values, ["a1", "a2", "b1", "a3"]);
+    // b was still waiting for its next tick, so it closes once that arrives
+    assert.deepStrictEqual(log, ["a closed"]);
+    await wait(250);
+    assert.deepStrictEqual(log, ["a closed", "b closed"]);
+});
+
+test("merge ends with the first error and closes the other sources", async () => {
+    const log = [];
+    async function* broken() {
+        await wait(150);
+        throw new Error("source failed");
+    }
+    const values = [];
+    await assert.rejects(async () => {
+        for await (const value of merge(ticker("a", 100, 10, log), broken())) {
+            values.push(value);
+        }
+    }, /source failed/);
+    assert.deepStrictEqual(values, ["a1"]);
+    await wait(100);
+    assert.deepStrictEqual(log, ["a closed"]);
+});
+
+test("zip pairs values and stops with the shortest source", async () => {
+    const log = [];
+    const pairs = await toArray(zip(ticker("a", 100, 5, log), ticker("b", 250, 2, log)));
+    assert.deepStrictEqual(pairs, [["a1", "b1"], ["a2", "b2"]]);
+    assert.deepStrictEqual(log.sort(), ["a closed", "b closed"]);
+});
+
+test("buffer overlaps a slow source with a slow consumer", async () => {
+    async function readSlowly(pages) {
+        const start = now();
+        for await (const page of pages) {
+            await wait(100);
+        }
+        return now() - start;
+    }
+    const log = [];
+    assert.strictEqual(await readSlowly(ticker("p", 100, 3, log)), 600);
+    assert.strictEqual(await readSlowly(buffer(ticker("p", 100, 3, log), 1)), 400);
+
+    // Leaving early still closes the source, once the two values asked for ahead are ready
+    for await (const page of buffer(ticker("q", 100, 10, log), 2)) {
+        break;
+    }
+    await wait(300);
+    assert.deepStrictEqual(log, ["p closed", "p closed", "q closed"]);
+});
+
+// Yields `values`, then never answers again - and neither does its return(), like an
+// async generator stuck on an await
+function stuckSource(values, log) {
+    const queue = [...values];
+    return {
+        [Symbol.asyncIterator]() {
+            return this;
+        },
+        next: () => (queue.length > 0 ? Promise.resolve({ value: queue.shift(), done: false }) : new Promise(() => {})),
+        return() {
+            log.push("return() called");
+            return new Promise(() => {});
+        }
+    };
+}
+
+test("breaking out of merge or buffer doesn't wait for a source that never answers", { timeout: 1000 }, async () => {
+    const log = [];
+    for await (const value of merge(fromArray(["a"]), stuckSource([], log))) {
+        assert.strictEqual(value, "a");
+        break;
+    }
+    for await (const value of buffer(stuckSource(["b"], log), 2)) {
+        assert.strictEqual(value, "b");
+        break;
+    }
+    await wait(0);
+    assert.deepStrictEqual(log, ["return() called", "return() called"]);
+});
+
+test("fromEvents queues values, ends on an end event and removes its listeners", async () => {
+    const socket = new EventEmitter();
+    const messages = fromEvents(socket, "message", { end: "close" });
+    socket.emit("message", 1);
+    socket.emit("message", 2);
+    setTimeout(() => socket.emit("message", 3), 100);
+    setTimeout(() => socket.emit("close"), 200);
+
+    assert.deepStrictEqual(await toArray(messages), [1, 2, 3]);
+    assert.strictEqual(socket.listenerCount("message"), 0);
+    assert.strictEqual(socket.listenerCount("close"), 0);
+    assert.strictEqual(socket.listenerCount("error"), 0);
+});
+
+test("fromEvents throws on an error event or an abort, and break removes its listeners", async () => {
+    const socket = new EventEmitter();
+    setTimeout(() => socket.emit("error", new Error("connection reset")), 100);
+    await assert.rejects(toArray(fromEvents(socket, "message")), /connection reset/);
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    await assert.rejects(toArray(fromEvents(socket, "message", { signal: controller.signal })), AbortError);
+
+    setTimeout(() => socket.emit("message", "ping"), 100);
+    for await (const message of fromEvents(socket, "message")) {
+        assert.strictEqual(message, "ping");
+        break;
+    }
+    assert.deepStrictEqual(socket.eventNames(), []);
+});
+
+test("toEmitter emits data then end, and stop() closes the source", async () => {
+    const log = [];
+    const emitter = toEmitter(ticker("t", 100, 3, log));
+    const seen = [];
+    emitter.on("data", value => seen.push(value));
+    await new Promise(resolve => emitter.on("end", resolve));
+    assert.deepStrictEqual(seen, ["t1", "t2", "t3"]);
+
+    const stopped = toEmitter(ticker("s", 100, 10, log));
+    stopped.on("data", () => stopped.stop());
+    await new Promise(resolve => stopped.on("end", resolve));
+    assert.deepStrictEqual(log, ["t closed", "s closed"]);
+});
+
+test("toEmitter closes the source when a data listener throws, and emits the error", async () => {
+    const log = [];
+    const emitter = toEmitter(ticker("t", 100, 10, log));
+    emitter.on("data", () => {
+        throw new Error("listener failed");
+    });
+    const error = await new Promise(resolve => emitter.on("error", resolve));
+    assert.strictEqual(error.message, "listener failed");
+    await wait(0);
+    assert.deepStrictEqual(log, ["t closed"]);
+
+    // Nobody listens for "error": like any EventEmitter, the failure ends the process
+    const script = `
+        const { toEmitter } = require(${JSON.stringify(require.resolve("../lib/async-iterables"))});
+        toEmitter((async function* () { throw new Error("source failed"); })());
+    `;
+    const child = spawnSync(process.execPath, ["-e", script], { encoding: "utf8" });
+    assert.notStrictEqual(child.status, 0);
+    assert.match(child.stderr, /source failed/);
+});
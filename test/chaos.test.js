@@ -0,0 +1,128 @@
+// test/chaos.test.js
+// Chaos profiles: validation, loading, layering, and the faults simulateCall injects
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { BASELINE, loadProfile, useChaos, withChaos, faultsFor, simulateCall } = require("../lib/chaos");
+const { AbortError, TimeoutError } = require("../lib/errors");
+const { seedRandom } = require("../lib/clock");
+const { useTestClock } = require("./helpers");
+
+const clock = useTestClock({ seed: 7, autoAdvance: true });
+
+test.afterEach(() => {
+    useChaos();
+});
+
+// simulateCall as a promise
+function call(endpoint, options = {}) {
+    return new Promise((resolve, reject) => {
+        simulateCall(endpoint, { error: `${endpoint} failed`, ...options }, () => [1, 2, 3, 4], (error, value) => (error ? reject(error) : resolve(value)));
+    });
+}
+
+test("every built-in profile loads", () => {
+    const names = fs.readdirSync(path.join(__dirname, "..", "chaos")).map(file => file.replace(/\.json$/, ""));
+    assert.ok(names.length > 0);
+    for (const name of names) {
+        assert.strictEqual(typeof loadProfile(name), "object", name);
+    }
+});
+
+test("a bad profile throws a TypeError that names the setting", () => {
+    const cases = [
+        [42, /chaos profile must be an object/],
+        [{ everything: {} }, /unknown section "everything"/],
+        [{ all: { errorRate: 1.5 } }, /all\.errorRate must be a number from 0 to 1, got 1\.5/],
+        [{ all: { errorrate: 0.5 } }, /all has an unknown setting "errorrate"/],
+        [{ endpoints: { fetchUser: { latency: -5 } } }, /endpoints\.fetchUser\.latency must be a number of ms/],
+        [{ endpoints: { fetchUser: { latency: { type: "gaussian" } } } }, /latency must be ms or \{ "type"/],
+        [{ endpoints: { fetchUser: { latency: { type: "normal", mean: 100 } } } }, /latency\.stddev must be a number of ms/],
+        [{ all: { errorTypes: ["network", "dns"] } }, /errorTypes must be some of error, timeout, network, server/],
+        [{ all: { errorTypes: [] } }, /errorTypes must be some of/]
+    ];
+    for (const [profile, message] of cases) {
+        assert.throws(() => useChaos(profile), error => error instanceof TypeError && message.test(error.message), JSON.stringify(profile));
+    }
+    useChaos({ description: "fine", all: { errorRate: 0 }, endpoints: { fetchUser: { latency: { type: "uniform", min: 1, max: 2 } } } });
+});
+
+test("loadProfile reads inline JSON, a file or a built-in name", () => {
+    assert.deepStrictEqual(loadProfile('{ "all": { "hangRate": 0.1 } }'), { all: { hangRate: 0.1 } });
+    assert.deepStrictEqual(loadProfile(path.join(__dirname, "..", "chaos", "flaky.json")), loadProfile("flaky"));
+    assert.throws(() => loadProfile("{ all: 1 }"), error => error instanceof SyntaxError && /inline chaos profile is not valid JSON/.test(error.message));
+    assert.throws(() => loadProfile("mayhem"), /Unknown chaos profile "mayhem" - use a \.json path or one of: .*flaky/);
+});
+
+test("bad ASYNC_CHAOS_* numbers stop the process as it loads", () => {
+    const child = spawnSync(process.execPath, ["-e", 'require("./lib/chaos")'], {
+        cwd: path.join(__dirname, ".."),
+        env: { ...process.env, ASYNC_CHAOS: "", ASYNC_CHAOS_ERROR_RATE: "2" },
+        encoding: "utf8"
+    });
+    assert.notStrictEqual(child.status, 0);
+    assert.match(child.stderr, /ASYNC_CHAOS_\*\.errorRate must be a number from 0 to 1, got 2/);
+});
+
+test("settings layer: baseline < caller defaults < all < endpoints < caller overrides", () => {
+    assert.deepStrictEqual(faultsFor("fetchUser").latency, BASELINE.fetchUser.latency);
+    assert.strictEqual(faultsFor("fetchUser", undefined, { latency: 5 }).latency, 5);
+
+    useChaos({ all: { latency: 10, errorRate: 0.5 }, endpoints: { fetchUser: { latency: 20 } } });
+    assert.strictEqual(faultsFor("fetchUser", undefined, { latency: 5 }).latency, 20);
+    assert.strictEqual(faultsFor("fetchFollowers").latency, 10);
+    assert.strictEqual(faultsFor("fetchUser").errorRate, 0.5);
+    assert.strictEqual(faultsFor("fetchUser", { latency: 30 }).latency, 30);
+    assert.deepStrictEqual(faultsFor("fetchUser", { errorTypes: "network" }).errorTypes, ["network"]);
+});
+
+test("withChaos applies a profile only until its work settles", async () => {
+    useChaos({ all: { errorRate: 0.25 } });
+    await assert.rejects(withChaos({ all: { errorRate: 1 } }, () => call("fetchUser")), /fetchUser failed/);
+    assert.strictEqual(faultsFor("fetchUser").errorRate, 0.25);
+});
+
+test("simulateCall injects each kind of error", async () => {
+    const failure = type => {
+        useChaos({ endpoints: { fetchUser: { latency: 100, errorRate: 1, errorTypes: [type] } } });
+        return call("fetchUser").then(assert.fail, error => error);
+    };
+    assert.strictEqual((await failure("error")).message, "fetchUser failed");
+    const timeout = await failure("timeout");
+    assert.ok(timeout instanceof TimeoutError);
+    assert.strictEqual(timeout.timeout, 100);
+    assert.strictEqual((await failure("network")).code, "ECONNRESET");
+    assert.strictEqual((await failure("server")).status, 503);
+});
+
+test("simulateCall hangs until aborted, and can return half the data", async () => {
+    useChaos({ endpoints: { fetchUser: { hangRate: 1 } } });
+    const controller = new AbortController();
+    const hung = call("fetchUser", { signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    controller.abort();
+    await assert.rejects(hung, AbortError);
+
+    useChaos({ endpoints: { fetchUser: { latency: 0, partialRate: 1 } } });
+    assert.deepStrictEqual(await call("fetchUser"), [1, 2]);
+});
+
+test("the same seed replays the same latencies and failures", async () => {
+    async function run() {
+        useChaos({ endpoints: { apiCall: { latency: { type: "exponential", mean: 100 }, errorRate: 0.5 } } });
+        const outcomes = [];
+        for (let i = 0; i < 8; i++) {
+            const start = clock.now();
+            const outcome = await call("apiCall").then(() => "ok", () => "failed");
+            outcomes.push(`${outcome} after ${Math.round(clock.now() - start)}ms`);
+        }
+        return outcomes;
+    }
+    const first = await run();
+    seedRandom(7);
+    assert.deepStrictEqual(await run(), first);
+    assert.ok(first.some(outcome => outcome.startsWith("ok")) && first.some(outcome => outcome.startsWith("failed")));
+});
@@ -0,0 +1,76 @@
+// test/chunking.test.js
+// processInChunks and yieldToEventLoop, with busy work timed on the virtual clock
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { processInChunks, yieldToEventLoop } = require("../lib/chunking");
+const { setTimeout, now } = require("../lib/clock");
+const { AbortError } = require("../lib/errors");
+const { useTestClock } = require("./helpers");
+
+const clock = useTestClock({ autoAdvance: true });
+
+// Each item holds the thread for 4 virtual ms
+function slowDouble(value) {
+    clock.busyWait(4);
+    return value * 2;
+}
+
+test("processInChunks yields once a chunk has used up its budget", async () => {
+    const progress = [];
+    const results = await processInChunks([1, 2, 3, 4, 5, 6, 7], slowDouble, {
+        budgetMs: 10,
+        onProgress: ({ done, total, chunks, elapsed }) => progress.push({ done, total, chunks, elapsed })
+    });
+
+    assert.deepStrictEqual(results, [2, 4, 6, 8, 10, 12, 14]);
+    assert.deepStrictEqual(progress, [
+        { done: 3, total: 7, chunks: 1, elapsed: 12 },
+        { done: 6, total: 7, chunks: 2, elapsed: 24 },
+        { done: 7, total: 7, chunks: 3, elapsed: 28 }
+    ]);
+});
+
+test("a timer that falls due during a chunk fires before the next one", async () => {
+    const log = [];
+    setTimeout(() => log.push(`timer at ${now()}`), 5);
+    await processInChunks([1, 2, 3, 4, 5, 6], value => {
+        log.push(`item ${value}`);
+        return slowDouble(value);
+    }, { budgetMs: 10 });
+
+    assert.deepStrictEqual(log, ["item 1", "item 2", "item 3", "timer at 12", "item 4", "item 5", "item 6"]);
+});
+
+test("every chunk does at least one item, however slow", async () => {
+    let chunks = 0;
+    await processInChunks([1, 2, 3], slowDouble, { budgetMs: 1, onProgress: progress => (chunks = progress.chunks) });
+    assert.strictEqual(chunks, 3);
+});
+
+test("aborting stops the work at the next chunk boundary", async () => {
+    const controller = new AbortController();
+    const seen = [];
+    await assert.rejects(processInChunks([1, 2, 3, 4, 5, 6], value => {
+        seen.push(value);
+        if (value === 2) {
+            controller.abort();
+        }
+        return slowDouble(value);
+    }, { budgetMs: 10, signal: controller.signal }), AbortError);
+    assert.deepStrictEqual(seen, [1, 2, 3]);
+
+    await assert.rejects(processInChunks([1], slowDouble, { signal: controller.signal }), AbortError);
+});
+
+test("yieldToEventLoop lets due timers run, unlike a resolved promise", async () => {
+    const log = [];
+    setTimeout(() => log.push("timer"), 5);
+    clock.busyWait(10);
+    await Promise.resolve();
+    log.push("after a microtask");
+    await yieldToEventLoop();
+    log.push("after yielding");
+
+    assert.deepStrictEqual(log, ["after a microtask", "timer", "after yielding"]);
+});
@@ -0,0 +1,143 @@
+// test/circuit-breaker.test.js
+// createCircuitBreaker's states, cool-down and probes on the virtual clock
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createCircuitBreaker } = require("../lib/circuit-breaker");
+const { AbortError, CircuitOpenError } = require("../lib/errors");
+const { useTestClock } = require("./helpers");
+
+const clock = useTestClock();
+
+// An endpoint whose next outcome the test decides
+function flaky() {
+    const endpoint = {
+        calls: 0,
+        failing: false,
+        call: async value => {
+            endpoint.calls++;
+            if (endpoint.failing) {
+                throw new Error("503 Service Unavailable");
+            }
+            return value;
+        }
+    };
+    return endpoint;
+}
+
+async function settle(promise) {
+    try {
+        return { value: await promise };
+    } catch (error) {
+        return { error };
+    }
+}
+
+test("opens once the failure rate is reached over enough calls, then fails fast", async () => {
+    const endpoint = flaky();
+    const changes = [];
+    const call = createCircuitBreaker(endpoint.call, {
+        name: "api",
+        failureRate: 0.5,
+        volume: 4,
+        cooldown: 1000,
+        onStateChange: ({ from, to, reason }) => changes.push(`${from} → ${to}: ${reason}`)
+    });
+
+    assert.strictEqual(await call("a"), "a");
+    endpoint.failing = true;
+    await settle(call());
+    assert.strictEqual(call.state, "closed", "only 2 calls - below volume");
+    await settle(call());
+    assert.strictEqual(call.state, "closed", "2 of 3 failed, still below volume");
+    await settle(call());
+    assert.strictEqual(call.state, "open");
+    assert.deepStrictEqual(changes, ["closed → open: 3 of the last 4 calls failed"]);
+
+    clock.advance(400);
+    const { error } = await settle(call());
+    assert.ok(error instanceof CircuitOpenError);
+    assert.strictEqual(error.circuit, "api");
+    assert.strictEqual(error.retryIn, 600);
+    assert.strictEqual(endpoint.calls, 4, "an open circuit does not call the endpoint");
+});
+
+test("a successful probe after the cool-down closes it with a fresh window", async () => {
+    const endpoint = flaky();
+    const call = createCircuitBreaker(endpoint.call, { volume: 2, cooldown: 1000 });
+    endpoint.failing = true;
+    await settle(call());
+    await settle(call());
+    assert.strictEqual(call.state, "open");
+
+    clock.advance(1000);
+    assert.strictEqual(call.state, "half-open");
+    assert.strictEqual(clock.pending(), 0, "an idle breaker leaves no timer behind");
+
+    endpoint.failing = false;
+    const probe = call("probe");
+    // Only one probe at a time
+    const { error } = await settle(call("second"));
+    assert.ok(error instanceof CircuitOpenError);
+    assert.strictEqual(error.retryIn, 0);
+
+    assert.strictEqual(await probe, "probe");
+    assert.strictEqual(call.state, "closed");
+    assert.deepStrictEqual(call.stats, { calls: 0, failures: 0, failureRate: 0 });
+});
+
+test("a failed probe opens it for another cool-down", async () => {
+    const endpoint = flaky();
+    const call = createCircuitBreaker(endpoint.call, { volume: 1, cooldown: 1000, probes: 2 });
+    endpoint.failing = true;
+    await settle(call());
+    clock.advance(1000);
+
+    endpoint.failing = false;
+    await call();
+    assert.strictEqual(call.state, "half-open", "one of two probes passed");
+    endpoint.failing = true;
+    await settle(call());
+    assert.strictEqual(call.state, "open");
+
+    clock.advance(999);
+    assert.strictEqual(call.state, "open");
+    clock.advance(1);
+    assert.strictEqual(call.state, "half-open");
+});
+
+test("cancellations never count as failures", async () => {
+    const call = createCircuitBreaker(async () => {
+        throw new AbortError();
+    }, { volume: 1 });
+
+    for (let i = 0; i < 3; i++) {
+        assert.ok((await settle(call())).error instanceof AbortError);
+    }
+    assert.strictEqual(call.state, "closed");
+    assert.strictEqual(call.stats.calls, 0);
+});
+
+test("the fallback answers instead of a rejection, and reset() closes it", async () => {
+    const endpoint = flaky();
+    const call = createCircuitBreaker(endpoint.call, {
+        volume: 1,
+        fallback: (error, key) => `cached ${key} (${error.name})`
+    });
+    endpoint.failing = true;
+
+    assert.strictEqual(await call("user"), "cached user (Error)");
+    assert.strictEqual(await call("user"), "cached user (CircuitOpenError)");
+
+    call.reset();
+    endpoint.failing = false;
+    assert.strictEqual(call.state, "closed");
+    assert.strictEqual(await call("user"), "user");
+});
+
+test("rejects bad options", () => {
+    assert.throws(() => createCircuitBreaker(() => {}, { failureRate: 0 }), TypeError);
+    assert.throws(() => createCircuitBreaker(() => {}, { volume: 5, window: 4 }), TypeError);
+    assert.throws(() => createCircuitBreaker(() => {}, { probes: 0 }), TypeError);
+    assert.throws(() => createCircuitBreaker(() => {}, { fallback: "cached" }), TypeError);
+});
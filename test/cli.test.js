@@ -0,0 +1,99 @@
+// test/cli.test.js
+// The js-async command (run.js), run as a child process like a user would
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { execFileSync, spawnSync } = require("child_process");
+const { engines } = require("../package.json");
+
+const RUNNER = path.join(__dirname, "..", "run.js");
+
+// The environment of the test run, minus anything that would change how a lesson runs
+function cleanEnv(extra) {
+    const env = { ...process.env, ...extra };
+    for (const name of ["ASYNC_CLOCK", "ASYNC_SEED", "ASYNC_SPEED", "ASYNC_LOG", "ASYNC_BACKEND", "ASYNC_CHAOS"]) {
+        if (!(extra && name in extra)) {
+            delete env[name];
+        }
+    }
+    return env;
+}
+
+function run(args, extra) {
+    return execFileSync(process.execPath, [RUNNER, ...args], { env: cleanEnv(extra), encoding: "utf8" });
+}
+
+test("--speed and --json work together: timers run faster, t still reads lesson time", () => {
+    const start = Date.now();
+    const entries = run(["01:2", "--speed=10", "--json"]).trim().split("\n").map(line => JSON.parse(line));
+    const elapsed = Date.now() - start;
+
+    // Section 2 waits for a 3s timer - a tenth of that, plus starting Node
+    assert.ok(elapsed < 2000, `took ${elapsed}ms`);
+    const done = entries.find(entry => entry.message === "✅ Non-blocking operation complete!");
+    assert.ok(done.t >= 2900 && done.t < 4000, `t was ${done.t}`);
+});
+
+test("the Node.js version check follows the engines range in package.json", () => {
+    const major = Number(/\d+/.exec(engines.node)[0]);
+    const script = `
+        Object.defineProperty(process.versions, "node", { value: "${major - 1}.9.0" });
+        require(${JSON.stringify(path.join(__dirname, "..", "lib", "cli.js"))}).main(["list"]);
+    `;
+    const child = spawnSync(process.execPath, ["-e", script], { env: cleanEnv(), encoding: "utf8" });
+    assert.strictEqual(child.status, 1);
+    assert.ok(child.stderr.includes(`js-async needs Node.js ${major} or later`), child.stderr);
+});
+
+test("--trace refuses the virtual clock, whose timers it can't see", () => {
+    const child = spawnSync(process.execPath, [RUNNER, "06:1", "--trace"], { env: cleanEnv({ ASYNC_CLOCK: "virtual" }), encoding: "utf8" });
+    assert.strictEqual(child.status, 1);
+    assert.match(child.stderr, /^❌ --trace needs the real clock/);
+    assert.strictEqual(child.stdout, "");
+});
+
+// A run that should stop before any lesson starts
+function refuse(args) {
+    const child = spawnSync(process.execPath, [RUNNER, ...args], { env: cleanEnv(), encoding: "utf8" });
+    assert.strictEqual(child.status, 1, `${args.join(" ")} exited with ${child.status}`);
+    assert.strictEqual(child.stdout, "");
+    return child.stderr;
+}
+
+test("mistakes in the arguments print the message and the usage text", () => {
+    const cases = [
+        [[], "Pick a lesson"],
+        [["99"], 'Unknown lesson "99"'],
+        [["async"], 'Unknown lesson "async"'],
+        [["05:two"], 'Bad section list in "05:two" - use numbers and ranges, e.g. 05:2,5-7'],
+        [["05:3-1"], 'Bad section range "3-1" in "05:3-1"'],
+        [["05:0"], 'Bad section range "0" in "05:0"'],
+        [["05", "--verbose"], "Unknown flag --verbose"],
+        [["05", "--speed=0"], '--speed must be a positive number, got "0"'],
+        [["05", "--speed=fast"], '--speed must be a positive number, got "fast"']
+    ];
+    for (const [args, message] of cases) {
+        const stderr = refuse(args);
+        assert.ok(stderr.startsWith(`${message}\n\nUsage: js-async <01|`), stderr);
+    }
+});
+
+test("an unknown section number names the ones the lesson has", () => {
+    assert.match(refuse(["01:2,99"]), /^❌ Synchronous vs asynchronous has no section 99 - it has 1-\d+\n$/);
+});
+
+test("list prints every lesson with its numbered sections", () => {
+    const lines = run(["list"]).trimEnd().split("\n");
+    assert.match(lines[0], /^01 {2}\S.* \(01-[\w-]+\.js\)$/);
+    assert.strictEqual(lines[1], "     1. Synchronous (blocking) code");
+    const lessons = lines.filter(line => /^\d{2} /.test(line));
+    assert.deepStrictEqual(lessons.map(line => line.slice(0, 2)), lessons.map((line, index) => String(index + 1).padStart(2, "0")));
+    assert.ok(lines.every(line => /^\d{2} {2}|^ {4}[ \d]\d\. /.test(line)), "nothing but lessons and sections");
+});
+
+test("ranges and repeats in a section list run each section once, in order", () => {
+    const entries = run(["01:2,1-2", "--json"]).trim().split("\n").map(line => JSON.parse(line));
+    const sections = [...new Set(entries.map(entry => entry.section).filter(Boolean))];
+    assert.deepStrictEqual(sections, [1, 2]);
+});
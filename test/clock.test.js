@@ -0,0 +1,157 @@
+// test/clock.test.js
+// The virtual clock, the sped-up real clock, and the seeded random source
+
+const test = require("node:test");
+const assert = require("node:assert");
+const clock = require("../lib/clock");
+const { createRandom, createRealClock, createVirtualClock } = clock;
+const { useTestClock } = require("./helpers");
+
+const shared = useTestClock();
+
+test("advance() fires due timers in order of due time, then of creation", () => {
+    const virtual = createVirtualClock({ start: 1000 });
+    const fired = [];
+    virtual.setTimeout(() => fired.push(`b at ${virtual.now()}`), 20);
+    virtual.setTimeout(name => fired.push(`${name} at ${virtual.now()}`), 10, "a");
+    virtual.setTimeout(() => fired.push(`c at ${virtual.now()}`), 20);
+    virtual.setTimeout(() => fired.push("never"), 100);
+    assert.deepStrictEqual(fired, [], "nothing moves until advanced");
+
+    assert.strictEqual(virtual.advance(50), 1050);
+    assert.deepStrictEqual(fired, ["a at 1010", "b at 1020", "c at 1020"]);
+    assert.strictEqual(virtual.pending(), 1);
+});
+
+test("delays of 0, below 1 or past 2^31-1 fire after 1ms, like Node's", () => {
+    const virtual = createVirtualClock();
+    const fired = [];
+    for (const delay of [0, 0.5, -10, undefined, "abc", 2 ** 31]) {
+        virtual.setTimeout(() => fired.push(delay), delay);
+    }
+    virtual.advance(0);
+    assert.deepStrictEqual(fired, []);
+    virtual.advance(1);
+    assert.strictEqual(fired.length, 6);
+});
+
+test("intervals repeat until cleared; clearTimeout accepts the handle or its id", () => {
+    const virtual = createVirtualClock();
+    const ticks = [];
+    const interval = virtual.setInterval(() => ticks.push(virtual.now()), 100);
+    const timer = virtual.setTimeout(() => ticks.push("timer"), 150);
+    virtual.clearTimeout(Number(timer));
+    virtual.advance(350);
+    virtual.clearInterval(interval);
+    virtual.advance(1000);
+    assert.deepStrictEqual(ticks, [100, 200, 300]);
+    assert.strictEqual(virtual.pending(), 0);
+});
+
+test("busyWait moves time on but fires nothing - due timers fire late, never early", () => {
+    const virtual = createVirtualClock();
+    const fired = [];
+    virtual.setTimeout(() => fired.push(virtual.now()), 10);
+    virtual.busyWait(25);
+    assert.deepStrictEqual(fired, []);
+    virtual.advance(0);
+    assert.deepStrictEqual(fired, [25]);
+});
+
+test("advanceAsync lets promise chains settle between timers", async () => {
+    const virtual = createVirtualClock();
+    const sleep = ms => new Promise(resolve => virtual.setTimeout(resolve, ms));
+    const steps = [];
+    const chain = (async () => {
+        await sleep(10);
+        steps.push(virtual.now());
+        await sleep(10);
+        steps.push(virtual.now());
+    })();
+
+    // A synchronous advance outruns the chain: its second timer isn't even set yet
+    virtual.advance(100);
+    assert.deepStrictEqual(steps, []);
+
+    await virtual.advanceAsync(100);
+    await chain;
+    assert.deepStrictEqual(steps, [100, 110]);
+});
+
+test("runAll() empties the queue, and refuses an interval that never ends", async () => {
+    const virtual = createVirtualClock();
+    virtual.setTimeout(() => virtual.setTimeout(() => {}, 500), 500);
+    assert.strictEqual(await virtual.runAll(), 1000);
+
+    virtual.setInterval(() => {}, 10);
+    await assert.rejects(virtual.runAll({ limit: 50 }), /still busy after 50 timers/);
+});
+
+test("autoAdvance runs time on its own, but not for unref'd timers alone", async () => {
+    const virtual = createVirtualClock({ autoAdvance: true });
+    const start = Date.now();
+    await new Promise(resolve => virtual.setTimeout(resolve, 60000));
+    assert.strictEqual(virtual.now(), 60000);
+    assert.ok(Date.now() - start < 1000);
+
+    let fired = false;
+    virtual.setTimeout(() => (fired = true), 10).unref();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(fired, false);
+    assert.strictEqual(virtual.now(), 60000);
+});
+
+test("immediates run before time jumps ahead to the next timer", async () => {
+    const virtual = createVirtualClock({ autoAdvance: true });
+    const order = [];
+    await new Promise(resolve => {
+        virtual.setTimeout(() => {
+            order.push(`timer at ${virtual.now()}`);
+            resolve();
+        }, 5);
+        virtual.setImmediate(() => order.push(`immediate at ${virtual.now()}`));
+    });
+    assert.deepStrictEqual(order, ["immediate at 0", "timer at 5"]);
+});
+
+test("the real clock's speed scales timers and the time it reports", async () => {
+    assert.throws(() => createRealClock({ speed: 0 }), RangeError);
+    const fast = createRealClock({ speed: 10 });
+    const startedAt = fast.now();
+    const realStart = Date.now();
+    await new Promise(resolve => fast.setTimeout(resolve, 500));
+    const real = Date.now() - realStart;
+    const reported = fast.now() - startedAt;
+    assert.ok(real >= 45 && real < 400, `waited ${real}ms for a 500ms timer at speed 10`);
+    assert.ok(reported >= 450, `reported ${reported}ms`);
+});
+
+test("a seed replays the same random numbers", () => {
+    const draws = random => Array.from({ length: 5 }, () => random());
+    assert.deepStrictEqual(draws(createRandom(42)), draws(createRandom(42)));
+    assert.deepStrictEqual(draws(createRandom("42")), draws(createRandom(42)));
+    assert.notDeepStrictEqual(draws(createRandom(42)), draws(createRandom(43)));
+    assert.strictEqual(createRandom(), Math.random);
+    assert.ok(draws(createRandom(1)).every(value => value >= 0 && value < 1));
+
+    clock.seedRandom(7);
+    const first = draws(clock.random);
+    clock.useVirtualClock({ seed: 7 });
+    assert.deepStrictEqual(draws(clock.random), first);
+    clock.seedRandom();
+});
+
+test("the shared functions follow the active clock, and handles go back to their own", () => {
+    const fired = [];
+    const first = clock.getClock();
+    const handle = clock.setTimeout(() => fired.push("first clock"), 10);
+    assert.strictEqual(first.pending(), 1);
+
+    clock.useVirtualClock();
+    clock.clearTimeout(handle);
+    first.advance(100);
+    assert.deepStrictEqual(fired, []);
+    assert.strictEqual(clock.now(), 0);
+    clock.busyWait(30);
+    assert.strictEqual(shared.now(), 30);
+});
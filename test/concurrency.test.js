@@ -0,0 +1,112 @@
+// test/concurrency.test.js
+// createLimiter and mapConcurrent, with timed work on the virtual clock
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createLimiter, mapConcurrent } = require("../lib/concurrency");
+const { setTimeout } = require("../lib/clock");
+const { useTestClock } = require("./helpers");
+
+const clock = useTestClock({ autoAdvance: true });
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Work that takes `ms` and records the most calls that were ever in flight together
+function tracked() {
+    const stats = { running: 0, most: 0 };
+    stats.run = async (ms, value) => {
+        stats.running++;
+        stats.most = Math.max(stats.most, stats.running);
+        try {
+            await wait(ms);
+            return value;
+        } finally {
+            stats.running--;
+        }
+    };
+    return stats;
+}
+
+test("createLimiter runs at most `concurrency` calls at once", async () => {
+    const limit = createLimiter(2);
+    const work = tracked();
+    const results = Promise.all([1, 2, 3, 4, 5].map(n => limit(() => work.run(100, n))));
+    assert.strictEqual(limit.activeCount, 2);
+    assert.strictEqual(limit.pendingCount, 3);
+
+    assert.deepStrictEqual(await results, [1, 2, 3, 4, 5]);
+    assert.strictEqual(work.most, 2);
+    assert.strictEqual(clock.now(), 300);
+    assert.strictEqual(limit.activeCount, 0);
+    assert.strictEqual(limit.concurrency, 2);
+});
+
+test("a failing call frees its slot, and a synchronous throw becomes a rejection", async () => {
+    const limit = createLimiter(1);
+    const failed = limit(() => {
+        throw new Error("sync failure");
+    });
+    const next = limit(() => "still runs");
+    await assert.rejects(failed, /sync failure/);
+    assert.strictEqual(await next, "still runs");
+});
+
+test("bad concurrency values throw a TypeError", () => {
+    for (const value of [0, -1, 1.5, "2", NaN]) {
+        assert.throws(() => createLimiter(value), TypeError);
+    }
+    assert.strictEqual(createLimiter(Infinity).concurrency, Infinity);
+});
+
+test("mapConcurrent keeps input order whatever order the calls finish in", async () => {
+    const work = tracked();
+    const results = await mapConcurrent([300, 100, 200], (ms, index) => work.run(ms, `${index}:${ms}`), { concurrency: 2 });
+    assert.deepStrictEqual(results, ["0:300", "1:100", "2:200"]);
+    assert.strictEqual(work.most, 2);
+    assert.strictEqual(clock.now(), 300);
+});
+
+test("fail-fast rejects with the first error and starts nothing new", async () => {
+    const started = [];
+    await assert.rejects(mapConcurrent([1, 2, 3, 4], async n => {
+        started.push(n);
+        await wait(10);
+        if (n === 1) {
+            throw new Error("item 1 failed");
+        }
+        return n;
+    }, { concurrency: 2 }), /item 1 failed/);
+    await wait(100);
+    assert.deepStrictEqual(started, [1, 2]);
+});
+
+test("collect runs every item, then rejects with an AggregateError of the failures", async () => {
+    const error = await mapConcurrent([1, 2, 3, 4], async n => {
+        await wait(10 * (5 - n));
+        if (n % 2 === 0) {
+            throw new Error(`item ${n} failed`);
+        }
+        return n * 10;
+    }, { concurrency: 2, mode: "collect" }).catch(caught => caught);
+
+    assert.ok(error instanceof AggregateError);
+    assert.strictEqual(error.message, "2 of 4 items failed");
+    assert.deepStrictEqual(error.errors.map(failure => failure.message), ["item 2 failed", "item 4 failed"]);
+    assert.deepStrictEqual(error.failedIndexes, [1, 3]);
+    assert.deepStrictEqual(Array.from(error.results), [10, undefined, 30, undefined]);
+
+    assert.deepStrictEqual(await mapConcurrent([1, 2], n => n, { mode: "collect" }), [1, 2]);
+    await assert.rejects(mapConcurrent([1], n => n, { mode: "best-effort" }), TypeError);
+});
+
+test("maps sharing a limiter share its budget", async () => {
+    const limit = createLimiter(2);
+    const work = tracked();
+    const both = await Promise.all([
+        mapConcurrent([1, 2, 3], n => work.run(100, n), { limiter: limit }),
+        mapConcurrent([4, 5, 6], n => work.run(100, n), { limiter: limit })
+    ]);
+    assert.deepStrictEqual(both, [[1, 2, 3], [4, 5, 6]]);
+    assert.strictEqual(work.most, 2);
+    assert.strictEqual(clock.now(), 300);
+});
@@ -0,0 +1,104 @@
+// test/context.test.js
+// Correlation IDs: how they nest, and how they follow an operation across virtual-clock timers
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { withContext, withChildContext, currentContext, correlationId, bind, snapshot } = require("../lib/context");
+const { setTimeout, setInterval, clearInterval, setImmediate } = require("../lib/clock");
+const { loadUserProfile } = require("../lib/api");
+const { useTestClock, captureLog } = require("./helpers");
+
+useTestClock({ autoAdvance: true });
+const entries = captureLog();
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// The number in a top-level id - they count up across the whole file
+function operation(id) {
+    return Number(/^req-(\d+)/.exec(id)[1]);
+}
+
+test("operations get req-N ids, and the operations inside them numbered children", () => {
+    assert.strictEqual(correlationId(), undefined);
+    const first = withContext("first", () => correlationId());
+    const second = withContext("second", () => {
+        const children = [withContext("a", correlationId), withContext("b", () => withContext("c", correlationId))];
+        return { id: correlationId(), children, name: currentContext().name };
+    });
+
+    assert.strictEqual(operation(second.id), operation(first) + 1);
+    assert.deepStrictEqual(second.children, [`${second.id}.1`, `${second.id}.2.1`]);
+    assert.strictEqual(second.name, "second");
+    assert.strictEqual(withContext("value", () => 42), 42);
+});
+
+test("withChildContext only tags calls made inside an operation", () => {
+    assert.strictEqual(withChildContext("call", correlationId), undefined);
+    withContext("outer", () => {
+        assert.strictEqual(withChildContext("call", correlationId), `${correlationId()}.1`);
+        assert.strictEqual(withChildContext("call", () => currentContext().parent.name), "outer");
+    });
+});
+
+test("the id follows each operation across virtual timers, however they interleave", async () => {
+    const seen = [];
+    async function operationBody(name, delays) {
+        const id = correlationId();
+        for (const ms of delays) {
+            await wait(ms);
+            seen.push(`${name} ${correlationId() === id}`);
+        }
+        await new Promise(resolve => setImmediate(resolve));
+        await new Promise(resolve => {
+            let ticks = 0;
+            const interval = setInterval(() => {
+                seen.push(`${name} interval ${correlationId() === id}`);
+                if (++ticks === 2) {
+                    clearInterval(interval);
+                    resolve();
+                }
+            }, 15);
+        });
+        return correlationId() === id;
+    }
+
+    const results = await Promise.all([
+        withContext("slow", () => operationBody("slow", [30, 30])),
+        withContext("fast", () => operationBody("fast", [10, 10, 10]))
+    ]);
+    assert.deepStrictEqual(results, [true, true]);
+    assert.ok(seen.every(entry => entry.endsWith("true")), seen.join(", "));
+    assert.strictEqual(seen.length, 9);
+});
+
+test("bind and snapshot keep the caller's context on a hand-rolled queue", async () => {
+    const queue = [];
+    const seen = [];
+    for (const name of ["a", "b"]) {
+        withContext(name, () => {
+            const id = correlationId();
+            const run = snapshot();
+            queue.push(bind(() => seen.push(`bind ${correlationId() === id}`)));
+            queue.push(() => run(() => seen.push(`snapshot ${correlationId() === id}`)));
+            queue.push(() => seen.push(`plain ${correlationId()}`));
+        });
+    }
+    // Drained from a timer scheduled outside any operation, like a batching library would
+    await new Promise(resolve => setTimeout(() => {
+        queue.splice(0).forEach(job => job());
+        resolve();
+    }, 50));
+
+    assert.deepStrictEqual(seen, [
+        "bind true", "snapshot true", "plain undefined",
+        "bind true", "snapshot true", "plain undefined"
+    ]);
+});
+
+test("API calls inside an operation log with child ids", async () => {
+    await withContext("loadUserProfile", () => loadUserProfile(1));
+    const ids = entries.map(entry => entry.correlationId);
+    const parent = ids[0];
+    assert.match(parent, /^req-\d+$/);
+    assert.deepStrictEqual(ids, [parent, `${parent}.1`, `${parent}.2`, `${parent}.3`, parent]);
+});
@@ -0,0 +1,130 @@
+// test/cron.test.js
+// Cron parsing, next-run search across DST, and the scheduler on a virtual clock
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseCron, nextRun, createCronScheduler } = require("../lib/cron");
+const { createVirtualClock } = require("../lib/clock");
+const { captureLog } = require("./helpers");
+
+const entries = captureLog();
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+function values(lookup) {
+    return lookup.map((allowed, value) => (allowed ? value : -1)).filter(value => value >= 0);
+}
+
+test("parseCron reads lists, ranges, steps, names and shorthands", () => {
+    const schedule = parseCron("*/20 9-17/4 1,15 JAN-MAR MON-FRI");
+
+    assert.deepStrictEqual(values(schedule.minutes), [0, 20, 40]);
+    assert.deepStrictEqual(values(schedule.hours), [9, 13, 17]);
+    assert.deepStrictEqual(values(schedule.days), [1, 15]);
+    assert.deepStrictEqual(values(schedule.months), [1, 2, 3]);
+    assert.deepStrictEqual(values(schedule.weekdays), [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(values(parseCron("5/15 * * * 7").minutes), [5, 20, 35, 50]);
+    assert.deepStrictEqual(values(parseCron("0 0 * * 7").weekdays), [0, 7]);
+    assert.deepStrictEqual(parseCron("@daily").minutes, parseCron("0 0 * * *").minutes);
+});
+
+test("parseCron rejects malformed fields", () => {
+    for (const expression of [
+        "1,,5 * * * *",
+        "-5 * * * *",
+        "5- * * * *",
+        "1-2-3 * * * *",
+        "+5 * * * *",
+        "*/ * * * *",
+        "*/0 * * * *",
+        "*/5/2 * * * *",
+        "60 * * * *",
+        "0 0 0 * *",
+        "0 0 * FOO *",
+        "30-10 * * * *",
+        "* * * *"
+    ]) {
+        assert.throws(() => parseCron(expression), SyntaxError, expression);
+    }
+});
+
+test("nextRun handles skipped and repeated wall times across DST", () => {
+    const timeZone = "America/New_York";
+
+    // 02:30 does not exist on 2024-03-10: it runs right after the jump, at 03:30 EDT
+    assert.strictEqual(
+        nextRun("30 2 * * *", Date.UTC(2024, 2, 10, 5, 0), { timeZone }).toISOString(),
+        "2024-03-10T07:30:00.000Z"
+    );
+    // 01:30 happens twice on 2024-11-03: only the first one (EDT) counts
+    const first = nextRun("30 1 * * *", Date.UTC(2024, 10, 3, 4, 0), { timeZone });
+    assert.strictEqual(first.toISOString(), "2024-11-03T05:30:00.000Z");
+    assert.strictEqual(nextRun("30 1 * * *", first, { timeZone }).toISOString(), "2024-11-04T06:30:00.000Z");
+});
+
+test("the scheduler runs jobs on the virtual clock and catches up on missed runs", async () => {
+    const clock = createVirtualClock({ start: Date.UTC(2024, 0, 1, 0, 0) });
+    const cron = createCronScheduler({ clock, timeZone: "UTC" });
+    const runs = [];
+
+    cron.add("quarter", "*/15 * * * *", ({ scheduledAt, missed }) => {
+        runs.push({ at: scheduledAt.toISOString().slice(11, 16), missed });
+    });
+
+    await clock.advanceAsync(HOUR);
+    assert.deepStrictEqual(runs.map(run => run.at), ["00:15", "00:30", "00:45", "01:00"]);
+
+    // A blocked process misses four runs; "latest" runs once for all of them
+    clock.busyWait(HOUR);
+    await clock.advanceAsync(0);
+    assert.deepStrictEqual(runs[runs.length - 1], { at: "02:00", missed: 3 });
+    assert.strictEqual(cron.get("quarter").missed, 3);
+
+    cron.stop();
+    assert.strictEqual(clock.pending(), 0);
+});
+
+test("the scheduler skips a run while the previous one is still going", async () => {
+    const clock = createVirtualClock({ start: Date.UTC(2024, 0, 1, 0, 0) });
+    const cron = createCronScheduler({ clock, timeZone: "UTC" });
+    let started = 0;
+
+    // Each run takes 90 seconds, so every other minute finds it still going
+    cron.add("slow", "* * * * *", () => {
+        started++;
+        return new Promise(resolve => clock.setTimeout(resolve, 90 * 1000));
+    });
+
+    await clock.advanceAsync(4 * MINUTE);
+    assert.strictEqual(started, 2);
+    assert.strictEqual(cron.get("slow").skippedOverlaps, 2);
+    cron.stop();
+});
+
+test("a failing run is logged by default, and a throwing onError is logged too", async () => {
+    const clock = createVirtualClock({ start: Date.UTC(2024, 0, 1, 0, 0) });
+    const cron = createCronScheduler({ clock, timeZone: "UTC" });
+    cron.add("broken", "* * * * *", () => {
+        throw new Error("disk full");
+    });
+    await clock.advanceAsync(MINUTE);
+    assert.strictEqual(cron.get("broken").errors, 1);
+    cron.stop();
+
+    const strict = createCronScheduler({
+        clock,
+        timeZone: "UTC",
+        onError: error => {
+            throw error;
+        }
+    });
+    strict.add("broken", "* * * * *", () => Promise.reject(new Error("disk still full")));
+    await clock.advanceAsync(MINUTE);
+    strict.stop();
+
+    assert.deepStrictEqual(entries.map(entry => entry.message), [
+        "❌ Cron job \"broken\" failed: disk full",
+        "❌ Cron job \"broken\": onError threw disk still full"
+    ]);
+});
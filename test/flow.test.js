@@ -0,0 +1,157 @@
+// test/flow.test.js
+// The callback control-flow helpers, with timed tasks on the virtual clock
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { series, parallel, waterfall, eachLimit, mapLimit, retry, auto } = require("../lib/flow");
+const { setTimeout, now } = require("../lib/clock");
+const { useTestClock } = require("./helpers");
+
+useTestClock({ autoAdvance: true });
+
+// Calls fn(...args, callback) and resolves with what the final callback got
+function outcome(fn, ...args) {
+    return new Promise(resolve => fn(...args, (error, result) => resolve({ error, result, at: now() })));
+}
+
+// A task that answers after `ms`, or fails when `value` is an Error
+function after(ms, value, log) {
+    return done => {
+        if (log) {
+            log.push(`start ${value}`);
+        }
+        setTimeout(() => (value instanceof Error ? done(value) : done(null, value)), ms);
+    };
+}
+
+test("series runs one task at a time and parallel all at once, keeping their shape", async () => {
+    assert.deepStrictEqual(await outcome(series, [after(100, "a"), after(50, "b")]), { error: null, result: ["a", "b"], at: 150 });
+
+    const start = now();
+    const { result, at } = await outcome(parallel, { user: after(100, "ann"), posts: after(50, ["hi"]) });
+    assert.deepStrictEqual(result, { user: "ann", posts: ["hi"] });
+    assert.strictEqual(at - start, 100);
+});
+
+test("the first error goes straight to the callback and nothing new starts", async () => {
+    const log = [];
+    const failure = new Error("posts failed");
+    const { error, at } = await outcome(series, [after(10, "a", log), after(10, failure), after(10, "c", log)]);
+    assert.strictEqual(error, failure);
+    assert.strictEqual(at, 20);
+    assert.deepStrictEqual(log, ["start a"]);
+});
+
+test("the final callback is always asynchronous, and a double callback throws", async () => {
+    let sync = true;
+    const called = outcome(parallel, []).then(result => ({ ...result, sync }));
+    sync = false;
+    assert.strictEqual((await called).sync, false);
+
+    await assert.rejects(new Promise((resolve, reject) => {
+        series([done => {
+            done(null, 1);
+            try {
+                done(null, 2);
+            } catch (error) {
+                reject(error);
+            }
+        }], () => {});
+    }), /Callback was already called/);
+});
+
+test("waterfall passes each task's results to the next", async () => {
+    const { error, result } = await outcome(waterfall, [
+        done => setTimeout(done, 10, null, 123),
+        (id, done) => setTimeout(done, 10, null, { id, name: "Ann" }),
+        (user, done) => done(null, `${user.name} (${user.id})`)
+    ]);
+    assert.strictEqual(error, null);
+    assert.strictEqual(result, "Ann (123)");
+});
+
+test("mapLimit and eachLimit never run more than the limit", async () => {
+    let running = 0;
+    let most = 0;
+    function square(n, done) {
+        running++;
+        most = Math.max(most, running);
+        setTimeout(() => {
+            running--;
+            done(null, n * n);
+        }, 100 * n);
+    }
+
+    const start = now();
+    const { result, at } = await outcome(mapLimit, [3, 1, 2, 1], 2, square);
+    assert.deepStrictEqual(result, [9, 1, 4, 1]);
+    assert.strictEqual(most, 2);
+    assert.strictEqual(at - start, 400);
+
+    most = 0;
+    assert.deepStrictEqual(await outcome(eachLimit, [1, 2, 3], 1, square), { error: null, result: undefined, at: at + 600 });
+    assert.strictEqual(most, 1);
+    assert.throws(() => mapLimit([1], 0, square, () => {}), TypeError);
+});
+
+test("iteratees that call back synchronously don't grow the stack", async () => {
+    const items = Array.from({ length: 20000 }, (item, index) => index);
+
+    assert.deepStrictEqual(await outcome(eachLimit, items, 2, (item, done) => done()), { error: null, result: undefined, at: 0 });
+    const { result } = await outcome(mapLimit, items, 3, (item, done) => done(null, item * 2));
+    assert.strictEqual(result.length, items.length);
+    assert.strictEqual(result[19999], 39998);
+    assert.strictEqual((await outcome(series, items.map(item => done => done(null, item)))).result.length, items.length);
+});
+
+test("retry tries again after the interval until it succeeds or runs out", async () => {
+    let attempts = 0;
+    const flaky = done => {
+        attempts++;
+        return attempts < 3 ? done(new Error(`attempt ${attempts} failed`)) : done(null, "ok");
+    };
+    const start = now();
+    const { result, at } = await outcome(retry, { times: 5, interval: attempt => attempt * 100 }, flaky);
+    assert.strictEqual(result, "ok");
+    assert.strictEqual(at - start, 300);
+
+    attempts = 0;
+    const { error } = await outcome(retry, 2, flaky);
+    assert.strictEqual(error.message, "attempt 2 failed");
+
+    attempts = 0;
+    const fatal = await outcome(retry, { times: 5, errorFilter: error => !/attempt 1/.test(error.message) }, flaky);
+    assert.strictEqual(fatal.error.message, "attempt 1 failed");
+    assert.strictEqual(attempts, 1);
+});
+
+test("auto runs tasks as soon as their dependencies are done", async () => {
+    const log = [];
+    const start = now();
+    const { error, result, at } = await outcome(auto, {
+        user: after(100, "ann", log),
+        settings: after(300, "dark", log),
+        posts: ["user", (results, done) => after(100, `${results.user}'s posts`, log)(done)],
+        page: ["posts", "settings", (results, done) => done(null, `${results.posts} in ${results.settings}`)]
+    });
+    assert.strictEqual(error, null);
+    assert.strictEqual(result.page, "ann's posts in dark");
+    assert.strictEqual(at - start, 300);
+    assert.deepStrictEqual(log, ["start ann", "start dark", "start ann's posts"]);
+});
+
+test("auto reports unknown dependencies, cycles and the results so far on an error", async () => {
+    assert.match((await outcome(auto, { a: ["missing", (results, done) => done()] })).error.message, /unknown task "missing"/);
+    assert.match(
+        (await outcome(auto, { a: ["b", (results, done) => done()], b: ["a", (results, done) => done()] })).error.message,
+        /a → b → a/
+    );
+
+    const failure = new Error("posts failed");
+    const { error, result } = await outcome(auto, {
+        user: after(10, "ann"),
+        posts: ["user", (results, done) => after(10, failure)(done)]
+    });
+    assert.strictEqual(error, failure);
+    assert.deepStrictEqual(result, { user: "ann" });
+});
@@ -0,0 +1,42 @@
+// test/helpers.js
+// Shared setup for the tests - no tests of its own
+
+const test = require("node:test");
+const { useVirtualClock, useRealClock, getClock } = require("../lib/clock");
+const { createLogger, useLogger } = require("../lib/logger");
+
+// Every test in the file gets a fresh virtual clock, and the real one is put back at
+// the end. The returned object always talks to the current test's clock:
+//
+//   const clock = useTestClock({ autoAdvance: true });
+//   test("...", async () => { await clock.advanceAsync(1000); });
+function useTestClock(options) {
+    test.beforeEach(() => {
+        useVirtualClock(options);
+    });
+    test.after(() => {
+        useRealClock();
+    });
+    return new Proxy({}, {
+        get: (target, name) => getClock()[name]
+    });
+}
+
+// Collects what lib/ modules log as parsed JSON entries instead of printing it,
+// until the file's tests are done
+function captureLog() {
+    const entries = [];
+    test.beforeEach(() => {
+        entries.length = 0;
+        useLogger(createLogger({ format: "json", write: line => entries.push(JSON.parse(line)) }));
+    });
+    test.after(() => {
+        useLogger();
+    });
+    return entries;
+}
+
+module.exports = {
+    useTestClock,
+    captureLog
+};
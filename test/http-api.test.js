@@ -0,0 +1,67 @@
+// test/http-api.test.js
+// createHttpApi against a local mock server: same results and errors as the in-memory APIs
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createHttpApi } = require("../lib/http-api");
+const { createMockServer } = require("../lib/mock-server");
+const { AbortError } = require("../lib/errors");
+const { captureLog } = require("./helpers");
+
+const entries = captureLog();
+
+// An API talking to its own server, closed with the file
+function startApi(options) {
+    const server = createMockServer(options);
+    const ready = server.listen();
+    test.after(() => server.close());
+    return ready.then(baseUrl => createHttpApi({ baseUrl }));
+}
+
+test("apiCall reaches its own route, even for a path a fixture route serves", async () => {
+    const api = await startApi({ latency: 0, failureRate: 0 });
+
+    assert.deepStrictEqual(await api.apiCall("/api/posts", 1500), { endpoint: "/api/posts", data: "Data from /api/posts" });
+    assert.deepStrictEqual(await api.apiCall("/api/comments"), { endpoint: "/api/comments", data: "Data from /api/comments" });
+    assert.deepStrictEqual(entries.map(entry => entry.message.replace(/\(\d+ms\)/, "(…)")), [
+        "📡 Calling API: /api/posts",
+        "🌐 GET /call/api/posts?delay=1500 → 200 (…)",
+        "📡 Calling API: /api/comments",
+        "🌐 GET /call/api/comments?delay=1000 → 200 (…)"
+    ]);
+});
+
+test("the fixture APIs return what the in-memory ones do", async () => {
+    const api = await startApi({ latency: 0, failureRate: 0 });
+
+    assert.deepStrictEqual(await api.fetchUser(123), { id: 123, name: "Alice", email: "alice@example.com" });
+    assert.strictEqual((await api.fetchUserPosts(123)).length, 2);
+    const page = await api.fetchUserPostsPage(123, { page: 2 });
+    assert.deepStrictEqual(page.posts.map(post => post.id), [4, 5, 6]);
+    assert.strictEqual(page.next, 3);
+    assert.strictEqual((await api.fetchPostComments(1))[0].text, "Great post!");
+    assert.strictEqual((await api.fetchFollowers(123)).length, 3);
+});
+
+test("server failures reject with the API's error and the status", async () => {
+    const api = await startApi({ latency: 0, failureRate: 1 });
+
+    await assert.rejects(api.fetchUser(123), error => {
+        assert.strictEqual(error.message, "Failed to fetch /api/user/123");
+        assert.strictEqual(error.status, 500);
+        return true;
+    });
+    await assert.rejects(api.fetchUserPostsPage(123, { page: 0 }), error => error.status === 400);
+});
+
+test("an aborted signal rejects with an AbortError", async () => {
+    const api = await startApi({ latency: 5000 });
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(api.fetchUser(123, { signal: controller.signal }), AbortError);
+
+    const aborting = new AbortController();
+    const pending = api.fetchFollowers(123, { signal: aborting.signal });
+    setTimeout(() => aborting.abort(), 20);
+    await assert.rejects(pending, AbortError);
+});
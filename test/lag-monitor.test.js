@@ -0,0 +1,75 @@
+// test/lag-monitor.test.js
+// createLagMonitor against short real blocks - it measures the real event loop, so no virtual clock here
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { performance } = require("perf_hooks");
+const { createLagMonitor } = require("../lib/lag-monitor");
+
+function block(ms) {
+    const end = performance.now() + ms;
+    while (performance.now() < end) {
+        // hold the thread
+    }
+}
+
+function blockingTimer() {
+    return new Promise(resolve => setTimeout(() => {
+        block(80);
+        resolve();
+    }, 10));
+}
+
+test("reports a blocking callback with the stack that scheduled it", async () => {
+    const reported = [];
+    const monitor = createLagMonitor({ threshold: 50, onBlock: found => reported.push(found) }).start();
+    try {
+        await blockingTimer();
+    } finally {
+        monitor.stop();
+    }
+
+    assert.strictEqual(reported.length, 1);
+    assert.strictEqual(reported[0].source, "a Timeout callback");
+    assert.ok(reported[0].duration >= 80);
+    assert.match(reported[0].stack, /blockingTimer/);
+    assert.ok(!reported[0].stack.includes("lag-monitor.js"), "the monitor's own frames are left out");
+
+    const report = monitor.report();
+    assert.strictEqual(report.blocks, 1);
+    assert.ok(report.max >= 80);
+    assert.match(monitor.summary(), /1 block\(s\) over 50ms/);
+});
+
+test("short callbacks stay under the threshold, and a stopped monitor reports nothing new", async () => {
+    const reported = [];
+    const monitor = createLagMonitor({ threshold: 50, captureStacks: false, onBlock: found => reported.push(found) }).start();
+    await new Promise(resolve => setTimeout(() => {
+        block(5);
+        resolve();
+    }, 10));
+    monitor.stop();
+    await blockingTimer();
+
+    assert.deepStrictEqual(reported, []);
+    assert.strictEqual(monitor.report().blocks, 0);
+});
+
+test("the default onBlock raises an EventLoopBlockWarning", async () => {
+    const warnings = [];
+    const onWarning = warning => warnings.push(warning);
+    process.on("warning", onWarning);
+    const monitor = createLagMonitor({ threshold: 50 }).start();
+    try {
+        await blockingTimer();
+        // Warnings are emitted on the next tick
+        await new Promise(resolve => setImmediate(resolve));
+    } finally {
+        monitor.stop();
+        process.removeListener("warning", onWarning);
+    }
+
+    assert.strictEqual(warnings.length, 1);
+    assert.strictEqual(warnings[0].name, "EventLoopBlockWarning");
+    assert.match(warnings[0].message, /Event loop blocked for \d+ms in a Timeout callback/);
+});
@@ -0,0 +1,35 @@
+// test/lesson-order.test.js
+// Fails when a lesson's printed "expected order" drifts from what really happens
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { checkOrder, captureLesson } = require("../lib/order-check");
+
+const lessons = [
+    "01-synchronous-vs-asynchronous.js",
+    "06-event-loop.js"
+];
+
+for (const lesson of lessons) {
+    test(`${lesson} logs in its expected order`, async () => {
+        const { expected, actual } = await captureLesson(path.join(__dirname, "..", lesson));
+
+        assert.ok(expected.length > 0, `${lesson} does not export expectedOrder`);
+        const result = checkOrder(expected, actual);
+        assert.ok(result.ok, `\n${result.report}`);
+    });
+}
+
+test("checkOrder reports lines that are out of order or missing", () => {
+    const result = checkOrder(
+        ["📊 Sync", { label: "Microtask", log: "🤝 Promise" }, "⏰ Timer", "👻 Never"],
+        ["📊 Sync", "⏰ Timer", "🤝 Promise"]
+    );
+
+    assert.strictEqual(result.ok, false);
+    assert.deepStrictEqual(
+        result.entries.map(entry => entry.status),
+        ["ok", "ok", "out-of-order", "missing"]
+    );
+});
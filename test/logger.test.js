@@ -0,0 +1,81 @@
+// test/logger.test.js
+// The JSON log format: entry fields, correlation IDs, and --json from the command line
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { createLogger } = require("../lib/logger");
+const { withContext } = require("../lib/context");
+
+// A JSON logger on a clock the test moves by hand
+function jsonLogger() {
+    const entries = [];
+    let at = 1000;
+    const logger = createLogger({ format: "json", write: line => entries.push(JSON.parse(line)), now: () => at });
+    return { logger, entries, advance: ms => (at += ms) };
+}
+
+test("log() in JSON mode writes one numbered entry per call, timed from the first", () => {
+    const { logger, entries, advance } = jsonLogger();
+    logger.enter({ lesson: "05", section: 2 });
+    logger.log("📡 Calling API: %s", "/api/posts");
+    advance(250);
+    logger.sync(() => logger.log({ id: 1 }));
+
+    // `type` depends on how the test runner calls this test, except inside sync()
+    assert.deepStrictEqual(entries.map(({ type, ...fields }) => fields), [
+        { seq: 1, t: 0, lesson: "05", section: 2, correlationId: null, kind: "log", message: "📡 Calling API: /api/posts" },
+        { seq: 2, t: 250, lesson: "05", section: 2, correlationId: null, kind: "log", message: "{ id: 1 }" }
+    ]);
+    assert.strictEqual(entries[1].type, "sync");
+});
+
+test("entries carry the correlation ID of the operation that logged them", async () => {
+    const { logger, entries } = jsonLogger();
+    await withContext("loadUserProfile", async () => {
+        logger.log("🔄 Loading profile");
+        await withContext("fetchUser", async () => {
+            await new Promise(resolve => setTimeout(resolve, 1));
+            logger.log("👤 Fetching user");
+        });
+    });
+    logger.log("✅ Done");
+
+    const [parent, child, outside] = entries.map(entry => entry.correlationId);
+    assert.match(parent, /^req-\d+$/);
+    assert.strictEqual(child, `${parent}.1`);
+    assert.strictEqual(outside, null);
+});
+
+test("the pretty format prefixes the correlation ID after any leading blank lines", () => {
+    const lines = [];
+    const original = console.log;
+    console.log = (...args) => lines.push(args.join(" "));
+    try {
+        const logger = createLogger();
+        withContext("report", () => logger.log("\n📊 Summary"));
+        logger.log("plain");
+    } finally {
+        console.log = original;
+    }
+    assert.match(lines[0], /^\n\[req-\d+\] 📊 Summary$/);
+    assert.strictEqual(lines[1], "plain");
+    assert.throws(() => createLogger({ format: "xml" }), RangeError);
+});
+
+test("--json tags each entry with its lesson, section and event type", () => {
+    const output = execFileSync(process.execPath, [path.join(__dirname, "..", "run.js"), "06:4", "--json"], {
+        env: { ...process.env, ASYNC_CLOCK: "virtual", ASYNC_SEED: "1" },
+        encoding: "utf8"
+    });
+    const entries = output.trim().split("\n").map(line => JSON.parse(line));
+    const typeOf = message => entries.find(entry => entry.message === message).type;
+
+    assert.deepStrictEqual(entries.map(entry => entry.seq), entries.map((entry, index) => index + 1));
+    assert.ok(entries.every(entry => entry.lesson === "06" && entry.kind === "log"));
+    assert.deepStrictEqual(entries.filter(entry => entry.section !== 4).map(entry => entry.section), [null]);
+    assert.strictEqual(typeOf("📊 Synchronous code"), "sync");
+    assert.strictEqual(typeOf("🤝 Promise (Microtask Queue)"), "microtask");
+    assert.strictEqual(typeOf("⏰ setTimeout (Task Queue)"), "task");
+});
@@ -0,0 +1,175 @@
+// test/memoize.test.js
+// memoize's sharing, expiry and eviction on the virtual clock
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { getEventListeners } = require("events");
+const { memoize } = require("../lib/memoize");
+const { createDeadline } = require("../lib/timeout");
+const { setTimeout } = require("../lib/clock");
+const { AbortError } = require("../lib/errors");
+const { useTestClock } = require("./helpers");
+
+const clock = useTestClock();
+
+// A 100ms lookup that counts its calls; `fail` makes the next ones reject
+function slowLookup() {
+    const lookup = {
+        calls: [],
+        fail: false,
+        fn: (id, options) => {
+            lookup.calls.push(options === undefined ? [id] : [id, options]);
+            const call = lookup.calls.length;
+            const failing = lookup.fail;
+            return new Promise((resolve, reject) => setTimeout(() => {
+                if (failing) {
+                    reject(new Error(`lookup ${id} failed`));
+                } else {
+                    resolve(`user ${id} (call ${call})`);
+                }
+            }, 100));
+        }
+    };
+    return lookup;
+}
+
+test("concurrent calls share one in-flight call", async () => {
+    const lookup = slowLookup();
+    const getUser = memoize(lookup.fn, { ttl: 0 });
+
+    const users = Promise.all([getUser(1), getUser(1), getUser(2)]);
+    await clock.advanceAsync(100);
+    assert.deepStrictEqual(await users, ["user 1 (call 1)", "user 1 (call 1)", "user 2 (call 2)"]);
+    assert.strictEqual(lookup.calls.length, 2);
+    assert.deepStrictEqual(getUser.stats, { hits: 0, stale: 0, deduped: 1, misses: 2 });
+    // A ttl of 0 keeps nothing once the call settles
+    assert.strictEqual(getUser.size, 0);
+});
+
+test("a result is cached for the ttl, then fetched again", async () => {
+    const lookup = slowLookup();
+    const getUser = memoize(lookup.fn, { ttl: 1000 });
+
+    const first = getUser(1);
+    await clock.advanceAsync(100);
+    assert.strictEqual(await first, "user 1 (call 1)");
+
+    // Fresh for 1000ms from when the call settled
+    await clock.advanceAsync(999);
+    assert.strictEqual(await getUser(1), "user 1 (call 1)");
+    await clock.advanceAsync(1);
+    const second = getUser(1);
+    await clock.advanceAsync(100);
+    assert.strictEqual(await second, "user 1 (call 2)");
+    assert.strictEqual(getUser.stats.hits, 1);
+});
+
+test("a stale result is served while it refreshes in the background", async () => {
+    const lookup = slowLookup();
+    const getUser = memoize(lookup.fn, { ttl: 1000, staleWhileRevalidate: 1000 });
+
+    const first = getUser(1);
+    await clock.advanceAsync(1100);
+    await first;
+
+    // Stale: the old value now, one refresh behind it
+    assert.strictEqual(await getUser(1), "user 1 (call 1)");
+    assert.strictEqual(await getUser(1), "user 1 (call 1)");
+    assert.strictEqual(lookup.calls.length, 2);
+    await clock.advanceAsync(100);
+    assert.strictEqual(await getUser(1), "user 1 (call 2)");
+
+    // A failed refresh keeps the stale value until it runs out
+    lookup.fail = true;
+    await clock.advanceAsync(1000);
+    assert.strictEqual(await getUser(1), "user 1 (call 2)");
+    await clock.advanceAsync(100);
+    assert.strictEqual(await getUser(1), "user 1 (call 2)");
+    assert.strictEqual(lookup.calls.length, 4, "the failed refresh is retried on the next stale call");
+
+    await clock.advanceAsync(1000);
+    const expired = assert.rejects(getUser(1), /lookup 1 failed/);
+    await clock.advanceAsync(100);
+    await expired;
+});
+
+test("a rejection is never cached", async () => {
+    const lookup = slowLookup();
+    const getUser = memoize(lookup.fn, { ttl: 1000 });
+
+    lookup.fail = true;
+    const failed = assert.rejects(getUser(1), /lookup 1 failed/);
+    await clock.advanceAsync(100);
+    await failed;
+    assert.strictEqual(getUser.size, 0);
+
+    lookup.fail = false;
+    const retried = getUser(1);
+    await clock.advanceAsync(100);
+    assert.strictEqual(await retried, "user 1 (call 2)");
+});
+
+test("maxSize evicts the least recently used entry, and invalidate drops one", async () => {
+    const lookup = slowLookup();
+    const getUser = memoize(lookup.fn, { maxSize: 2 });
+
+    const loaded = Promise.all([getUser(1), getUser(2)]);
+    await clock.advanceAsync(100);
+    await loaded;
+    await getUser(1);           // 2 is now the least recently used
+    getUser(3);
+    await clock.advanceAsync(100);
+    assert.strictEqual(getUser.size, 2);
+
+    getUser(2);
+    assert.strictEqual(lookup.calls.length, 4, "2 was evicted");
+    assert.strictEqual(getUser.invalidate(3), true);
+    assert.strictEqual(getUser.invalidate(3), false);
+    await clock.advanceAsync(100);
+});
+
+test("one caller's signal is not part of the key and aborts only that caller", async () => {
+    const lookup = slowLookup();
+    const getUser = memoize(lookup.fn, { ttl: 1000 });
+    const controller = new AbortController();
+
+    const patient = getUser(1);
+    const impatient = getUser(1, { signal: controller.signal });
+    const withOptions = getUser(1, { signal: controller.signal, fields: "name" });
+    controller.abort();
+
+    await assert.rejects(impatient, AbortError);
+    await assert.rejects(withOptions, AbortError);
+    await clock.advanceAsync(100);
+    assert.strictEqual(await patient, "user 1 (call 1)");
+
+    // The shared call never saw the signal; other options still make their own key
+    assert.deepStrictEqual(lookup.calls, [[1], [1, { fields: "name" }]]);
+    await assert.rejects(getUser(2, { signal: controller.signal }), AbortError);
+    assert.strictEqual(lookup.calls.length, 2, "an aborted caller starts nothing");
+});
+
+test("callers' signals and deadlines are let go once their call settles", async () => {
+    const lookup = slowLookup();
+    const getUser = memoize(lookup.fn, { ttl: 1000 });
+    const controller = new AbortController();
+    const deadline = createDeadline(60000);
+
+    for (let id = 1; id <= 15; id++) {
+        // A miss, a shared in-flight call and a cache hit
+        const calls = [getUser(id, { signal: controller.signal, deadline }), getUser(id, { deadline })];
+        await clock.advanceAsync(100);
+        await Promise.all(calls);
+        await getUser(id, { signal: controller.signal, deadline });
+    }
+
+    assert.strictEqual(getEventListeners(controller.signal, "abort").length, 0);
+    assert.strictEqual(getEventListeners(deadline.signal, "abort").length, 0);
+    deadline.clear();
+});
+
+test("rejects bad options", () => {
+    assert.throws(() => memoize(() => {}, { ttl: -1 }), TypeError);
+    assert.throws(() => memoize(() => {}, { maxSize: 0 }), TypeError);
+    assert.throws(() => memoize(() => {}, { key: "id" }), TypeError);
+});
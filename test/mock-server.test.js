@@ -0,0 +1,92 @@
+// test/mock-server.test.js
+// createMockServer's routes, errors and latency, over real HTTP on a free port
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { performance } = require("perf_hooks");
+const { createMockServer } = require("../lib/mock-server");
+const { useChaos } = require("../lib/chaos");
+
+// Starts a server that closes with the file; `get` resolves with the status, the parsed
+// body and how long the request took
+function startServer(options) {
+    const server = createMockServer(options);
+    const ready = server.listen();
+    test.after(() => server.close());
+    return async (path, init) => {
+        const startedAt = performance.now();
+        const response = await fetch(`${await ready}${path}`, init);
+        const body = await response.json();
+        return { status: response.status, body, took: performance.now() - startedAt };
+    };
+}
+
+test.afterEach(() => {
+    useChaos();
+});
+
+test("the fixture routes answer with the fixtures", async () => {
+    const get = startServer({ latency: 0, failureRate: 0 });
+
+    assert.deepStrictEqual((await get("/api/user/123")).body, { id: 123, name: "Alice", email: "alice@example.com" });
+    assert.strictEqual((await get("/api/user/101")).body.name, "Bob");
+    assert.deepStrictEqual((await get("/api/posts?userId=123")).body, [
+        { id: 1, title: "First Post", userId: 123 },
+        { id: 2, title: "Second Post", userId: 123 }
+    ]);
+    const page = (await get("/api/posts?userId=123&page=3&pageSize=3")).body;
+    assert.deepStrictEqual(page.posts.map(post => post.id), [7]);
+    assert.strictEqual(page.next, null);
+    assert.strictEqual((await get("/api/comments?postId=1")).body.length, 2);
+    assert.deepStrictEqual((await get("/api/followers?userId=123")).body.map(follower => follower.id), [101, 102, 103]);
+});
+
+test("apiCall's route answers for any endpoint, fixture paths included", async () => {
+    const get = startServer({ latency: 0, failureRate: 0 });
+
+    assert.strictEqual((await get("/call/api/posts")).body, "Data from /api/posts");
+    assert.strictEqual((await get("/call/api/comments?delay=5")).body, "Data from /api/comments");
+    assert.strictEqual((await get("/call/orders")).body, "Data from /orders");
+});
+
+test("bad queries, unknown paths and other methods are refused", async () => {
+    const get = startServer({ latency: 0, failureRate: 0 });
+
+    const badPage = await get("/api/posts?userId=123&page=0");
+    assert.strictEqual(badPage.status, 400);
+    assert.match(badPage.body.error, /page must be a positive integer/);
+    assert.strictEqual((await get("/api/posts?userId=123&pageSize=abc")).status, 400);
+    assert.strictEqual((await get("/api/nothing-here")).status, 404);
+    assert.strictEqual((await get("/call")).status, 404);
+    assert.strictEqual((await get("/api/user/1", { method: "POST" })).status, 405);
+});
+
+test("?delay replaces a route's default latency, but not a profile's or the server's", async () => {
+    const get = startServer({ failureRate: 0 });
+
+    // fetchUser's baseline is 1000ms
+    const fast = await get("/api/user/123?delay=20");
+    assert.strictEqual(fast.status, 200);
+    assert.ok(fast.took >= 15 && fast.took < 500, `took ${fast.took}ms`);
+    const call = await get("/call/api/posts?delay=20");
+    assert.ok(call.took < 500, `took ${call.took}ms`);
+
+    useChaos({ endpoints: { fetchUser: { latency: 0 } } });
+    assert.ok((await get("/api/user/123?delay=5000")).took < 500);
+
+    const configured = startServer({ latency: 0, failureRate: 0 });
+    assert.ok((await configured("/api/followers?delay=5000")).took < 500);
+});
+
+test("injected failures become HTTP errors", async () => {
+    const get = startServer({ latency: 0, failureRate: 1 });
+    const failed = await get("/api/user/123");
+    assert.strictEqual(failed.status, 500);
+    assert.strictEqual(failed.body.error, "Failed to fetch /api/user/123");
+
+    useChaos({ endpoints: { fetchFollowers: { errorRate: 1, errorTypes: ["server"] } } });
+    const unavailable = startServer({ latency: 0 });
+    assert.strictEqual((await unavailable("/api/followers")).status, 503);
+    // ?failureRate wins over the profile for one request
+    assert.strictEqual((await unavailable("/api/followers?failureRate=0")).status, 200);
+});
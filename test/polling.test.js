@@ -0,0 +1,164 @@
+// test/polling.test.js
+// createPoller and pollForData on the virtual clock
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { getEventListeners } = require("events");
+const { createPoller, pollForData } = require("../lib/polling");
+const { now } = require("../lib/clock");
+const { useChaos } = require("../lib/chaos");
+const { AbortError, TimeoutError, PollExhaustedError } = require("../lib/errors");
+const { useTestClock, captureLog } = require("./helpers");
+
+const clock = useTestClock({ seed: 42 });
+captureLog();
+
+test("resolves with the first value that passes until, polling at the interval", async () => {
+    const polledAt = [];
+    const poller = createPoller(({ attempt }) => {
+        polledAt.push(now());
+        return attempt;
+    }, { until: attempt => attempt === 3, interval: 1000 });
+
+    await clock.advanceAsync(5000);
+    assert.strictEqual(await poller, 3);
+    assert.deepStrictEqual(polledAt, [0, 1000, 2000]);
+    assert.strictEqual(poller.attempts, 3);
+    assert.strictEqual(poller.running, false);
+    assert.strictEqual(clock.pending(), 0);
+});
+
+test("backs off exponentially up to maxInterval", async () => {
+    const polledAt = [];
+    const poller = createPoller(() => {
+        polledAt.push(now());
+        return false;
+    }, { interval: 100, backoff: "exponential", maxInterval: 400, maxAttempts: 5 });
+
+    await clock.advanceAsync(5000);
+    await assert.rejects(poller, PollExhaustedError);
+    assert.deepStrictEqual(polledAt, [0, 100, 300, 700, 1100]);
+});
+
+test("gives up after maxAttempts with the last value", async () => {
+    const poller = createPoller(({ attempt }) => ({ status: `pending ${attempt}` }), {
+        until: job => job.status === "done",
+        maxAttempts: 3
+    });
+
+    await clock.advanceAsync(5000);
+    await assert.rejects(poller, error => {
+        assert.ok(error instanceof PollExhaustedError);
+        assert.strictEqual(error.attempts, 3);
+        assert.deepStrictEqual(error.lastValue, { status: "pending 3" });
+        return true;
+    });
+});
+
+test("times out even when check ignores its signal", async () => {
+    // The second check never settles
+    const poller = createPoller(({ attempt }) => (attempt === 1 ? false : new Promise(() => {})), {
+        interval: 1000,
+        timeout: 2500
+    });
+
+    await clock.advanceAsync(2500);
+    await assert.rejects(poller, TimeoutError);
+    assert.strictEqual(poller.attempts, 1);
+    assert.strictEqual(clock.pending(), 0);
+});
+
+test("stops with an AbortError on stop() or when the caller's signal aborts", async () => {
+    const stopped = createPoller(() => false, { interval: 1000 });
+    await clock.advanceAsync(1500);
+    stopped.stop();
+    await assert.rejects(stopped, AbortError);
+    assert.strictEqual(stopped.attempts, 2);
+
+    const controller = new AbortController();
+    const aborted = createPoller(() => false, { interval: 1000, signal: controller.signal });
+    controller.abort();
+    await assert.rejects(aborted, AbortError);
+    assert.strictEqual(clock.pending(), 0);
+});
+
+test("a finished poller stops listening to the caller's signal", async () => {
+    const controller = new AbortController();
+    for (let i = 0; i < 15; i++) {
+        const poller = createPoller(({ attempt }) => attempt === 2, { interval: 100, signal: controller.signal });
+        await clock.advanceAsync(100);
+        assert.strictEqual(await poller, true);
+    }
+    assert.strictEqual(getEventListeners(controller.signal, "abort").length, 0);
+});
+
+test("iterating yields every result and leaving the loop stops the poller", async () => {
+    const poller = createPoller(({ attempt }) => attempt, { until: attempt => attempt === 3, interval: 1000 });
+    const seen = [];
+    const loop = (async () => {
+        for await (const attempt of poller) {
+            seen.push(attempt);
+        }
+    })();
+    await clock.advanceAsync(5000);
+    await loop;
+    assert.deepStrictEqual(seen, [1, 2, 3]);
+
+    const endless = createPoller(({ attempt }) => attempt, { until: () => false, interval: 1000 });
+    const early = (async () => {
+        for await (const attempt of endless) {
+            if (attempt === 2) {
+                break;
+            }
+        }
+    })();
+    await clock.advanceAsync(5000);
+    await early;
+    await assert.rejects(endless, AbortError);
+    assert.strictEqual(endless.attempts, 2);
+});
+
+test("iterators keep only what they haven't read; a late one starts at the latest result", async () => {
+    const poller = createPoller(({ attempt }) => attempt, { until: attempt => attempt === 5, interval: 1000 });
+    const slow = poller[Symbol.asyncIterator]();
+    await clock.advanceAsync(2500);
+    assert.strictEqual(poller.attempts, 3);
+
+    // Started after three polls: the latest result, then the rest as they come
+    const late = [];
+    const lateLoop = (async () => {
+        for await (const attempt of poller) {
+            late.push(attempt);
+        }
+    })();
+    await clock.advanceAsync(5000);
+    await lateLoop;
+    assert.deepStrictEqual(late, [3, 4, 5]);
+
+    // The iterator that started first still gets everything it hadn't read
+    const read = [];
+    for (let result = await slow.next(); !result.done; result = await slow.next()) {
+        read.push(result.value);
+    }
+    assert.deepStrictEqual(read, [1, 2, 3, 4, 5]);
+    assert.strictEqual(poller.attempts, 5);
+});
+
+test("pollForData hands a failing check to the caller without an unhandled rejection", async () => {
+    useChaos({ all: { errorRate: 1 } });
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on("unhandledRejection", onUnhandled);
+
+    try {
+        const poller = pollForData();
+        await clock.runAll();
+        await assert.rejects(poller, /Failed to check for new data/);
+        // Give a stray rejection a turn to surface
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepStrictEqual(unhandled, []);
+    } finally {
+        process.removeListener("unhandledRejection", onUnhandled);
+        useChaos();
+    }
+});
@@ -0,0 +1,88 @@
+// test/promisify.test.js
+// promisify, promisifyAll and callbackify, with timed callbacks on the virtual clock
+
+const test = require("node:test");
+const assert = require("node:assert");
+const util = require("util");
+const { promisify, promisifyAll, callbackify } = require("../lib/promisify");
+const { setTimeout } = require("../lib/clock");
+const { useTestClock } = require("./helpers");
+
+useTestClock({ autoAdvance: true });
+
+function fetchUser(id, callback) {
+    setTimeout(() => (id > 0 ? callback(null, { id, name: "Ann" }) : callback(new Error(`No user ${id}`))), 100);
+}
+
+function divide(a, b, callback) {
+    setTimeout(callback, 10, null, Math.floor(a / b), a % b);
+}
+
+test("promisify resolves with the first value and rejects with the error", async () => {
+    const fetchUserAsync = promisify(fetchUser);
+    assert.strictEqual(fetchUserAsync.name, "fetchUser");
+    assert.deepStrictEqual(await fetchUserAsync(1), { id: 1, name: "Ann" });
+    await assert.rejects(fetchUserAsync(0), /No user 0/);
+    assert.throws(() => promisify("fetchUser"), TypeError);
+});
+
+test("multiArgs resolves with every value, as an array or by name", async () => {
+    assert.deepStrictEqual(await promisify(divide, { multiArgs: true })(7, 2), [3, 1]);
+    assert.deepStrictEqual(await promisify(divide, { multiArgs: ["quotient", "remainder"] })(7, 2), { quotient: 3, remainder: 1 });
+});
+
+test("promisify honours promisify.custom and works with util.promisify", async () => {
+    function legacy(callback) {
+        callback(null, "callback");
+    }
+    legacy[promisify.custom] = () => Promise.resolve("custom");
+    assert.strictEqual(await promisify(legacy)(), "custom");
+
+    const once = promisify(fetchUser);
+    assert.strictEqual(promisify(once), once);
+    assert.strictEqual(util.promisify(once), once);
+});
+
+test("promisifyAll keeps `this` and skips excluded methods", async () => {
+    class Store {
+        constructor() {
+            this.items = new Map([["a", 1]]);
+        }
+        get(key, callback) {
+            setTimeout(() => callback(null, this.items.get(key)), 10);
+        }
+        size() {
+            return this.items.size;
+        }
+    }
+    const store = new Store();
+
+    const api = promisifyAll(store, { exclude: ["size"] });
+    assert.deepStrictEqual(Object.keys(api), ["get"]);
+    assert.strictEqual(await api.get("a"), 1);
+
+    const both = promisifyAll(store, { suffix: "Async" });
+    assert.strictEqual(await both.getAsync("a"), 1);
+    assert.strictEqual(both.size(), 1);
+});
+
+test("callbackify calls back asynchronously with the value or the error", async () => {
+    const delayed = async (value, ms) => {
+        await new Promise(resolve => setTimeout(resolve, ms));
+        if (value instanceof Error) {
+            throw value;
+        }
+        return value;
+    };
+    const delayedCallback = callbackify(delayed);
+    const call = (...args) => new Promise(resolve => delayedCallback(...args, (...result) => resolve(result)));
+
+    assert.deepStrictEqual(await call("ok", 100), [null, "ok"]);
+    const failure = new Error("failed");
+    assert.deepStrictEqual(await call(failure, 100), [failure]);
+
+    const [error] = await new Promise(resolve => callbackify(() => Promise.reject(null))((...result) => resolve(result)));
+    assert.match(error.message, /falsy value/);
+    assert.strictEqual(error.reason, null);
+    assert.throws(() => delayedCallback("no callback"), TypeError);
+});
@@ -0,0 +1,113 @@
+// test/retry.test.js
+// retry, withRetry and backoffDelay, with the backoff waits on the virtual clock
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { retry, withRetry, backoffDelay } = require("../lib/retry");
+const { createDeadline } = require("../lib/timeout");
+const { setTimeout } = require("../lib/clock");
+const { AbortError, TimeoutError } = require("../lib/errors");
+const { useTestClock } = require("./helpers");
+
+const clock = useTestClock({ seed: 42, autoAdvance: true });
+
+// Fails the first `failures` calls, then resolves with the attempt number
+function flaky(failures) {
+    const calls = [];
+    const fn = attempt => {
+        calls.push(attempt);
+        return calls.length <= failures
+            ? Promise.reject(new Error(`Failed to fetch (attempt ${attempt})`))
+            : Promise.resolve(`ok on ${attempt}`);
+    };
+    return { fn, calls };
+}
+
+test("backoffDelay grows exponentially or linearly, or stays fixed, up to maxDelay", () => {
+    const settings = { delay: 100, factor: 2, maxDelay: 1000, jitter: "none" };
+    const delays = backoff => [1, 2, 3, 4, 5].map(attempt => backoffDelay(attempt, { ...settings, backoff }));
+
+    assert.deepStrictEqual(delays("exponential"), [100, 200, 400, 800, 1000]);
+    assert.deepStrictEqual(delays("linear"), [100, 200, 300, 400, 500]);
+    assert.deepStrictEqual(delays("fixed"), [100, 100, 100, 100, 100]);
+    assert.throws(() => backoffDelay(1, { ...settings, backoff: "random" }), TypeError);
+});
+
+test("jitter spreads the delay: full over 0..wait, equal over wait/2..wait", () => {
+    const settings = { backoff: "fixed", delay: 1000, factor: 2, maxDelay: Infinity };
+    for (let i = 0; i < 20; i++) {
+        const full = backoffDelay(1, { ...settings, jitter: "full" });
+        const equal = backoffDelay(1, { ...settings, jitter: "equal" });
+        assert.ok(full >= 0 && full <= 1000, `full jitter gave ${full}`);
+        assert.ok(equal >= 500 && equal <= 1000, `equal jitter gave ${equal}`);
+    }
+});
+
+test("retry resolves once an attempt succeeds, waiting out the backoff in between", async () => {
+    const { fn, calls } = flaky(2);
+    const events = [];
+    const value = await retry(fn, { delay: 100, onAttempt: event => events.push(event) });
+
+    assert.strictEqual(value, "ok on 3");
+    assert.deepStrictEqual(calls, [1, 2, 3]);
+    assert.strictEqual(clock.now(), 100 + 200);
+    assert.deepStrictEqual(events.map(({ attempt, outcome, willRetry, delay, elapsed }) => ({ attempt, outcome, willRetry, delay, elapsed })), [
+        { attempt: 1, outcome: "failure", willRetry: true, delay: 100, elapsed: 0 },
+        { attempt: 2, outcome: "failure", willRetry: true, delay: 200, elapsed: 100 },
+        { attempt: 3, outcome: "success", willRetry: undefined, delay: undefined, elapsed: 300 }
+    ]);
+});
+
+test("retry rethrows the last error unchanged once attempts run out or retryIf says no", async () => {
+    const { fn, calls } = flaky(10);
+    await assert.rejects(retry(fn, { attempts: 4, backoff: "fixed", delay: 10 }), /attempt 4\)$/);
+    assert.deepStrictEqual(calls, [1, 2, 3, 4]);
+
+    const picky = flaky(10);
+    await assert.rejects(retry(picky.fn, { retryIf: (error, attempt) => attempt < 2 }), /attempt 2\)$/);
+    assert.deepStrictEqual(picky.calls, [1, 2]);
+});
+
+test("cancellations are never retried", async () => {
+    let calls = 0;
+    await assert.rejects(retry(() => {
+        calls++;
+        return Promise.reject(new AbortError("Cancelled"));
+    }), AbortError);
+    assert.strictEqual(calls, 1);
+
+    // Aborting during a backoff wait ends it at once
+    const controller = new AbortController();
+    const { fn } = flaky(10);
+    const pending = retry(fn, { delay: 1000, signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(pending, AbortError);
+    assert.strictEqual(clock.now(), 10);
+
+    // An already aborted signal means no attempt at all
+    const none = flaky(0);
+    await assert.rejects(retry(none.fn, { signal: controller.signal }), AbortError);
+    assert.deepStrictEqual(none.calls, []);
+});
+
+test("an expired deadline's TimeoutError is not retried either", async () => {
+    const deadline = createDeadline(50);
+    let calls = 0;
+    const work = () => {
+        calls++;
+        return deadline.run(new Promise(() => {}));
+    };
+    await assert.rejects(retry(work, { attempts: 5, delay: 10, signal: deadline.signal }), TimeoutError);
+    assert.strictEqual(calls, 1);
+});
+
+test("withRetry wraps a function, keeping its arguments and `this`", async () => {
+    const api = {
+        failures: 1,
+        fetch(id) {
+            return this.failures-- > 0 ? Promise.reject(new Error("flaky")) : Promise.resolve(`user ${id}`);
+        }
+    };
+    api.fetch = withRetry(api.fetch, { delay: 10 });
+    assert.strictEqual(await api.fetch(7), "user 7");
+});
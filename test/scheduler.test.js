@@ -0,0 +1,122 @@
+// test/scheduler.test.js
+// schedule's timing modes and overrun policies, with busy work timed on the virtual clock
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { schedule, createTimingStats } = require("../lib/scheduler");
+const { monotonic, setTimeout } = require("../lib/clock");
+const { useTestClock } = require("./helpers");
+
+const clock = useTestClock({ autoAdvance: true });
+
+// Runs a job whose task holds the thread for `work` ms, and records when each run was
+// due and started, relative to when the job was created
+async function runJob(work, options) {
+    const origin = monotonic();
+    const runs = [];
+    const job = schedule(({ scheduledAt, startedAt, missed }) => {
+        runs.push({ scheduledAt: scheduledAt - origin, startedAt: startedAt - origin, missed });
+        clock.busyWait(work);
+    }, options);
+    const stats = await job.done;
+    return { runs, stats };
+}
+
+const startsOf = runs => runs.map(run => run.startedAt);
+
+// A run that is already due still waits for a 0ms timer, which fires after 1ms, like Node's
+
+test("fixed-rate stays on the start + n × every grid", async () => {
+    const { runs, stats } = await runJob(500, { every: 1000, maxRuns: 3 });
+    assert.deepStrictEqual(startsOf(runs), [1000, 2000, 3000]);
+    assert.strictEqual(stats.runs, 3);
+    assert.strictEqual(stats.drift, 0);
+    assert.deepStrictEqual(stats.jitter, { mean: 0, max: 0 });
+    assert.deepStrictEqual(stats.duration, { mean: 500, max: 500 });
+});
+
+test("fixed-delay waits `every` after each run finishes, so it slips off the grid", async () => {
+    const { runs, stats } = await runJob(500, { every: 1000, mode: "fixed-delay", maxRuns: 3 });
+    assert.deepStrictEqual(startsOf(runs), [1000, 2500, 4000]);
+    // Never late for its own timer - the slip is in the gaps between starts
+    assert.strictEqual(stats.drift, 0);
+    assert.deepStrictEqual(stats.lateness, { mean: 0, max: 0 });
+    assert.deepStrictEqual(stats.jitter, { mean: 500, max: 500 });
+});
+
+test("skip drops the ticks an overrun missed and waits for the next slot", async () => {
+    const { runs, stats } = await runJob(300, { every: 200, overrun: "skip", maxRuns: 3 });
+    assert.deepStrictEqual(startsOf(runs), [200, 600, 1000]);
+    assert.deepStrictEqual(runs.map(run => run.scheduledAt), [200, 600, 1000]);
+    assert.strictEqual(stats.missed, 2);
+    assert.strictEqual(stats.skipped, 2);
+    assert.strictEqual(stats.drift, 0, "skipped ticks don't count as drift");
+});
+
+test("queue runs every missed tick back to back until it catches up", async () => {
+    const { runs, stats } = await runJob(300, { every: 200, overrun: "queue", maxRuns: 4 });
+    assert.deepStrictEqual(runs.map(run => run.scheduledAt), [200, 400, 600, 800]);
+    assert.deepStrictEqual(startsOf(runs), [200, 501, 802, 1103]);
+    assert.strictEqual(stats.skipped, 0);
+    assert.strictEqual(stats.drift, 303);
+});
+
+test("coalesce runs once for all the missed ticks, then goes back to the grid", async () => {
+    const { runs, stats } = await runJob(500, { every: 200, overrun: "coalesce", maxRuns: 2 });
+    assert.deepStrictEqual(runs, [
+        { scheduledAt: 200, startedAt: 200, missed: 0 },
+        { scheduledAt: 600, startedAt: 701, missed: 2 }
+    ]);
+    assert.strictEqual(stats.missed, 2);
+    assert.strictEqual(stats.skipped, 1);
+    assert.strictEqual(stats.drift, 101);
+});
+
+test("immediate, stop() and an abort signal", async () => {
+    const { runs } = await runJob(0, { every: 100, immediate: true, maxRuns: 2 });
+    assert.deepStrictEqual(startsOf(runs), [1, 100]);
+
+    const job = schedule(() => {}, { every: 100 });
+    setTimeout(() => job.stop(), 350);
+    assert.strictEqual((await job.done).runs, 3);
+    assert.strictEqual(job.running, false);
+
+    const controller = new AbortController();
+    controller.abort();
+    assert.strictEqual((await schedule(() => {}, { every: 100, signal: controller.signal }).done).runs, 0);
+});
+
+test("a task error stops the job, unless onError takes it", async () => {
+    const failing = schedule(() => {
+        throw new Error("task failed");
+    }, { every: 100 });
+    await assert.rejects(failing.done, /task failed/);
+
+    const errors = [];
+    const tolerant = schedule(({ run }) => {
+        throw new Error(`run ${run} failed`);
+    }, { every: 100, maxRuns: 2, onError: (error, { run }) => errors.push([error.message, run]) });
+    assert.strictEqual((await tolerant.done).runs, 2);
+    assert.deepStrictEqual(errors, [["run 1 failed", 1], ["run 2 failed", 2]]);
+});
+
+test("bad options throw a TypeError", () => {
+    assert.throws(() => schedule(() => {}, { every: 0 }), TypeError);
+    assert.throws(() => schedule(() => {}, { every: 100, mode: "cron" }), TypeError);
+    assert.throws(() => schedule(() => {}, { every: 100, overrun: "drop" }), TypeError);
+});
+
+test("createTimingStats measures a timer it doesn't own", () => {
+    const stats = createTimingStats(100);
+    stats.record({ scheduledAt: 100, startedAt: 100, finishedAt: 110 });
+    stats.record({ scheduledAt: 200, startedAt: 230, finishedAt: 240 });
+    assert.deepStrictEqual(stats.summary(), {
+        runs: 2,
+        missed: 0,
+        skipped: 0,
+        lateness: { mean: 15, max: 30 },
+        jitter: { mean: 30, max: 30 },
+        drift: 30,
+        duration: { mean: 10, max: 10 }
+    });
+});
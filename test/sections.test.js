@@ -0,0 +1,113 @@
+// test/sections.test.js
+// createLesson and runLesson: the order of setup, run and teardown, failures and hangs
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { spawnSync } = require("child_process");
+const { createLesson, runLesson } = require("../lib/sections");
+const { log } = require("../lib/logger");
+const { captureLog } = require("./helpers");
+
+const entries = captureLog();
+
+// runLesson marks a failed section with exitCode 1; the test run itself must not fail
+test.afterEach(() => {
+    process.exitCode = undefined;
+});
+
+test("a failing section is logged with the lesson and section it belongs to", async () => {
+    const lesson = createLesson({ id: "99", title: "Test lesson" })
+        .section("Broken", () => {
+            throw new Error("boom");
+        })
+        .section("Fine", () => {});
+    await runLesson(lesson);
+
+    assert.strictEqual(process.exitCode, 1);
+    assert.deepStrictEqual(entries.map(({ lesson: id, section, message }) => ({ id, section, message })), [
+        { id: "99", section: 1, message: "❌ Section 1 (Broken) failed: boom" }
+    ]);
+});
+
+test("setup's result goes to run and teardown, and teardown waits for the section's timers", async () => {
+    const calls = [];
+    const lesson = createLesson({ id: "99", title: "Test lesson" })
+        .section("Pool", {
+            setup: () => {
+                calls.push("setup");
+                return { name: "pool" };
+            },
+            run: context => {
+                calls.push(`run ${context.name}`);
+                // Not awaited - the section still isn't done until it fires
+                setTimeout(() => calls.push("timer"), 50);
+            },
+            teardown: context => {
+                calls.push(`teardown ${context.name}`);
+            }
+        })
+        .section("Next", () => {
+            calls.push("next section");
+        });
+    await runLesson(lesson);
+
+    assert.deepStrictEqual(calls, ["setup", "run pool", "timer", "teardown pool", "next section"]);
+    assert.strictEqual(process.exitCode, undefined);
+});
+
+test("a failing setup skips run and teardown; a failing run still gets its teardown", async () => {
+    const calls = [];
+    const lesson = createLesson({ id: "99", title: "Test lesson" })
+        .section("Setup fails", {
+            setup: () => {
+                throw new Error("no pool");
+            },
+            run: () => calls.push("run 1"),
+            teardown: () => calls.push("teardown 1")
+        })
+        .section("Run fails", {
+            run: () => Promise.reject(new Error("request failed")),
+            teardown: () => calls.push("teardown 2")
+        });
+    await runLesson(lesson);
+
+    assert.deepStrictEqual(calls, ["teardown 2"]);
+    assert.deepStrictEqual(entries.map(entry => entry.message), [
+        "❌ Section 1 (Setup fails) failed: no pool",
+        "❌ Section 2 (Run fails) failed: request failed"
+    ]);
+    assert.strictEqual(process.exitCode, 1);
+});
+
+test("only runs the chosen sections, and the outro only follows a complete run", async () => {
+    const lesson = createLesson({ id: "99", title: "Test lesson", intro: "Intro" })
+        .section("One", () => log("one"))
+        .section("Two", () => log("two"))
+        .section("Three", () => log("three"))
+        .outro(() => log("Outro"));
+
+    await runLesson(lesson, { only: [1, 3] });
+    assert.deepStrictEqual(entries.map(({ section, message }) => [section, message]), [[null, "Intro"], [1, "one"], [3, "three"]]);
+
+    entries.length = 0;
+    await runLesson(lesson);
+    assert.deepStrictEqual(entries.map(entry => entry.message), ["Intro", "one", "two", "three", "Outro"]);
+
+    assert.throws(() => runLesson(lesson, { only: [2, 4] }), {
+        name: "RangeError",
+        message: "Test lesson has no section 4 - it has 1-3"
+    });
+});
+
+test("a section whose promise can never settle fails, and the lesson goes on", () => {
+    // Hang detection waits for the event loop to run dry, so it needs a process of its own
+    const script = `
+        const { createLesson, runLesson } = require(${JSON.stringify(require.resolve("../lib/sections"))});
+        runLesson(createLesson({ id: "99", title: "Test lesson" })
+            .section("Hangs", () => new Promise(() => {}))
+            .section("After", () => console.log("after the hang")));
+    `;
+    const child = spawnSync(process.execPath, ["-e", script], { encoding: "utf8", env: { ...process.env, ASYNC_LOG: "" } });
+    assert.strictEqual(child.status, 1);
+    assert.strictEqual(child.stdout, "❌ Section 1 (Hangs) failed: It never finished - its promise is still pending and nothing is left to settle it\nafter the hang\n");
+});
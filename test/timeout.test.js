@@ -0,0 +1,115 @@
+// test/timeout.test.js
+// withTimeout and deadlines on the virtual clock, and the abort listeners they leave behind
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { getEventListeners } = require("events");
+const { withTimeout, createDeadline } = require("../lib/timeout");
+const { fetchUser } = require("../lib/api");
+const { setTimeout } = require("../lib/clock");
+const { TimeoutError } = require("../lib/errors");
+const { useTestClock, captureLog } = require("./helpers");
+
+const clock = useTestClock({ autoAdvance: true });
+captureLog();
+
+const wait = (ms, value) => new Promise(resolve => setTimeout(resolve, ms, value));
+
+function abortListeners(signal) {
+    return getEventListeners(signal, "abort").length;
+}
+
+test("withTimeout settles with the work, or with a TimeoutError once time runs out", async () => {
+    assert.strictEqual(await withTimeout(wait(100, "fast"), 200), "fast");
+    assert.strictEqual(clock.pending(), 0, "the losing timer is cleared");
+
+    await assert.rejects(withTimeout(wait(300, "slow"), 200, { message: "Too slow" }), error => {
+        assert.ok(error instanceof TimeoutError);
+        assert.strictEqual(error.message, "Too slow");
+        assert.strictEqual(error.timeout, 200);
+        return true;
+    });
+    assert.strictEqual(clock.now(), 100 + 200);
+});
+
+test("withTimeout hands work a signal that aborts when time runs out", async () => {
+    let seen;
+    await assert.rejects(withTimeout(signal => {
+        seen = signal;
+        return wait(1000);
+    }, 100), TimeoutError);
+    assert.ok(seen.aborted);
+    assert.ok(seen.reason instanceof TimeoutError);
+
+    await assert.rejects(withTimeout(() => {
+        throw new Error("failed at once");
+    }, 100), /failed at once/);
+});
+
+test("a child deadline never outlives its parent and aborts with it", async () => {
+    const parent = createDeadline(1000);
+    const child = parent.child(5000);
+    assert.strictEqual(child.expiresAt, parent.expiresAt);
+    assert.strictEqual(parent.child(200).remaining(), 200);
+
+    await wait(600);
+    assert.strictEqual(child.remaining(), 400);
+    await wait(400);
+    assert.ok(parent.expired && child.expired);
+    assert.ok(child.signal.reason instanceof TimeoutError);
+    await assert.rejects(child.run(wait(10)), TimeoutError);
+});
+
+test("deadline.run() gets only the time that is left", async () => {
+    const deadline = createDeadline(500);
+    await wait(300);
+    await assert.rejects(deadline.run(wait(300)), error => error.timeout === 200);
+    deadline.clear();
+});
+
+test("budgets longer than one Node timer can wait still run their full length", async () => {
+    const long = 3 * 2 ** 31;
+    const deadline = createDeadline(long);
+    // The deadline's timer is unref'd, so nothing advances the clock for it but us
+    await clock.advanceAsync(long - 1);
+    assert.strictEqual(deadline.expired, false);
+    await clock.advanceAsync(1);
+    assert.strictEqual(deadline.expired, true);
+
+    await assert.rejects(withTimeout(new Promise(() => {}), long), TimeoutError);
+    assert.strictEqual(clock.now(), 2 * long);
+});
+
+test("finished children stop listening to their parent", async () => {
+    const parent = createDeadline(60000);
+    for (let i = 0; i < 20; i++) {
+        const child = parent.child(100);
+        await child.run(wait(10));
+        child.clear();
+    }
+    // Children that run out on their own let go too
+    await assert.rejects(parent.child(50).run(wait(100)), TimeoutError);
+    assert.strictEqual(abortListeners(parent.signal), 0);
+    parent.clear();
+});
+
+test("calls sharing one signal and deadline leave no listeners behind", async () => {
+    const controller = new AbortController();
+    const deadline = createDeadline(60000);
+    const warnings = [];
+    const onWarning = warning => warnings.push(warning.name);
+    process.on("warning", onWarning);
+    try {
+        for (let i = 1; i <= 15; i++) {
+            await fetchUser(i, { signal: controller.signal, deadline });
+        }
+        await new Promise(resolve => setImmediate(resolve));
+    } finally {
+        process.removeListener("warning", onWarning);
+        deadline.clear();
+    }
+
+    assert.strictEqual(abortListeners(controller.signal), 0);
+    assert.strictEqual(abortListeners(deadline.signal), 0);
+    assert.deepStrictEqual(warnings, []);
+});
@@ -0,0 +1,91 @@
+// test/tracer.test.js
+// createTracer and trace() on the real clock - the tracer wraps the global timers, which the virtual clock never calls
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createTracer, trace } = require("../lib/tracer");
+
+const GLOBALS = ["setTimeout", "setInterval", "setImmediate", "clearTimeout", "clearInterval", "clearImmediate", "queueMicrotask"];
+
+function globals() {
+    return [...GLOBALS.map(name => globalThis[name]), process.nextTick];
+}
+
+// Runs `schedule` from a timer callback, where the order of the queues is fixed:
+// nextTick, then microtasks, then the check phase, then the next timers
+function fromTimer(schedule) {
+    return () => new Promise(resolve => setTimeout(() => schedule(resolve), 0));
+}
+
+test("trace() records every queue in the order the event loop runs them", async () => {
+    const before = globals();
+    const order = [];
+    const tracer = await trace(fromTimer(resolve => {
+        setTimeout(function late() {
+            order.push("timeout");
+            resolve();
+        }, 5);
+        setImmediate(() => order.push("immediate"));
+        queueMicrotask(() => order.push("microtask"));
+        process.nextTick(() => order.push("nextTick"));
+    }), { promises: false });
+
+    assert.deepStrictEqual(order, ["nextTick", "microtask", "immediate", "timeout"]);
+    const runs = tracer.events.filter(event => event.type === "run").map(event => `${event.tick} ${event.source}`);
+    assert.deepStrictEqual(runs, ["1 setTimeout", "1 nextTick", "1 queueMicrotask", "2 setImmediate", "3 setTimeout"]);
+    assert.deepStrictEqual(globals(), before, "the globals are put back");
+
+    const timeline = tracer.timeline();
+    assert.match(timeline, /^┌─ Tick 0 · initial run · \+\d+ms/);
+    assert.match(timeline, /├─ Tick 3 · setTimeout #\d+ \(5ms\) late · \+\d+ms/);
+    assert.match(timeline, /│ \+ nextTick Queue {3}nextTick #\d+ {2}tracer\.test\.js:\d+/);
+    assert.match(timeline, /Task Queue after tick: \(empty\)\n└─+$/);
+});
+
+test("cleared timers are marked and never left pending", async () => {
+    const tracer = await trace(fromTimer(resolve => {
+        const timer = setTimeout(() => assert.fail("cleared"), 10);
+        const interval = setInterval(() => {
+            clearInterval(interval);
+            resolve();
+        }, 1);
+        clearTimeout(timer);
+    }), { promises: false });
+
+    assert.deepStrictEqual(tracer.pending(), []);
+    const cancels = tracer.events.filter(event => event.type === "cancel").map(event => event.source);
+    assert.deepStrictEqual(cancels, ["setTimeout", "setInterval"]);
+    assert.match(tracer.timeline(), /│ ✕ cleared {10}setTimeout #\d+ \(10ms\)/);
+});
+
+test("promise reactions are traced with the line that registered them", async () => {
+    const tracer = await trace(() => Promise.resolve(1).then(value => value + 1));
+    const reaction = tracer.events.find(event => event.source === "promise" && event.type === "run");
+    assert.ok(reaction, "the .then() callback ran in the trace");
+    assert.strictEqual(reaction.queue, "Microtask Queue");
+    assert.match(tracer.timeline(), /▶ Call Stack {7}promise #\d+ {2}tracer\.test\.js:\d+/);
+});
+
+test("createTracer reports each event as it happens, until stopped", async () => {
+    const seen = [];
+    const tracer = createTracer({ promises: false, onEvent: event => seen.push(`${event.type} ${event.name}`) }).start();
+    assert.strictEqual(tracer.start(), tracer, "starting twice is harmless");
+    await new Promise(function done(resolve) {
+        setImmediate(function tick() {
+            resolve();
+        });
+    });
+    tracer.stop();
+    setImmediate(() => {});
+
+    assert.deepStrictEqual(seen, ["enqueue tick", "run tick"]);
+});
+
+test("trace() rejects with the error fn throws, and still restores the globals", async () => {
+    const before = globals();
+    await assert.rejects(trace(() => {
+        throw new Error("broken");
+    }), /broken/);
+    await assert.rejects(trace(() => Promise.reject(new Error("rejected")), { promises: false }), /rejected/);
+    assert.deepStrictEqual(globals(), before);
+});
@@ -0,0 +1,85 @@
+// test/worker-pool.test.js
+// createWorkerPool on real threads - small pools and short tasks, since CPU time can't be virtual
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { createWorkerPool } = require("../lib/worker-pool");
+const { AbortError, TimeoutError, WorkerCrashError } = require("../lib/errors");
+
+// A pool that is closed when the test ends, whatever happened to it
+function pool(t, options) {
+    const created = createWorkerPool({ size: 1, ...options });
+    t.after(() => created.close());
+    return created;
+}
+
+test("runs tasks by name and hands back their results and errors", async t => {
+    const workers = pool(t);
+    assert.strictEqual(await workers.run("fibonacci", 20), 6765);
+    assert.strictEqual((await workers.run("busyLoop", { ms: 5 })).ms, 5);
+    await assert.rejects(workers.run("nope"), { name: "Error", message: 'Unknown worker task "nope"' });
+});
+
+test("tasks beyond the pool's size wait in the queue", async t => {
+    const workers = pool(t);
+    const first = workers.run("busyLoop", { ms: 50 });
+    const second = workers.run("busyLoop", { ms: 50 });
+    assert.strictEqual(workers.activeCount, 1);
+    assert.strictEqual(workers.pendingCount, 1);
+    await Promise.all([first, second]);
+    assert.strictEqual(workers.activeCount, 0);
+});
+
+test("a task that times out or is cancelled is stopped, and the pool carries on", async t => {
+    const workers = pool(t, { timeout: 100 });
+    await assert.rejects(workers.run("busyLoop", { ms: 10000 }), error => error instanceof TimeoutError && error.timeout === 100);
+
+    const running = new AbortController();
+    const queued = new AbortController();
+    const first = workers.run("busyLoop", { ms: 10000 }, { signal: running.signal, timeout: Infinity });
+    const second = workers.run("busyLoop", { ms: 10000 }, { signal: queued.signal });
+    queued.abort();
+    await assert.rejects(second, AbortError);
+    setTimeout(() => running.abort(), 50);
+    await assert.rejects(first, AbortError);
+
+    await assert.rejects(workers.run("fibonacci", 10, { signal: AbortSignal.abort() }), AbortError);
+    assert.strictEqual(await workers.run("fibonacci", 10), 55);
+});
+
+test("a worker that crashes mid-task is replaced", async t => {
+    const workers = pool(t);
+    await assert.rejects(workers.run("crash"), error => error instanceof WorkerCrashError && error.task === "crash");
+    assert.strictEqual(await workers.run("fibonacci", 10), 55);
+});
+
+test("workers that crash on startup are retried, then the pool gives up", async t => {
+    const workers = pool(t, { tasks: path.join(__dirname, "no-such-tasks.js"), maxFailedStarts: 2 });
+    const started = Date.now();
+    // The task reached a worker that died loading its tasks module
+    await assert.rejects(workers.run("fibonacci", 10), error => {
+        assert.ok(error instanceof WorkerCrashError);
+        assert.match(error.cause.message, /Cannot find module/);
+        return true;
+    });
+    // Its replacement starts after the first backoff delay, and dies the same way
+    await assert.rejects(workers.run("fibonacci", 10), WorkerCrashError);
+    assert.ok(Date.now() - started >= 100);
+    // Two in a row: the pool has given up, so new tasks fail at once
+    await assert.rejects(workers.run("fibonacci", 10), error => /2 workers in a row crashed on startup/.test(error.cause.message));
+});
+
+test("close() lets running tasks finish, then refuses new ones", async t => {
+    const workers = pool(t);
+    const running = workers.run("busyLoop", { ms: 50 });
+    const closed = workers.close();
+    await assert.rejects(workers.run("fibonacci", 10), /Worker pool is closed/);
+    assert.strictEqual((await running).ms, 50);
+    await closed;
+});
+
+test("bad options throw a TypeError", () => {
+    assert.throws(() => createWorkerPool({ size: 0 }), TypeError);
+    assert.throws(() => createWorkerPool({ size: 1, maxFailedStarts: 0 }), TypeError);
+});